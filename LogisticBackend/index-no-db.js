@@ -55,6 +55,11 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/shipments', require('./routes/shipments'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/drivers', require('./routes/drivers'));
+app.use('/api/clients', require('./routes/clients'));
+app.use('/api/recurring-shipments', require('./routes/recurringShipments'));
+app.use('/api/stream', require('./routes/stream'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -55,6 +55,11 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/shipments', require('./routes/shipments'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/drivers', require('./routes/drivers'));
+app.use('/api/clients', require('./routes/clients'));
+app.use('/api/recurring-shipments', require('./routes/recurringShipments'));
+app.use('/api/stream', require('./routes/stream'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -101,6 +106,15 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Background workers
+require('./utils/webhooks').startWebhookDispatcher();
+require('./utils/recurringShipments').startRecurringScheduler();
+require('./utils/eta').startEtaService();
+require('./utils/sla').startSlaEvaluator();
+require('./utils/issues').startIssueEscalation();
+require('./utils/workflow').startWorkflowSync();
+require('./utils/jobs').startJobs();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
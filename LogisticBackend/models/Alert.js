@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Operational alert raised for admins, e.g. a shipment breaching its SLA, an issue left unresolved
+// or a driver's cash hand-in not matching the cash on delivery they collected
+const alertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['sla_breach', 'issue_escalation', 'cod_discrepancy'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+
+  // Related Documents
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment'
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
+  data: mongoose.Schema.Types.Mixed,
+
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  acknowledgedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  resolvedAt: Date,
+  resolutionNotes: String
+}, {
+  timestamps: true
+});
+
+// Method to acknowledge the alert
+alertSchema.methods.acknowledge = function(adminId) {
+  this.status = 'acknowledged';
+  this.acknowledgedBy = adminId;
+  this.acknowledgedAt = new Date();
+};
+
+// Method to resolve the alert
+alertSchema.methods.resolve = function(adminId, notes) {
+  if (!this.acknowledgedAt) {
+    this.acknowledgedBy = adminId;
+    this.acknowledgedAt = new Date();
+  }
+  this.status = 'resolved';
+  this.resolvedBy = adminId;
+  this.resolvedAt = new Date();
+  this.resolutionNotes = notes;
+};
+
+// Index for efficient queries
+alertSchema.index({ status: 1, createdAt: -1 });
+alertSchema.index({ shipment: 1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { geoPointDefinition, toGeoPoint } = require('../utils/geo');
 
 const clientSchema = new mongoose.Schema({
   // Basic Information
@@ -76,6 +77,9 @@ const clientSchema = new mongoose.Schema({
       required: true
     },
     name: String,
+    contactPerson: String,
+    phone: String,
+    email: String,
     street: { type: String, required: true },
     city: { type: String, required: true },
     state: { type: String, required: true },
@@ -85,7 +89,9 @@ const clientSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
-    }
+    },
+    location: geoPointDefinition, // GeoJSON copy of coordinates
+    specialInstructions: String
   }],
   
   // Account Status
@@ -140,6 +146,7 @@ const clientSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Owed by the client; cash on delivery remitted is credited against it, so a negative balance is owed to the client
     currentBalance: {
       type: Number,
       default: 0
@@ -180,6 +187,16 @@ const clientSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Keep the GeoJSON address locations in step with their coordinates
+clientSchema.pre('save', function(next) {
+  if (this.isModified('addresses')) {
+    this.addresses.forEach(address => {
+      address.location = toGeoPoint(address.coordinates);
+    });
+  }
+  next();
+});
+
 // Encrypt password before saving
 clientSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -217,11 +234,21 @@ clientSchema.methods.getDefaultAddress = function(type) {
          this.addresses.find(addr => addr.type === type);
 };
 
+// Method to make an address the default for its type
+clientSchema.methods.setDefaultAddress = function(address) {
+  this.addresses.forEach(addr => {
+    if (addr.type === address.type) {
+      addr.isDefault = addr._id.equals(address._id);
+    }
+  });
+};
+
 // Index for efficient queries
 clientSchema.index({ email: 1 });
 clientSchema.index({ businessRegistrationNumber: 1 });
 clientSchema.index({ status: 1 });
 clientSchema.index({ 'verification.verificationStatus': 1 });
 clientSchema.index({ companyName: 'text' });
+clientSchema.index({ 'addresses.location': '2dsphere' });
 
 module.exports = mongoose.model('Client', clientSchema);
\ No newline at end of file
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// End-of-day cash reconciliation for one driver: the cash handed in is matched against the cash on
+// delivery the driver collected, and the collected amounts are remitted to each client's balance
+const codReconciliationSchema = new mongoose.Schema({
+  reconciliationId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  // Cash collected up to this time is included
+  cutoff: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  // Shipments whose cash is settled by this reconciliation
+  shipments: [{
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shipment'
+    },
+    shipmentId: String,
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
+    codAmount: Number,
+    collectedAmount: Number,
+    collectedAt: Date
+  }],
+
+  // Totals
+  expectedAmount: {
+    type: Number,
+    required: true
+  }, // sum of the collected amounts
+  handedInAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Cash handed in cannot be negative']
+  },
+  discrepancy: {
+    type: Number,
+    default: 0
+  }, // handed in less expected; negative when the driver is short
+  status: {
+    type: String,
+    enum: ['balanced', 'short', 'over'],
+    required: true
+  },
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+
+  // Amounts credited to each client's balance
+  remittances: [{
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
+    amount: Number,
+    shipmentCount: Number
+  }],
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  reconciledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Generate the reconciliation ID before validation so the required check sees it
+codReconciliationSchema.pre('validate', function(next) {
+  if (this.isNew && !this.reconciliationId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.reconciliationId = `CR${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+// Index for efficient queries
+codReconciliationSchema.index({ driver: 1, createdAt: -1 });
+codReconciliationSchema.index({ flagged: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CodReconciliation', codReconciliationSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const documentTemplateSchema = new mongoose.Schema({
+  // Company the template belongs to; null for the platform default
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+
+  type: {
+    type: String,
+    enum: ['bol', 'delivery_note'],
+    required: [true, 'Template type is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+
+  // Layout
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  headerLines: {
+    type: [String], // company name, address, contact details
+    default: []
+  },
+  footerText: {
+    type: String,
+    maxlength: [500, 'Footer cannot exceed 500 characters']
+  },
+  termsAndConditions: {
+    type: String,
+    maxlength: [5000, 'Terms cannot exceed 5000 characters']
+  },
+  signatureBlocks: {
+    type: [String], // e.g. Shipper, Carrier, Consignee
+    default: undefined
+  },
+  showItemValues: {
+    type: Boolean,
+    default: false
+  },
+  showInsurance: {
+    type: Boolean,
+    default: true
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the template to use: the client's own, else the platform default
+documentTemplateSchema.statics.findForClient = async function(clientId, type) {
+  const templates = await this.find({
+    type,
+    isActive: true,
+    client: { $in: [clientId, null] }
+  }).sort({ updatedAt: -1 });
+
+  return templates.find(template => template.client && template.client.equals(clientId)) ||
+    templates.find(template => !template.client) ||
+    null;
+};
+
+// Index for efficient queries
+documentTemplateSchema.index({ client: 1, type: 1, isActive: 1 });
+
+module.exports = mongoose.model('DocumentTemplate', documentTemplateSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { geoPointDefinition, toGeoPoint } = require('../utils/geo');
 
 const driverSchema = new mongoose.Schema({
   // Basic Profile Information
@@ -121,8 +122,13 @@ const driverSchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number,
     address: String,
+    accuracy: Number, // metres
+    speed: Number,    // metres per second
+    heading: Number,  // degrees from north
     lastUpdated: Date
   },
+  // GeoJSON copy of currentLocation for geospatial queries
+  location: geoPointDefinition,
   isOnline: {
     type: Boolean,
     default: false
@@ -138,7 +144,13 @@ const driverSchema = new mongoose.Schema({
     average: { type: Number, default: 0, min: 0, max: 5 },
     count: { type: Number, default: 0 }
   },
-  
+
+  // Cash on delivery collected and not yet handed in, by currency; only ever changed with $inc
+  cashOnHand: {
+    amounts: { type: Map, of: Number },
+    updatedAt: Date
+  },
+
   // Emergency Contact
   emergencyContact: {
     name: String,
@@ -151,6 +163,14 @@ const driverSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Keep the GeoJSON location in step with currentLocation
+driverSchema.pre('save', function(next) {
+  if (this.isModified('currentLocation')) {
+    this.location = toGeoPoint(this.currentLocation);
+  }
+  next();
+});
+
 // Encrypt password before saving
 driverSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -191,5 +211,6 @@ driverSchema.index({ driverLicense: 1 });
 driverSchema.index({ status: 1 });
 driverSchema.index({ kycStatus: 1 });
 driverSchema.index({ isOnline: 1 });
+driverSchema.index({ location: '2dsphere' });
 
 module.exports = mongoose.model('Driver', driverSchema);
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Breadcrumbs are kept for LOCATION_RETENTION_DAYS (default 30) and then expire
+const retentionDays = parseInt(process.env.LOCATION_RETENTION_DAYS, 10) || 30;
+
+const locationHistorySchema = new mongoose.Schema({
+  // Related Documents
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: [true, 'Driver is required']
+  },
+  // Shipments the driver was carrying when the fix was taken
+  shipments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment'
+  }],
+
+  // GPS Fix
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  accuracy: Number, // metres
+  speed: Number,    // metres per second
+  heading: Number,  // degrees from north
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'driver',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: retentionDays * 24 * 60 * 60
+});
+
+// Virtual for latitude
+locationHistorySchema.virtual('latitude').get(function() {
+  return this.location?.coordinates?.[1];
+});
+
+// Virtual for longitude
+locationHistorySchema.virtual('longitude').get(function() {
+  return this.location?.coordinates?.[0];
+});
+
+// Index for efficient queries
+locationHistorySchema.index({ driver: 1, timestamp: 1 });
+locationHistorySchema.index({ shipments: 1, timestamp: 1 });
+
+module.exports = mongoose.model('LocationHistory', locationHistorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { queueEvent, eventPublisherPlugin } = require('../utils/events');
 
 const paymentSchema = new mongoose.Schema({
   // Payment Identification
@@ -24,6 +25,11 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Shipment',
     required: [true, 'Shipment is required']
   },
+  rateCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard',
+    default: null
+  },
   invoice: {
     invoiceNumber: String,
     invoiceDate: Date,
@@ -385,8 +391,25 @@ paymentSchema.virtual('remainingBalance').get(function() {
   return this.amount.total - totalPaid;
 });
 
+// Publish queued payment events once saved
+paymentSchema.plugin(eventPublisherPlugin);
+
+// Method to summarise the payment for event payloads
+paymentSchema.methods.getEventSummary = function() {
+  return {
+    payment: this._id,
+    paymentId: this.paymentId,
+    client: this.client?._id || this.client,
+    shipment: this.shipment?._id || this.shipment,
+    status: this.status,
+    amount: this.amount?.total,
+    currency: this.amount?.currency
+  };
+};
+
 // Method to update payment status
 paymentSchema.methods.updateStatus = function(newStatus, notes, updatedBy, updatedByUser, amount = null) {
+  const previousStatus = this.status;
   this.status = newStatus;
   this.timeline.push({
     status: newStatus,
@@ -400,6 +423,12 @@ paymentSchema.methods.updateStatus = function(newStatus, notes, updatedBy, updat
   if (newStatus === 'completed') {
     this.paidDate = new Date();
   }
+
+  const eventData = { ...this.getEventSummary(), previousStatus, notes, updatedBy };
+  queueEvent(this, 'payment.status_changed', eventData);
+  if (['completed', 'failed', 'cancelled'].includes(newStatus)) {
+    queueEvent(this, `payment.${newStatus}`, eventData);
+  }
 };
 
 // Method to add refund
@@ -418,6 +447,35 @@ paymentSchema.methods.addRefund = function(refundData) {
   } else if (totalRefunded > 0) {
     this.status = 'partially_refunded';
   }
+
+  queueEvent(this, 'payment.refunded', {
+    ...this.getEventSummary(),
+    refundId,
+    refundAmount: refundData.amount,
+    reason: refundData.reason
+  });
+
+  return refundId;
+};
+
+// Method to open a billing dispute
+paymentSchema.methods.openDispute = function(disputeData) {
+  const disputeId = `DSP${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`.toUpperCase();
+
+  this.disputes.push({
+    disputeId,
+    ...disputeData,
+    status: 'open'
+  });
+
+  queueEvent(this, 'dispute.opened', {
+    ...this.getEventSummary(),
+    disputeId,
+    reason: disputeData.reason,
+    disputedAmount: disputeData.amount
+  });
+
+  return disputeId;
 };
 
 // Static method to get payment summary for a client
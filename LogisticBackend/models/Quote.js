@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const quoteSchema = new mongoose.Schema({
+  // Quote Identification
+  quoteId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+
+  // Related Documents
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required']
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'requestedByModel'
+  },
+  requestedByModel: {
+    type: String,
+    enum: ['Client', 'Admin']
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    default: null
+  },
+
+  // Summary of what was quoted
+  serviceType: String,
+  priority: String,
+  totalWeight: Number,
+  pickupAddress: {
+    city: String,
+    state: String,
+    country: String
+  },
+  deliveryAddress: {
+    city: String,
+    state: String,
+    country: String
+  },
+
+  // Itemised price
+  pricing: {
+    baseRate: Number,
+    distanceRate: Number,
+    weightRate: Number,
+    urgencyRate: Number,
+    specialHandlingRate: Number,
+    totalAmount: {
+      type: Number,
+      required: true
+    },
+    currency: {
+      type: String,
+      default: 'USD'
+    },
+    distanceKm: Number,
+    distanceEstimated: Boolean,
+    chargeableWeight: Number,
+    calculatedAmount: Number,
+    calculatedAt: Date,
+    rateCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RateCard'
+    }
+  },
+
+  // Hash of the priced fields; a shipment must match it to use the quote
+  pricingFingerprint: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'accepted', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Pre-validate middleware to generate quote ID
+quoteSchema.pre('validate', function(next) {
+  if (this.isNew && !this.quoteId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.quoteId = `QT${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+// Virtual for whether the quote can still be used
+quoteSchema.virtual('isValid').get(function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+});
+
+// Index for efficient queries
+quoteSchema.index({ client: 1 });
+quoteSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Quote', quoteSchema);
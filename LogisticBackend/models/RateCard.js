@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+// A zone is matched field by field; any field left empty matches everything
+const zoneSchema = {
+  country: String,
+  state: String,
+  city: String,
+  zipPrefix: String
+};
+
+const rateCardSchema = new mongoose.Schema({
+  // Related Documents
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+
+  // Contract Details
+  name: {
+    type: String,
+    required: [true, 'Rate card name is required'],
+    trim: true,
+    maxlength: [100, 'Rate card name cannot exceed 100 characters']
+  },
+  contractReference: String,
+  currency: {
+    type: String,
+    default: 'USD',
+    enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD']
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required']
+  },
+  validTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Lane-based pricing (origin zone -> destination zone)
+  lanes: [{
+    origin: zoneSchema,
+    destination: zoneSchema,
+    baseRate: {
+      type: Number,
+      min: [0, 'Base rate cannot be negative']
+    },
+    perKmRate: {
+      type: Number,
+      min: [0, 'Per km rate cannot be negative']
+    }
+  }],
+
+  // Weight-break pricing, maxWeight empty means no upper limit
+  weightBreaks: [{
+    minWeight: {
+      type: Number,
+      required: true,
+      min: [0, 'Minimum weight cannot be negative']
+    },
+    maxWeight: Number,
+    ratePerKg: {
+      type: Number,
+      required: true,
+      min: [0, 'Rate per kg cannot be negative']
+    }
+  }],
+
+  // Service-type pricing
+  serviceTypes: [{
+    serviceType: {
+      type: String,
+      enum: ['standard', 'express', 'overnight', 'same_day'],
+      required: true
+    },
+    baseRate: {
+      type: Number,
+      min: [0, 'Base rate cannot be negative']
+    },
+    multiplier: {
+      type: Number,
+      default: 1,
+      min: [0, 'Multiplier cannot be negative']
+    }
+  }],
+
+  notes: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Number of zone fields matched, or -1 when the address falls outside the zone
+const scoreZone = (zone = {}, address = {}) => {
+  let score = 0;
+
+  for (const field of ['country', 'state', 'city']) {
+    if (!zone[field]) continue;
+    if (normalize(zone[field]) !== normalize(address[field])) return -1;
+    score++;
+  }
+
+  if (zone.zipPrefix) {
+    if (!normalize(address.zipCode).startsWith(normalize(zone.zipPrefix))) return -1;
+    score++;
+  }
+
+  return score;
+};
+
+// Virtual for whether the card is in force today
+rateCardSchema.virtual('isCurrent').get(function() {
+  const now = new Date();
+  return this.isActive && this.validFrom <= now && (!this.validTo || this.validTo >= now);
+});
+
+// Method to find the most specific lane covering a pickup/delivery pair
+rateCardSchema.methods.matchLane = function(pickupAddress, deliveryAddress) {
+  let bestLane = null;
+  let bestScore = -1;
+
+  this.lanes.forEach(lane => {
+    const originScore = scoreZone(lane.origin, pickupAddress);
+    const destinationScore = scoreZone(lane.destination, deliveryAddress);
+    if (originScore < 0 || destinationScore < 0) return;
+
+    if (originScore + destinationScore > bestScore) {
+      bestScore = originScore + destinationScore;
+      bestLane = lane;
+    }
+  });
+
+  return bestLane;
+};
+
+// Method to find the weight break for a chargeable weight
+rateCardSchema.methods.matchWeightBreak = function(weight) {
+  return this.weightBreaks.find(weightBreak =>
+    weight >= weightBreak.minWeight &&
+    (weightBreak.maxWeight == null || weight < weightBreak.maxWeight)
+  ) || null;
+};
+
+// Method to find the pricing for a service type
+rateCardSchema.methods.matchServiceType = function(serviceType) {
+  return this.serviceTypes.find(entry => entry.serviceType === serviceType) || null;
+};
+
+// Static method to get the rate card in force for a client on a given date
+rateCardSchema.statics.findActiveForClient = function(clientId, date = new Date()) {
+  return this.findOne({
+    client: clientId,
+    isActive: true,
+    validFrom: { $lte: date },
+    $or: [{ validTo: null }, { validTo: { $gte: date } }]
+  }).sort({ validFrom: -1 });
+};
+
+// Index for efficient queries
+rateCardSchema.index({ client: 1, isActive: 1, validFrom: -1 });
+
+module.exports = mongoose.model('RateCard', rateCardSchema);
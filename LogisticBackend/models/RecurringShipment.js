@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { parseSchedule, getOccurrences } = require('../utils/schedule');
+
+// Shipments are created this many hours before their pickup unless a definition says otherwise
+const DEFAULT_LEAD_TIME_HOURS = parseInt(process.env.RECURRING_LEAD_TIME_HOURS, 10) || 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const recurringShipmentSchema = new mongoose.Schema({
+  recurringId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'createdByModel'
+  },
+  createdByModel: {
+    type: String,
+    enum: ['Client', 'Admin']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // Cron ("0 9 * * 1-5") or RRULE ("FREQ=WEEKLY;BYDAY=MO,TH;BYHOUR=9") pickup times, in UTC
+  schedule: {
+    type: String,
+    required: [true, 'Schedule is required'],
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: Date,
+
+  // Shipment request body used for every occurrence (without the pickup and delivery dates)
+  shipmentData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Shipment details are required']
+  },
+  deliveryOffsetHours: {
+    type: Number,
+    default: 24,
+    min: [1, 'Delivery must be at least 1 hour after pickup']
+  },
+  leadTimeHours: {
+    type: Number,
+    default: DEFAULT_LEAD_TIME_HOURS,
+    min: [1, 'Lead time must be at least 1 hour'],
+    max: [720, 'Lead time cannot exceed 30 days']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active'
+  },
+  skippedOccurrences: [Date],
+
+  // Scheduler state
+  nextOccurrenceAt: Date,
+  nextRunAt: Date, // when the shipment for nextOccurrenceAt is created
+  lastOccurrenceAt: Date,
+  shipmentsCreated: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  lastErrorAt: Date
+}, {
+  timestamps: true
+});
+
+// Generate the recurring ID before validation
+recurringShipmentSchema.pre('validate', function(next) {
+  if (this.isNew && !this.recurringId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    this.recurringId = `RS${timestamp}${random}`.toUpperCase();
+  }
+  next();
+});
+
+// Method to list upcoming occurrences, leaving out skipped ones
+recurringShipmentSchema.methods.getUpcomingOccurrences = function(limit = 1, after = new Date()) {
+  const schedule = parseSchedule(this.schedule, this.startDate);
+  const skipped = new Set(this.skippedOccurrences.map(date => date.getTime()));
+
+  return getOccurrences(schedule, {
+    startDate: this.startDate,
+    after,
+    until: this.endDate,
+    limit: limit + skipped.size
+  })
+    .filter(occurrence => !skipped.has(occurrence.getTime()))
+    .slice(0, limit);
+};
+
+// Method to check whether a date is one of the schedule's occurrences
+recurringShipmentSchema.methods.isOccurrence = function(date) {
+  const [occurrence] = getOccurrences(parseSchedule(this.schedule, this.startDate), {
+    startDate: this.startDate,
+    after: new Date(date.getTime() - 1),
+    until: this.endDate
+  });
+  return !!occurrence && occurrence.getTime() === date.getTime();
+};
+
+// Method to move on to the first occurrence after `after`; completes the definition when none are left
+recurringShipmentSchema.methods.scheduleNext = function(after = new Date()) {
+  const [next] = this.getUpcomingOccurrences(1, after);
+
+  if (next) {
+    this.nextOccurrenceAt = next;
+    this.nextRunAt = new Date(next.getTime() - this.leadTimeHours * HOUR_MS);
+  } else {
+    this.nextOccurrenceAt = null;
+    this.nextRunAt = null;
+    this.status = 'completed';
+  }
+  return next || null;
+};
+
+// Index for efficient queries
+recurringShipmentSchema.index({ client: 1, status: 1 });
+recurringShipmentSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('RecurringShipment', recurringShipmentSchema);
@@ -1,4 +1,47 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { calculateVolume } = require('../utils/pricing');
+const { geoPointDefinition, toGeoPoint } = require('../utils/geo');
+const { queueEvent, eventPublisherPlugin } = require('../utils/events');
+const { hasNotificationTransport, sendDeliveryCode } = require('../utils/notifications');
+const { isWorkflowState, getTransitionError, assertTransition } = require('../utils/workflow');
+
+// One-time delivery codes stay valid for DELIVERY_CODE_TTL_HOURS (default 24)
+const DELIVERY_CODE_TTL_HOURS = parseInt(process.env.DELIVERY_CODE_TTL_HOURS, 10) || 24;
+const DELIVERY_CODE_MAX_ATTEMPTS = 5;
+
+// A stop is finished once it is completed, failed or skipped
+const STOP_TERMINAL_STATUSES = ['completed', 'failed', 'skipped'];
+
+// Unresolved issues escalate one level every ISSUE_ESCALATION_HOURS[severity] hours, up to the maximum level
+const ISSUE_ESCALATION_HOURS = {
+  critical: 1,
+  high: 4,
+  medium: 24,
+  low: 72
+};
+const ISSUE_MAX_ESCALATION_LEVEL = 3;
+
+// Statuses come from the editable workflow rather than a fixed enum
+const workflowStateValidator = {
+  validator: isWorkflowState,
+  message: props => `${props.value} is not a status in the shipment workflow`
+};
+
+// Review of a low rating left with feedback
+const ratingModerationDefinition = {
+  status: {
+    type: String,
+    enum: ['not_required', 'pending', 'approved', 'removed']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reviewedAt: Date,
+  notes: String
+};
 
 const shipmentSchema = new mongoose.Schema({
   // Shipment Identification
@@ -102,6 +145,7 @@ const shipmentSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
+    location: geoPointDefinition, // GeoJSON copy of coordinates
     specialInstructions: String
   },
   
@@ -109,6 +153,7 @@ const shipmentSchema = new mongoose.Schema({
     name: String,
     contactPerson: String,
     phone: String,
+    email: String,
     street: { type: String, required: true },
     city: { type: String, required: true },
     state: { type: String, required: true },
@@ -118,8 +163,84 @@ const shipmentSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
+    location: geoPointDefinition, // GeoJSON copy of coordinates
     specialInstructions: String
   },
+
+  // Multi-stop shipments: ordered stops (first a pickup, last a delivery) and the legs between them.
+  // pickupAddress and deliveryAddress mirror the first and last stop.
+  stops: [{
+    type: {
+      type: String,
+      enum: ['pickup', 'hub', 'delivery'],
+      required: true
+    },
+    address: {
+      name: String,
+      contactPerson: String,
+      phone: String,
+      email: String,
+      street: { type: String, required: true },
+      city: { type: String, required: true },
+      state: { type: String, required: true },
+      zipCode: { type: String, required: true },
+      country: { type: String, required: true },
+      coordinates: {
+        latitude: Number,
+        longitude: Number
+      },
+      location: geoPointDefinition, // GeoJSON copy of coordinates
+      specialInstructions: String
+    },
+    // Quantities of shipment items collected or dropped at this stop
+    items: [{
+      itemIndex: { type: Number, required: true, min: 0 }, // position in items
+      quantity: { type: Number, required: true, min: 1 }
+    }],
+    timeWindow: {
+      start: String, // format: "HH:MM"
+      end: String    // format: "HH:MM"
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'arrived', 'completed', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    arrivedAt: Date,
+    completedAt: Date,
+    failureReason: String,
+    proof: {
+      recipientName: String,
+      signature: String, // URL of the signature image
+      idVerified: Boolean,
+      notes: String,
+      location: {
+        latitude: Number,
+        longitude: Number
+      },
+      completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver'
+      }
+    }
+  }],
+  legs: [{
+    fromStop: { type: Number, required: true },
+    toStop: { type: Number, required: true },
+    // null: the leg continues with the driver who drove the previous one
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver',
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'in_transit', 'completed'],
+      default: 'pending'
+    },
+    startedAt: Date,
+    completedAt: Date
+  }],
   
   // Shipping Details
   serviceType: {
@@ -138,7 +259,7 @@ const shipmentSchema = new mongoose.Schema({
   // Status Tracking
   status: {
     type: String,
-    enum: ['pending', 'assigned', 'picked', 'packed', 'processing', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned', 'cancelled'],
+    validate: workflowStateValidator,
     default: 'pending'
   },
   
@@ -146,7 +267,7 @@ const shipmentSchema = new mongoose.Schema({
   timeline: [{
     status: {
       type: String,
-      enum: ['pending', 'assigned', 'picked', 'packed', 'processing', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned', 'cancelled']
+      validate: workflowStateValidator
     },
     timestamp: {
       type: Date,
@@ -185,6 +306,54 @@ const shipmentSchema = new mongoose.Schema({
   },
   actualPickupDate: Date,
   actualDeliveryDate: Date,
+
+  // Predicted delivery time, recomputed on location pings and status changes (see utils/eta.js)
+  eta: {
+    estimatedDeliveryAt: Date,
+    computedAt: Date,
+    remainingDistanceKm: Number,
+    remainingStops: Number,
+    speedKmh: Number,
+    basis: {
+      type: String,
+      enum: ['lane_history', 'service_default']
+    },
+    likelyLate: {
+      type: Boolean,
+      default: false
+    }
+  },
+  etaHistory: [{
+    estimatedDeliveryAt: Date,
+    computedAt: Date,
+    reason: String, // created, status_changed, stop_updated, location_update
+    likelyLate: Boolean
+  }],
+
+  // Service-level tracking against the matching SlaPolicy (see utils/sla.js)
+  sla: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy'
+    },
+    assignmentDueAt: Date,
+    pickupDueAt: Date,
+    deliveryDueAt: Date,
+    breaches: [{
+      stage: {
+        type: String,
+        enum: ['assignment', 'pickup', 'delivery']
+      },
+      dueAt: Date,
+      detectedAt: Date
+    }],
+    breached: {
+      type: Boolean,
+      default: false
+    },
+    evaluatedAt: Date,
+    closedAt: Date // set once the shipment is finished and no stage can be breached any more
+  },
   
   // Time windows
   pickupTimeWindow: {
@@ -195,6 +364,54 @@ const shipmentSchema = new mongoose.Schema({
     start: String, // format: "HH:MM"
     end: String    // format: "HH:MM"
   },
+
+  // Standing order this shipment was created from, and the occurrence it fulfils
+  recurringShipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringShipment',
+    default: null
+  },
+  recurringOccurrence: Date,
+
+  // Returns: a return shipment runs the other way (returnOf points at the original) and the original
+  // points at its return (returnShipment). Both carry the same return authorisation.
+  direction: {
+    type: String,
+    enum: ['forward', 'return'],
+    default: 'forward'
+  },
+  returnOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    default: null
+  },
+  returnShipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    default: null
+  },
+  rma: {
+    number: String,
+    reason: {
+      type: String,
+      enum: ['refused_by_consignee', 'undeliverable', 'damaged', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other']
+    },
+    reasonDescription: String,
+    // Who pays for the return movement
+    chargeTo: {
+      type: String,
+      enum: ['client', 'consignee']
+    },
+    authorizedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'rma.authorizedByModel'
+    },
+    authorizedByModel: {
+      type: String,
+      enum: ['Client', 'Admin']
+    },
+    authorizedAt: Date
+  },
   
   // Pricing
   pricing: {
@@ -210,9 +427,58 @@ const shipmentSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: 'USD'
+    },
+    distanceKm: Number,
+    distanceEstimated: Boolean,
+    chargeableWeight: Number,
+    calculatedAmount: Number, // Amount produced by the pricing engine
+    calculatedAt: Date,
+    quoteId: String, // Set when the price was honoured from a quote
+    rateCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RateCard'
+    },
+    override: {
+      isOverridden: {
+        type: Boolean,
+        default: false
+      },
+      originalAmount: Number,
+      reason: String,
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      overriddenAt: Date
     }
   },
-  
+
+  // Cash on delivery: collected from the consignee by the driver, held by the driver until it is
+  // handed in and reconciled, then remitted to the client's balance
+  cod: {
+    amount: {
+      type: Number,
+      min: [0, 'Cash on delivery amount cannot be negative']
+    },
+    currency: String,
+    status: {
+      type: String,
+      enum: ['pending', 'collected', 'remitted']
+    },
+    collectedAmount: Number,
+    collectedAt: Date,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
+    },
+    collectionNotes: String,
+    reconciliation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CodReconciliation'
+    },
+    remittedAt: Date
+  },
+
   // Insurance
   insurance: {
     isInsured: {
@@ -298,6 +564,10 @@ const shipmentSchema = new mongoose.Schema({
     ageVerificationRequired: {
       type: Boolean,
       default: false
+    },
+    deliveryCodeRequired: {
+      type: Boolean,
+      default: false
     }
   },
   
@@ -309,6 +579,29 @@ const shipmentSchema = new mongoose.Schema({
       relationToRecipient: String,
       idVerified: Boolean
     },
+    // One-time code sent to the consignee when the shipment goes out for delivery
+    otp: {
+      codeHash: {
+        type: String,
+        select: false
+      },
+      sentAt: Date,
+      sentVia: [String],
+      expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      verifiedAt: Date
+    },
+    deliveredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
+    },
+    deliveryLocation: {
+      latitude: Number,
+      longitude: Number
+    },
     deliveryNotes: String,
     deliveryProof: [{
       type: String,
@@ -316,17 +609,19 @@ const shipmentSchema = new mongoose.Schema({
     }]
   },
   
-  // Rating and Feedback
+  // Rating and Feedback: clientRating is given by the client (of the driver), driverRating by the driver (of the client)
   rating: {
     clientRating: {
       rating: { type: Number, min: 1, max: 5 },
       feedback: String,
-      date: Date
+      date: Date,
+      moderation: ratingModerationDefinition
     },
     driverRating: {
       rating: { type: Number, min: 1, max: 5 },
       feedback: String,
-      date: Date
+      date: Date,
+      moderation: ratingModerationDefinition
     }
   },
   
@@ -336,7 +631,20 @@ const shipmentSchema = new mongoose.Schema({
       type: String,
       enum: ['delay', 'damage', 'lost', 'wrong_address', 'recipient_unavailable', 'weather', 'vehicle_breakdown', 'other']
     },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      default: 'medium'
+    },
     description: String,
+    photos: [{
+      _id: false,
+      url: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     reportedBy: {
       type: mongoose.Schema.Types.ObjectId,
       refPath: 'issues.reportedByModel'
@@ -349,11 +657,46 @@ const shipmentSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
+    state: {
+      type: String,
+      enum: ['open', 'in_progress', 'escalated', 'resolved'],
+      default: 'open'
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    assignedAt: Date,
+    comments: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      text: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    escalationLevel: {
+      type: Number,
+      default: 0
+    },
+    escalatedAt: Date,
+    nextEscalationAt: Date,
     resolved: {
       type: Boolean,
       default: false
     },
+    resolutionCode: {
+      type: String,
+      enum: ['resolved_in_transit', 'redelivered', 'address_corrected', 'reshipped', 'refunded', 'claim_filed', 'returned_to_sender', 'no_action_needed', 'other']
+    },
     resolution: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
     resolvedAt: Date
   }],
   
@@ -373,7 +716,13 @@ const shipmentSchema = new mongoose.Schema({
       enum: ['Driver', 'Client', 'Admin']
     },
     cancelledAt: Date,
-    refundAmount: Number
+    // Status the shipment was in when it was cancelled
+    cancelledFromStatus: String,
+    fee: Number,
+    feePercent: Number,
+    feeWaived: Boolean,
+    refundAmount: Number,
+    refundId: String
   }
 }, {
   timestamps: true,
@@ -405,24 +754,84 @@ shipmentSchema.pre('save', async function(next) {
       notes: 'Shipment request created',
       updatedBy: 'system'
     });
+
+    queueEvent(this, 'shipment.created', this.getEventSummary());
   }
   next();
 });
 
+// Keep the GeoJSON address locations in step with their coordinates
+shipmentSchema.pre('save', function(next) {
+  ['pickupAddress', 'deliveryAddress'].forEach(field => {
+    if (this.isNew || this.isModified(`${field}.coordinates`)) {
+      this.set(`${field}.location`, toGeoPoint(this[field]?.coordinates));
+    }
+  });
+  if (this.isNew || this.isModified('stops')) {
+    this.stops.forEach(stop => {
+      stop.address.location = toGeoPoint(stop.address.coordinates);
+    });
+  }
+  next();
+});
+
+// Send a newly issued delivery code to the consignee once it has been stored
+shipmentSchema.post('save', function(doc) {
+  const code = doc.$locals.deliveryCode;
+  if (!code) return;
+  delete doc.$locals.deliveryCode;
+
+  // Only stamped once the transport has actually taken the message
+  sendDeliveryCode(doc, code)
+    .then(sentVia => sentVia.length > 0 && doc.constructor.updateOne(
+      { _id: doc._id },
+      { $set: { 'delivery.otp.sentAt': new Date(), 'delivery.otp.sentVia': sentVia } }
+    ))
+    .catch(error => console.error(`Delivery code notification error for ${doc.shipmentId}: ${error.message}`));
+});
+
 // Virtual for estimated delivery time
 shipmentSchema.virtual('estimatedTransitTime').get(function() {
   if (!this.requestedPickupDate || !this.requestedDeliveryDate) return null;
   return Math.ceil((this.requestedDeliveryDate - this.requestedPickupDate) / (1000 * 60 * 60 * 24));
 });
 
+// Virtual for total volume in cubic metres
+shipmentSchema.virtual('totalVolume').get(function() {
+  return calculateVolume(this.items);
+});
+
 // Virtual for current status info
 shipmentSchema.virtual('currentStatusInfo').get(function() {
   if (this.timeline.length === 0) return null;
   return this.timeline[this.timeline.length - 1];
 });
 
-// Method to update status
+// Publish queued shipment events once saved
+shipmentSchema.plugin(eventPublisherPlugin);
+
+// Method to summarise the shipment for event payloads
+shipmentSchema.methods.getEventSummary = function() {
+  return {
+    shipment: this._id,
+    shipmentId: this.shipmentId,
+    trackingNumber: this.trackingNumber,
+    client: this.client?._id || this.client,
+    driver: this.driver?._id || this.driver,
+    status: this.status
+  };
+};
+
+// Method to check a status change against the workflow; returns { message, missingRequirements } or null
+shipmentSchema.methods.getTransitionError = function(newStatus, { role, notes, location } = {}) {
+  return getTransitionError(this, newStatus, { role, notes, location });
+};
+
+// Method to update status; throws a 400 ErrorResponse when the workflow does not allow the change
 shipmentSchema.methods.updateStatus = function(newStatus, location, notes, updatedBy, updatedByUser) {
+  assertTransition(this, newStatus, { role: updatedBy, notes, location });
+
+  const previousStatus = this.status;
   this.status = newStatus;
   this.timeline.push({
     status: newStatus,
@@ -436,9 +845,408 @@ shipmentSchema.methods.updateStatus = function(newStatus, location, notes, updat
   // Update specific date fields
   if (newStatus === 'picked') {
     this.actualPickupDate = new Date();
+  } else if (newStatus === 'out_for_delivery' && this.stops.length === 0 && hasNotificationTransport() && (this.deliveryAddress?.phone || this.deliveryAddress?.email)) {
+    this.issueDeliveryCode();
   } else if (newStatus === 'delivered') {
     this.actualDeliveryDate = new Date();
   }
+
+  const eventData = {
+    ...this.getEventSummary(),
+    previousStatus,
+    location,
+    notes,
+    updatedBy
+  };
+  queueEvent(this, 'shipment.status_changed', eventData);
+  if (['assigned', 'delivered', 'cancelled'].includes(newStatus)) {
+    queueEvent(this, `shipment.${newStatus}`, eventData);
+  }
+};
+
+// Method to cancel the shipment; throws a 400 ErrorResponse when the workflow does not allow it.
+// The driver is unassigned and any leg not yet completed is released.
+shipmentSchema.methods.cancel = function({ reason, fee = 0, feePercent = 0, feeWaived = false, refundAmount = 0, cancelledBy, cancelledByModel, updatedBy }) {
+  const cancelledFromStatus = this.status;
+  this.updateStatus('cancelled', null, reason, updatedBy, cancelledBy);
+
+  this.cancellation = {
+    isCancelled: true,
+    reason,
+    cancelledBy,
+    cancelledByModel,
+    cancelledAt: new Date(),
+    cancelledFromStatus,
+    fee,
+    feePercent,
+    feeWaived,
+    refundAmount
+  };
+
+  this.driver = undefined;
+  this.legs.forEach(leg => {
+    if (leg.status !== 'completed') {
+      leg.driver = undefined;
+    }
+  });
+};
+
+// Method to record the cash a driver collected for a cash-on-delivery shipment.
+// Returns the difference from the amount due (negative when short).
+shipmentSchema.methods.recordCodCollection = function(amount, driverId, notes) {
+  this.cod.status = 'collected';
+  this.cod.collectedAmount = amount;
+  this.cod.collectedAt = new Date();
+  this.cod.collectedBy = driverId;
+  this.cod.collectionNotes = notes;
+
+  return Math.round((amount - this.cod.amount) * 100) / 100;
+};
+
+// Method to attach uploaded documents
+shipmentSchema.methods.addDocuments = function(documents) {
+  this.documents.push(...documents);
+  queueEvent(this, 'shipment.document_added', {
+    ...this.getEventSummary(),
+    documents: documents.map(document => ({ type: document.type, name: document.name }))
+  });
+};
+
+// Method to attach photos taken by a driver
+shipmentSchema.methods.addPhotos = function(photos) {
+  this.photos.push(...photos);
+  queueEvent(this, 'shipment.photo_added', {
+    ...this.getEventSummary(),
+    photos: photos.map(photo => ({ type: photo.type, description: photo.description }))
+  });
+};
+
+// Method to generate a new one-time delivery code; it is sent to the consignee after save
+shipmentSchema.methods.issueDeliveryCode = function() {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  this.delivery.otp = {
+    codeHash: bcrypt.hashSync(code, 10),
+    sentAt: null,
+    sentVia: [],
+    expiresAt: new Date(Date.now() + DELIVERY_CODE_TTL_HOURS * 60 * 60 * 1000),
+    attempts: 0,
+    verifiedAt: null
+  };
+  this.$locals.deliveryCode = code;
+
+  return code;
+};
+
+// Method to check a delivery code given by the consignee (requires delivery.otp.codeHash to be selected)
+shipmentSchema.methods.verifyDeliveryCode = function(code) {
+  const otp = this.delivery?.otp;
+  if (!otp?.codeHash) return { verified: false, reason: 'No delivery code has been issued' };
+  if (otp.expiresAt && otp.expiresAt < new Date()) return { verified: false, reason: 'Delivery code has expired' };
+  if (otp.attempts >= DELIVERY_CODE_MAX_ATTEMPTS) return { verified: false, reason: 'Too many incorrect delivery codes' };
+
+  if (!bcrypt.compareSync(String(code), otp.codeHash)) {
+    otp.attempts += 1;
+    return { verified: false, reason: 'Incorrect delivery code' };
+  }
+
+  otp.verifiedAt = new Date();
+  return { verified: true };
+};
+
+// Method to list the proofs the shipment's requirements still need before it can be delivered
+shipmentSchema.methods.getMissingDeliveryProofs = function() {
+  const missing = [];
+  const recipient = this.delivery?.recipient || {};
+
+  if (this.requirements?.signatureRequired && !recipient.signature) {
+    missing.push('signature');
+  }
+  if (this.requirements?.ageVerificationRequired && !recipient.idVerified) {
+    missing.push('id_verification');
+  }
+  if (this.requirements?.deliveryCodeRequired && !this.delivery?.otp?.verifiedAt) {
+    missing.push('delivery_code');
+  }
+
+  return missing;
+};
+
+// Method to check the shipment against an SLA policy. Records and returns the stages newly breached,
+// and closes SLA tracking once the shipment is finished.
+shipmentSchema.methods.evaluateSla = function(policy, now = new Date()) {
+  const finished = ['delivered', 'failed', 'returned', 'cancelled'].includes(this.status);
+  const assignedAt = this.timeline.find(entry => entry.status === 'assigned')?.timestamp;
+
+  // Each stage runs from its start until it is completed, or until now while the shipment is still moving
+  const stages = [
+    { stage: 'assignment', startedAt: this.createdAt, completedAt: assignedAt },
+    { stage: 'pickup', startedAt: assignedAt, completedAt: this.actualPickupDate },
+    { stage: 'delivery', startedAt: this.actualPickupDate, completedAt: this.actualDeliveryDate }
+  ];
+
+  const newBreaches = [];
+  this.sla.policy = policy._id;
+
+  stages.forEach(({ stage, startedAt, completedAt }) => {
+    const targetMinutes = policy.getTargetMinutes(stage);
+    if (!targetMinutes || !startedAt) return;
+
+    const dueAt = new Date(startedAt.getTime() + targetMinutes * 60 * 1000);
+    this.sla[`${stage}DueAt`] = dueAt;
+
+    const endedAt = completedAt || (finished ? null : now);
+    if (!endedAt || endedAt <= dueAt) return;
+    if (this.sla.breaches.some(breach => breach.stage === stage)) return;
+
+    const breach = { stage, dueAt, detectedAt: now };
+    this.sla.breaches.push(breach);
+    newBreaches.push(breach);
+  });
+
+  this.sla.breached = this.sla.breaches.length > 0;
+  this.sla.evaluatedAt = now;
+  if (finished) {
+    this.sla.closedAt = now;
+  }
+
+  newBreaches.forEach(breach => queueEvent(this, 'shipment.sla_breached', {
+    ...this.getEventSummary(),
+    stage: breach.stage,
+    dueAt: breach.dueAt
+  }));
+
+  return newBreaches;
+};
+
+// Method to list the addresses still to be visited, in order
+shipmentSchema.methods.getRemainingRoute = function() {
+  if (this.stops.length > 0) {
+    return this.stops
+      .filter(stop => ['pending', 'arrived'].includes(stop.status))
+      .map(stop => stop.address);
+  }
+  return ['pending', 'assigned'].includes(this.status)
+    ? [this.pickupAddress, this.deliveryAddress]
+    : [this.deliveryAddress];
+};
+
+// Method to get the leg being driven, or the next one to start
+shipmentSchema.methods.getCurrentLeg = function() {
+  return this.legs.find(leg => leg.status !== 'completed') || null;
+};
+
+// Method to assign a driver to one leg; the driver of the current leg drives the shipment
+shipmentSchema.methods.assignLegDriver = function(legIndex, driverId, notes, updatedBy, updatedByUser) {
+  const leg = this.legs[legIndex];
+  leg.driver = driverId;
+
+  if (leg === this.getCurrentLeg()) {
+    this.driver = driverId;
+    if (this.status === 'pending') {
+      this.updateStatus('assigned', null, notes, updatedBy, updatedByUser);
+    }
+  }
+};
+
+// Method to check a stop update against the stop order; returns the reason it is refused, or null
+shipmentSchema.methods.getStopUpdateError = function(index, status) {
+  const stop = this.stops[index];
+
+  if (STOP_TERMINAL_STATUSES.includes(stop.status)) {
+    return `Stop ${index + 1} is already ${stop.status}`;
+  }
+  if (status === 'arrived' && stop.status === 'arrived') {
+    return `Already arrived at stop ${index + 1}`;
+  }
+
+  const openStop = this.stops.findIndex(other => !STOP_TERMINAL_STATUSES.includes(other.status));
+  if (openStop < index) {
+    return `Stop ${openStop + 1} must be finished first`;
+  }
+  return null;
+};
+
+// Method to list the proofs a delivery stop still needs before it can be completed
+shipmentSchema.methods.getMissingStopProofs = function(index, proof = {}) {
+  const missing = [];
+  if (this.stops[index].type !== 'delivery') return missing;
+
+  if (this.requirements?.signatureRequired && !proof.signature) {
+    missing.push('signature');
+  }
+  if (this.requirements?.ageVerificationRequired && !proof.idVerified) {
+    missing.push('id_verification');
+  }
+  return missing;
+};
+
+// Method to work out the overall status of a multi-stop shipment from its stops
+shipmentSchema.methods.deriveStatusFromStops = function() {
+  if (this.stops.length === 0 || ['cancelled', 'returned'].includes(this.status)) {
+    return this.status;
+  }
+
+  const isFinished = (stop) => STOP_TERMINAL_STATUSES.includes(stop.status);
+  const deliveries = this.stops.filter(stop => stop.type === 'delivery');
+
+  // Delivered once every drop is finished and at least one succeeded
+  if (deliveries.every(isFinished)) {
+    return deliveries.some(stop => stop.status === 'completed') ? 'delivered' : 'failed';
+  }
+
+  if (!this.stops.some(stop => stop.type === 'pickup' && stop.status === 'completed')) {
+    return this.driver ? 'assigned' : 'pending';
+  }
+
+  const nextStop = this.stops.find(stop => !isFinished(stop));
+  return nextStop.type === 'delivery' ? 'out_for_delivery' : 'in_transit';
+};
+
+// Method to record progress at a stop: completes the leg into it, starts the leg out of it
+// (handing over to that leg's driver) and updates the overall status
+shipmentSchema.methods.updateStop = function(index, status, { proof, failureReason, location, notes, updatedBy, updatedByUser } = {}) {
+  const stop = this.stops[index];
+  const now = new Date();
+
+  stop.status = status;
+  if (status === 'arrived') {
+    stop.arrivedAt = now;
+  } else {
+    stop.arrivedAt = stop.arrivedAt || now;
+    stop.completedAt = now;
+  }
+  if (status === 'failed') {
+    stop.failureReason = failureReason;
+  }
+  if (proof) {
+    stop.proof = proof;
+  }
+  if (status === 'completed' && stop.type === 'pickup' && !this.actualPickupDate) {
+    this.actualPickupDate = now;
+  }
+
+  if (STOP_TERMINAL_STATUSES.includes(status)) {
+    const arrivingLeg = this.legs.find(leg => leg.toStop === index);
+    if (arrivingLeg) {
+      arrivingLeg.status = 'completed';
+      arrivingLeg.completedAt = now;
+      arrivingLeg.driver = arrivingLeg.driver || this.driver;
+    }
+
+    const departingLeg = this.legs.find(leg => leg.fromStop === index);
+    if (departingLeg) {
+      departingLeg.status = 'in_transit';
+      departingLeg.startedAt = now;
+      if (departingLeg.driver) {
+        this.driver = departingLeg.driver;
+      } else {
+        departingLeg.driver = this.driver;
+      }
+    }
+  }
+
+  const derivedStatus = this.deriveStatusFromStops();
+  if (derivedStatus !== this.status) {
+    // Recorded as a system change: it follows from the stop, not from a status the user picked
+    this.updateStatus(derivedStatus, location, notes || `Stop ${index + 1} ${status}`, 'system', updatedByUser);
+  }
+
+  queueEvent(this, 'shipment.stop_updated', {
+    ...this.getEventSummary(),
+    stop: {
+      index,
+      type: stop.type,
+      status: stop.status,
+      city: stop.address.city,
+      state: stop.address.state,
+      completedStops: this.stops.filter(other => STOP_TERMINAL_STATUSES.includes(other.status)).length,
+      totalStops: this.stops.length
+    }
+  });
+};
+
+// Method to report an issue; it starts escalating if nobody resolves it in time
+shipmentSchema.methods.reportIssue = function({ type, severity = 'medium', description, photos = [], reportedBy, reportedByModel }) {
+  const reportedAt = new Date();
+  this.issues.push({
+    type,
+    severity,
+    description,
+    photos,
+    reportedBy,
+    reportedByModel,
+    reportedAt,
+    nextEscalationAt: this.constructor.getNextIssueEscalation({ severity }, 0, reportedAt)
+  });
+  const issue = this.issues[this.issues.length - 1];
+
+  queueEvent(this, 'shipment.issue_reported', {
+    ...this.getEventSummary(),
+    issue: {
+      id: issue._id,
+      type,
+      severity,
+      description,
+      reportedByModel
+    }
+  });
+
+  return issue;
+};
+
+// Method to give an issue an owner
+shipmentSchema.methods.assignIssueOwner = function(issue, adminId) {
+  issue.owner = adminId;
+  issue.assignedAt = new Date();
+  if (issue.state === 'open') {
+    issue.state = 'in_progress';
+  }
+};
+
+// Method to comment on an issue
+shipmentSchema.methods.addIssueComment = function(issue, adminId, text) {
+  issue.comments.push({ author: adminId, text });
+  return issue.comments[issue.comments.length - 1];
+};
+
+// Method to resolve an issue; it stops escalating
+shipmentSchema.methods.resolveIssue = function(issue, { resolutionCode, resolution, adminId }) {
+  issue.state = 'resolved';
+  issue.resolved = true;
+  issue.resolutionCode = resolutionCode;
+  issue.resolution = resolution;
+  issue.resolvedBy = adminId;
+  issue.resolvedAt = new Date();
+  issue.nextEscalationAt = undefined;
+
+  queueEvent(this, 'shipment.issue_resolved', {
+    ...this.getEventSummary(),
+    issue: {
+      id: issue._id,
+      type: issue.type,
+      severity: issue.severity,
+      resolutionCode
+    }
+  });
+};
+
+// When an unresolved issue at the given level escalates next, or null at the top level
+shipmentSchema.statics.getNextIssueEscalation = function(issue, level, from = new Date()) {
+  if (level >= ISSUE_MAX_ESCALATION_LEVEL) return null;
+  return new Date(from.getTime() + ISSUE_ESCALATION_HOURS[issue.severity] * 60 * 60 * 1000);
+};
+
+// Method to override the calculated price (admin only)
+shipmentSchema.methods.applyPricingOverride = function(amount, reason, adminId) {
+  this.pricing.override = {
+    isOverridden: true,
+    originalAmount: this.pricing.calculatedAmount ?? this.pricing.totalAmount,
+    reason,
+    overriddenBy: adminId,
+    overriddenAt: new Date()
+  };
+  this.pricing.totalAmount = amount;
 };
 
 // Index for efficient queries
@@ -451,5 +1259,19 @@ shipmentSchema.index({ requestedPickupDate: 1 });
 shipmentSchema.index({ requestedDeliveryDate: 1 });
 shipmentSchema.index({ priority: 1 });
 shipmentSchema.index({ createdAt: -1 });
+shipmentSchema.index({ 'sla.closedAt': 1, 'sla.evaluatedAt': 1 });
+shipmentSchema.index({ 'issues.nextEscalationAt': 1 }, { sparse: true });
+shipmentSchema.index({ direction: 1, client: 1, createdAt: -1 });
+shipmentSchema.index({ 'rma.number': 1 }, { sparse: true });
+shipmentSchema.index({ 'cod.collectedBy': 1, 'cod.status': 1, 'cod.collectedAt': 1 }, { sparse: true });
+shipmentSchema.index({ 'issues.state': 1, 'issues.type': 1 });
+shipmentSchema.index({ 'rating.clientRating.moderation.status': 1 }, { sparse: true });
+shipmentSchema.index({ 'rating.driverRating.moderation.status': 1 }, { sparse: true });
+shipmentSchema.index(
+  { recurringShipment: 1, recurringOccurrence: 1 },
+  { unique: true, partialFilterExpression: { recurringShipment: { $type: 'objectId' } } }
+);
+shipmentSchema.index({ 'pickupAddress.location': '2dsphere' });
+shipmentSchema.index({ 'deliveryAddress.location': '2dsphere' });
 
 module.exports = mongoose.model('Shipment', shipmentSchema);
\ No newline at end of file
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const timeWindowDefinition = {
+  start: String, // format: "HH:MM"
+  end: String    // format: "HH:MM"
+};
+
+const shipmentTemplateSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+
+  // Shipment defaults; anything sent with the shipment request takes precedence
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  items: [{
+    name: {
+      type: String,
+      required: true
+    },
+    description: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: [0.1, 'Weight must be at least 0.1 kg']
+    },
+    dimensions: {
+      length: Number,
+      width: Number,
+      height: Number,
+      unit: {
+        type: String,
+        enum: ['cm', 'inch'],
+        default: 'cm'
+      }
+    },
+    value: {
+      amount: Number,
+      currency: {
+        type: String,
+        default: 'USD'
+      }
+    },
+    category: {
+      type: String,
+      enum: ['Electronics', 'Clothing', 'Food', 'Documents', 'Machinery', 'Chemicals', 'Other'],
+      required: true
+    },
+    isFragile: {
+      type: Boolean,
+      default: false
+    },
+    specialHandling: String
+  }],
+  serviceType: {
+    type: String,
+    enum: ['standard', 'express', 'overnight', 'same_day'],
+    default: 'standard'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  requirements: {
+    temperatureControlled: Boolean,
+    temperatureRange: {
+      min: Number,
+      max: Number,
+      unit: {
+        type: String,
+        enum: ['celsius', 'fahrenheit']
+      }
+    },
+    hazardousMaterial: Boolean,
+    hazardClass: String,
+    signatureRequired: Boolean,
+    ageVerificationRequired: Boolean,
+    deliveryCodeRequired: Boolean
+  },
+  pickupTimeWindow: timeWindowDefinition,
+  deliveryTimeWindow: timeWindowDefinition,
+
+  // Lane: entries from the client's address book
+  pickupAddressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  deliveryAddressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Method to turn the template into shipment request fields
+shipmentTemplateSchema.methods.toShipmentData = function() {
+  const template = this.toObject();
+  const data = {};
+
+  ['description', 'serviceType', 'priority', 'pickupTimeWindow', 'deliveryTimeWindow', 'requirements'].forEach(field => {
+    if (template[field] !== undefined && template[field] !== null) {
+      data[field] = template[field];
+    }
+  });
+  if (template.items && template.items.length > 0) {
+    data.items = template.items.map(({ _id, ...item }) => item);
+  }
+
+  return data;
+};
+
+// Index for efficient queries
+shipmentTemplateSchema.index({ client: 1, name: 1 });
+
+module.exports = mongoose.model('ShipmentTemplate', shipmentTemplateSchema);
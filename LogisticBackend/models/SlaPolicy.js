@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Service-level commitment for one service type. Targets are in minutes; a target left empty is not tracked.
+// A policy with a client applies to that client's shipments instead of the platform policy for the service type.
+const slaPolicySchema = new mongoose.Schema({
+  serviceType: {
+    type: String,
+    enum: ['standard', 'express', 'overnight', 'same_day'],
+    required: [true, 'Service type is required']
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null // null: platform policy
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // Targets
+  assignmentMinutes: {
+    type: Number,
+    min: [1, 'Targets must be at least 1 minute']
+  }, // pending -> assigned
+  pickupMinutes: {
+    type: Number,
+    min: [1, 'Targets must be at least 1 minute']
+  }, // assigned -> picked up
+  deliveryMinutes: {
+    type: Number,
+    min: [1, 'Targets must be at least 1 minute']
+  }, // picked up -> delivered
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get the target for a stage in minutes, or null
+slaPolicySchema.methods.getTargetMinutes = function(stage) {
+  return this[`${stage}Minutes`] || null;
+};
+
+// Static method to pick the policy for a shipment from a list of active policies
+slaPolicySchema.statics.matchPolicy = function(policies, shipment) {
+  const clientId = (shipment.client?._id || shipment.client)?.toString();
+  const forServiceType = policies.filter(policy => policy.serviceType === shipment.serviceType);
+
+  return forServiceType.find(policy => policy.client && policy.client.toString() === clientId) ||
+    forServiceType.find(policy => !policy.client) ||
+    null;
+};
+
+// Index for efficient queries
+slaPolicySchema.index({ serviceType: 1, client: 1, isActive: 1 });
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const webhookSchema = new mongoose.Schema({
+  // Owner; null for platform-wide hooks registered by an admin
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'createdByModel'
+  },
+  createdByModel: {
+    type: String,
+    enum: ['Client', 'Admin']
+  },
+
+  // Endpoint
+  url: {
+    type: String,
+    required: [true, 'Endpoint URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [String],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event type is required'
+    }
+  },
+  // Shared secret used to sign every delivery
+  secret: {
+    type: String,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Delivery health
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  lastDeliveryAt: Date,
+  lastSuccessAt: Date,
+  lastFailureAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Generate the signing secret on creation
+webhookSchema.pre('validate', function(next) {
+  if (this.isNew && !this.secret) {
+    this.secret = this.constructor.generateSecret();
+  }
+  next();
+});
+
+// Static method to generate a signing secret
+webhookSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Index for efficient queries
+webhookSchema.index({ client: 1, isActive: 1 });
+webhookSchema.index({ events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
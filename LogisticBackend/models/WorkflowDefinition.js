@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Editable shipment status workflow: the states a shipment can be in and the transitions between them.
+// One document per workflow key; see utils/workflow.js for the default and how it is enforced.
+const workflowDefinitionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'shipment'
+  },
+  states: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      match: [/^[a-z][a-z_]*$/, 'State names use lowercase letters and underscores']
+    },
+    label: String,
+    terminal: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  transitions: [{
+    _id: false,
+    from: {
+      type: String,
+      required: true
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    // Who may trigger the transition; 'system' covers automatic changes (auto-assign, multi-stop progress, jobs)
+    roles: [{
+      type: String,
+      enum: ['client', 'driver', 'admin', 'system']
+    }],
+    // Side data the transition needs
+    requires: [{
+      type: String,
+      enum: ['reason', 'photo', 'location', 'signature']
+    }]
+  }],
+  version: {
+    type: Number,
+    default: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WorkflowDefinition', workflowDefinitionSchema);
@@ -1,11 +1,25 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, validationResult, query, param } = require('express-validator');
 const Driver = require('../models/Driver');
 const Client = require('../models/Client');
 const Admin = require('../models/Admin');
 const Shipment = require('../models/Shipment');
 const Payment = require('../models/Payment');
+const RateCard = require('../models/RateCard');
+const LocationHistory = require('../models/LocationHistory');
+const DocumentTemplate = require('../models/DocumentTemplate');
+const SlaPolicy = require('../models/SlaPolicy');
+const Alert = require('../models/Alert');
+const CodReconciliation = require('../models/CodReconciliation');
 const { protect, authorize, checkPermission, logAdminActivity, sendTokenResponse } = require('../middleware/auth');
+const { haversineDistance } = require('../utils/geo');
+const { planDriverRoute } = require('../utils/routePlanner');
+const { buildSlaReport } = require('../utils/sla');
+const { buildExceptionsQueue } = require('../utils/issues');
+const { moderateRating, buildModerationQueue } = require('../utils/ratings');
+const { buildReturnsReport } = require('../utils/returns');
+const { getDriverCashSummary, reconcileDriverCash } = require('../utils/cod');
+const { CORE_STATES, WORKFLOW_ROLES, WORKFLOW_REQUIREMENTS, getWorkflow, getStateNames, saveWorkflow, resetWorkflow } = require('../utils/workflow');
 
 const router = express.Router();
 
@@ -179,6 +193,79 @@ router.get('/drivers', checkPermission('drivers', 'read'), [
   }
 });
 
+// @desc    Find drivers near a location
+// @route   GET /api/admin/drivers/nearby
+// @access  Private (Admin with drivers read permission)
+router.get('/drivers/nearby', checkPermission('drivers', 'read'), [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  query('radiusKm').optional().isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be between 0.1 and 500 km'),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('onlineOnly').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusKm = parseFloat(req.query.radiusKm) || 10;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = { status: 'approved' };
+    if (req.query.onlineOnly !== 'false') {
+      filter.isOnline = true;
+    }
+
+    const drivers = await Driver.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          key: 'location',
+          distanceField: 'distanceMeters',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: filter
+        }
+      },
+      { $limit: limit },
+      {
+        $project: {
+          firstName: 1,
+          lastName: 1,
+          email: 1,
+          phone: 1,
+          status: 1,
+          kycStatus: 1,
+          isOnline: 1,
+          vehicle: 1,
+          rating: 1,
+          currentLocation: 1,
+          distanceKm: { $round: [{ $divide: ['$distanceMeters', 1000] }, 2] }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: drivers.length,
+      data: { drivers }
+    });
+  } catch (error) {
+    console.error('Get nearby drivers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving nearby drivers'
+    });
+  }
+});
+
 // @desc    Get single driver
 // @route   GET /api/admin/drivers/:id
 // @access  Private (Admin with drivers read permission)
@@ -220,6 +307,145 @@ router.get('/drivers/:id', checkPermission('drivers', 'read'), async (req, res)
   }
 });
 
+// @desc    Plan the order of a driver's pickups and deliveries for a day
+// @route   GET /api/admin/drivers/:id/route?date=YYYY-MM-DD
+// @access  Private (Admin with drivers read permission)
+router.get('/drivers/:id/route', checkPermission('drivers', 'read'), [
+  query('date').optional().isISO8601().withMessage('Date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const driver = await Driver.findById(req.params.id).select('firstName lastName vehicle currentLocation');
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const route = await planDriverRoute(driver, { date: req.query.date });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        driver: {
+          _id: driver._id,
+          name: driver.fullName
+        },
+        route
+      }
+    });
+  } catch (error) {
+    console.error('Plan driver route error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error planning route'
+    });
+  }
+});
+
+// @desc    Replay a driver's recorded route
+// @route   GET /api/admin/drivers/:id/track
+// @access  Private (Admin with drivers read permission)
+router.get('/drivers/:id/track', checkPermission('drivers', 'read'), [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('shipmentId').optional().isMongoId().withMessage('Valid shipment ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 10000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const driver = await Driver.findById(req.params.id).select('firstName lastName currentLocation');
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    // Default to the last 24 hours
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    const limit = parseInt(req.query.limit, 10) || 5000;
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'From date must be before to date'
+      });
+    }
+
+    const query = {
+      driver: driver._id,
+      timestamp: { $gte: from, $lte: to }
+    };
+
+    if (req.query.shipmentId) {
+      query.shipments = req.query.shipmentId;
+    }
+
+    const points = await LocationHistory.find(query)
+      .sort({ timestamp: 1 })
+      .limit(limit);
+
+    // Total distance travelled along the breadcrumbs
+    let distanceKm = 0;
+    for (let i = 1; i < points.length; i++) {
+      distanceKm += haversineDistance(
+        { latitude: points[i - 1].latitude, longitude: points[i - 1].longitude },
+        { latitude: points[i].latitude, longitude: points[i].longitude }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      count: points.length,
+      data: {
+        driver: {
+          id: driver._id,
+          fullName: driver.fullName,
+          currentLocation: driver.currentLocation
+        },
+        from,
+        to,
+        distanceKm: Math.round(distanceKm * 100) / 100,
+        points: points.map(point => ({
+          latitude: point.latitude,
+          longitude: point.longitude,
+          accuracy: point.accuracy,
+          speed: point.speed,
+          heading: point.heading,
+          timestamp: point.timestamp,
+          shipments: point.shipments
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get driver track error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving driver track'
+    });
+  }
+});
+
 // @desc    Update driver status (approve/reject/suspend)
 // @route   PUT /api/admin/drivers/:id/status
 // @access  Private (Admin with drivers approve permission)
@@ -778,6 +1004,1284 @@ router.put('/clients/:id/status', checkPermission('clients', 'approve'), [
   }
 });
 
+// @desc    Get rate cards for a client
+// @route   GET /api/admin/clients/:id/rate-cards
+// @access  Private (Admin with clients read permission)
+router.get('/clients/:id/rate-cards', checkPermission('clients', 'read'), async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id).select('companyName');
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const rateCards = await RateCard.find({ client: client._id }).sort({ validFrom: -1 });
+    const activeRateCard = await RateCard.findActiveForClient(client._id);
+
+    res.status(200).json({
+      success: true,
+      count: rateCards.length,
+      data: {
+        rateCards,
+        activeRateCardId: activeRateCard ? activeRateCard._id : null
+      }
+    });
+  } catch (error) {
+    console.error('Get rate cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving rate cards'
+    });
+  }
+});
+
+// @desc    Get single rate card
+// @route   GET /api/admin/clients/:id/rate-cards/:rateCardId
+// @access  Private (Admin with clients read permission)
+router.get('/clients/:id/rate-cards/:rateCardId', checkPermission('clients', 'read'), async (req, res) => {
+  try {
+    const rateCard = await RateCard.findOne({ _id: req.params.rateCardId, client: req.params.id });
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { rateCard }
+    });
+  } catch (error) {
+    console.error('Get rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving rate card'
+    });
+  }
+});
+
+// Lanes, weight breaks and service types of a rate card, checked on create and update
+const rateCardPricingValidation = [
+  body('lanes').optional().isArray().withMessage('Lanes must be an array'),
+  body('lanes.*').isObject().withMessage('Each lane must be an object'),
+  body('lanes.*.baseRate').optional().isFloat({ min: 0 }).withMessage('Lane base rate cannot be negative'),
+  body('lanes.*.perKmRate').optional().isFloat({ min: 0 }).withMessage('Lane per km rate cannot be negative'),
+  body('weightBreaks').optional().isArray().withMessage('Weight breaks must be an array'),
+  body('weightBreaks.*').isObject().withMessage('Each weight break must be an object'),
+  body('weightBreaks.*.minWeight').isFloat({ min: 0 }).withMessage('Weight break minimum weight is required'),
+  body('weightBreaks.*.maxWeight').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Weight break maximum weight must be positive'),
+  body('weightBreaks.*.ratePerKg').isFloat({ min: 0 }).withMessage('Weight break rate per kg is required'),
+  body('serviceTypes').optional().isArray().withMessage('Service types must be an array'),
+  body('serviceTypes.*').isObject().withMessage('Each service type must be an object'),
+  body('serviceTypes.*.serviceType').isIn(['standard', 'express', 'overnight', 'same_day']).withMessage('Valid service type is required'),
+  body('serviceTypes.*.baseRate').optional().isFloat({ min: 0 }).withMessage('Service base rate cannot be negative'),
+  body('serviceTypes.*.multiplier').optional().isFloat({ min: 0 }).withMessage('Service multiplier cannot be negative')
+];
+
+// @desc    Create rate card for a client
+// @route   POST /api/admin/clients/:id/rate-cards
+// @access  Private (Admin with clients update permission)
+router.post('/clients/:id/rate-cards', checkPermission('clients', 'update'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('validFrom').isISO8601().withMessage('Valid from date is required'),
+  body('validTo').optional({ nullable: true }).isISO8601().withMessage('Valid to date must be a valid date'),
+  body('currency').optional().isIn(['USD', 'EUR', 'GBP', 'CAD', 'AUD']).withMessage('Valid currency is required'),
+  ...rateCardPricingValidation
+], logAdminActivity('create', 'clients'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const {
+      name,
+      contractReference,
+      currency,
+      validFrom,
+      validTo,
+      isActive,
+      lanes,
+      weightBreaks,
+      serviceTypes,
+      notes
+    } = req.body;
+
+    if (validTo && new Date(validTo) <= new Date(validFrom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid to date must be after valid from date'
+      });
+    }
+
+    const rateCard = await RateCard.create({
+      client: client._id,
+      createdBy: req.user._id,
+      name,
+      contractReference,
+      currency,
+      validFrom,
+      validTo,
+      isActive,
+      lanes,
+      weightBreaks,
+      serviceTypes,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card created successfully',
+      data: { rateCard }
+    });
+  } catch (error) {
+    console.error('Create rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating rate card'
+    });
+  }
+});
+
+// @desc    Update rate card
+// @route   PUT /api/admin/clients/:id/rate-cards/:rateCardId
+// @access  Private (Admin with clients update permission)
+router.put('/clients/:id/rate-cards/:rateCardId', checkPermission('clients', 'update'), [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('validFrom').optional().isISO8601().withMessage('Valid from date must be a valid date'),
+  body('validTo').optional({ nullable: true }).isISO8601().withMessage('Valid to date must be a valid date'),
+  body('currency').optional().isIn(['USD', 'EUR', 'GBP', 'CAD', 'AUD']).withMessage('Valid currency is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ...rateCardPricingValidation
+], logAdminActivity('update', 'clients'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rateCard = await RateCard.findOne({ _id: req.params.rateCardId, client: req.params.id });
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    const allowedFields = ['name', 'contractReference', 'currency', 'validFrom', 'validTo', 'isActive', 'lanes', 'weightBreaks', 'serviceTypes', 'notes'];
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rateCard[field] = req.body[field];
+      }
+    });
+
+    if (rateCard.validTo && rateCard.validTo <= rateCard.validFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid to date must be after valid from date'
+      });
+    }
+
+    await rateCard.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card updated successfully',
+      data: { rateCard }
+    });
+  } catch (error) {
+    console.error('Update rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating rate card'
+    });
+  }
+});
+
+// @desc    Deactivate rate card
+// @route   DELETE /api/admin/clients/:id/rate-cards/:rateCardId
+// @access  Private (Admin with clients delete permission)
+router.delete('/clients/:id/rate-cards/:rateCardId', checkPermission('clients', 'delete'), logAdminActivity('delete', 'clients'), async (req, res) => {
+  try {
+    const rateCard = await RateCard.findOne({ _id: req.params.rateCardId, client: req.params.id });
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    // Soft delete so shipments and payments priced from the card keep their reference
+    rateCard.isActive = false;
+    await rateCard.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting rate card'
+    });
+  }
+});
+
+// Validation rules shared by document template create and update
+const documentTemplateValidationRules = [
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  body('headerLines').optional().isArray({ max: 6 }).withMessage('Header can have at most 6 lines'),
+  body('headerLines.*').trim().isLength({ max: 120 }).withMessage('Header lines cannot exceed 120 characters'),
+  body('footerText').optional().trim().isLength({ max: 500 }).withMessage('Footer cannot exceed 500 characters'),
+  body('termsAndConditions').optional().trim().isLength({ max: 5000 }).withMessage('Terms cannot exceed 5000 characters'),
+  body('signatureBlocks').optional().isArray({ min: 1, max: 4 }).withMessage('Provide between 1 and 4 signature blocks'),
+  body('signatureBlocks.*').trim().notEmpty().withMessage('Signature block labels cannot be empty'),
+  body('showItemValues').optional().isBoolean().withMessage('showItemValues must be a boolean'),
+  body('showInsurance').optional().isBoolean().withMessage('showInsurance must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @desc    Get document templates
+// @route   GET /api/admin/document-templates
+// @access  Private (Admin with settings read permission)
+router.get('/document-templates', checkPermission('settings', 'read'), [
+  query('client').optional().isMongoId().withMessage('Valid client ID is required'),
+  query('type').optional().isIn(['bol', 'delivery_note']).withMessage('Valid template type is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.client) {
+      filter.client = req.query.client;
+    }
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const templates = await DocumentTemplate.find(filter)
+      .populate('client', 'companyName')
+      .sort({ type: 1, updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('Get document templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving document templates'
+    });
+  }
+});
+
+// @desc    Create document template (omit client for the platform default)
+// @route   POST /api/admin/document-templates
+// @access  Private (Admin with settings create permission)
+router.post('/document-templates', checkPermission('settings', 'create'), [
+  body('type').isIn(['bol', 'delivery_note']).withMessage('Valid template type is required'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('client').optional({ nullable: true }).isMongoId().withMessage('Valid client ID is required'),
+  ...documentTemplateValidationRules
+], logAdminActivity('create', 'settings'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.client) {
+      const client = await Client.findById(req.body.client);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+    }
+
+    const {
+      client,
+      type,
+      name,
+      title,
+      headerLines,
+      footerText,
+      termsAndConditions,
+      signatureBlocks,
+      showItemValues,
+      showInsurance,
+      isActive
+    } = req.body;
+
+    const template = await DocumentTemplate.create({
+      client: client || null,
+      createdBy: req.user._id,
+      type,
+      name,
+      title,
+      headerLines,
+      footerText,
+      termsAndConditions,
+      signatureBlocks,
+      showItemValues,
+      showInsurance,
+      isActive
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Create document template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating document template'
+    });
+  }
+});
+
+// @desc    Update document template
+// @route   PUT /api/admin/document-templates/:id
+// @access  Private (Admin with settings update permission)
+router.put('/document-templates/:id', checkPermission('settings', 'update'), [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  ...documentTemplateValidationRules
+], logAdminActivity('update', 'settings'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const template = await DocumentTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document template not found'
+      });
+    }
+
+    const allowedFields = ['name', 'title', 'headerLines', 'footerText', 'termsAndConditions', 'signatureBlocks', 'showItemValues', 'showInsurance', 'isActive'];
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Document template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Update document template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating document template'
+    });
+  }
+});
+
+// @desc    Delete document template
+// @route   DELETE /api/admin/document-templates/:id
+// @access  Private (Admin with settings delete permission)
+router.delete('/document-templates/:id', checkPermission('settings', 'delete'), logAdminActivity('delete', 'settings'), async (req, res) => {
+  try {
+    const template = await DocumentTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete document template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting document template'
+    });
+  }
+});
+
+// @desc    Get SLA policies
+// @route   GET /api/admin/sla-policies
+// @access  Private (Admin with settings read permission)
+router.get('/sla-policies', checkPermission('settings', 'read'), async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find()
+      .populate('client', 'companyName')
+      .sort({ serviceType: 1, client: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: { policies }
+    });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving SLA policies'
+    });
+  }
+});
+
+const slaPolicyRules = [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body(['assignmentMinutes', 'pickupMinutes', 'deliveryMinutes']).optional({ nullable: true }).isInt({ min: 1 }).withMessage('Targets must be a whole number of minutes'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @desc    Create SLA policy
+// @route   POST /api/admin/sla-policies
+// @access  Private (Admin with settings create permission)
+router.post('/sla-policies', checkPermission('settings', 'create'), [
+  body('serviceType').isIn(['standard', 'express', 'overnight', 'same_day']).withMessage('Valid service type is required'),
+  body('client').optional({ nullable: true }).isMongoId().withMessage('Client must be a valid ID'),
+  ...slaPolicyRules
+], logAdminActivity('create', 'settings'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { serviceType, client = null, name, assignmentMinutes, pickupMinutes, deliveryMinutes, isActive } = req.body;
+
+    if (!assignmentMinutes && !pickupMinutes && !deliveryMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one of assignmentMinutes, pickupMinutes or deliveryMinutes is required'
+      });
+    }
+
+    if (client && !(await Client.exists({ _id: client }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const existing = await SlaPolicy.findOne({ serviceType, client });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `An SLA policy for ${serviceType} already exists${client ? ' for this client' : ''}`
+      });
+    }
+
+    const policy = await SlaPolicy.create({
+      serviceType,
+      client,
+      name,
+      assignmentMinutes,
+      pickupMinutes,
+      deliveryMinutes,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'SLA policy created successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Create SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating SLA policy'
+    });
+  }
+});
+
+// @desc    Update SLA policy
+// @route   PUT /api/admin/sla-policies/:id
+// @access  Private (Admin with settings update permission)
+router.put('/sla-policies/:id', checkPermission('settings', 'update'), slaPolicyRules, logAdminActivity('update', 'settings'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await SlaPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    // Service type and client identify the policy and cannot be changed
+    ['name', 'assignmentMinutes', 'pickupMinutes', 'deliveryMinutes', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        policy[field] = req.body[field];
+      }
+    });
+
+    if (!policy.assignmentMinutes && !policy.pickupMinutes && !policy.deliveryMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one of assignmentMinutes, pickupMinutes or deliveryMinutes is required'
+      });
+    }
+
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating SLA policy'
+    });
+  }
+});
+
+// @desc    Delete SLA policy
+// @route   DELETE /api/admin/sla-policies/:id
+// @access  Private (Admin with settings delete permission)
+router.delete('/sla-policies/:id', checkPermission('settings', 'delete'), logAdminActivity('delete', 'settings'), async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting SLA policy'
+    });
+  }
+});
+
+// @desc    Exceptions queue: shipment issues, most escalated and most severe first
+// @route   GET /api/admin/exceptions
+// @access  Private (Admin with shipments read permission)
+router.get('/exceptions', checkPermission('shipments', 'read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(Shipment.schema.path('issues').schema.path('type').enumValues).withMessage('Valid issue type is required'),
+  query('state').optional().isIn(['open', 'in_progress', 'escalated', 'resolved']).withMessage('State must be open, in_progress, escalated or resolved'),
+  query('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Valid severity is required'),
+  query('owner').optional().isMongoId().withMessage('Owner must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const { type, state, severity, owner } = req.query;
+    const { exceptions, total } = await buildExceptionsQueue({
+      type,
+      state,
+      severity,
+      owner,
+      page,
+      limit
+    });
+
+    // Pagination
+    const pagination = {};
+    if (startIndex + limit < total) {
+      pagination.next = { page: page + 1, limit };
+    }
+    if (startIndex > 0) {
+      pagination.prev = { page: page - 1, limit };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: exceptions.length,
+      total,
+      pagination,
+      data: { exceptions }
+    });
+  } catch (error) {
+    console.error('Get exceptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving exceptions'
+    });
+  }
+});
+
+// @desc    Rating moderation queue: low ratings with feedback waiting for review
+// @route   GET /api/admin/ratings/moderation
+// @access  Private (Admin with shipments read permission)
+router.get('/ratings/moderation', checkPermission('shipments', 'read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('ratedBy').optional().isIn(['client', 'driver']).withMessage('ratedBy must be client or driver')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const { ratings, total } = await buildModerationQueue({ ratedBy: req.query.ratedBy, page, limit });
+
+    // Pagination
+    const pagination = {};
+    if (startIndex + limit < total) {
+      pagination.next = { page: page + 1, limit };
+    }
+    if (startIndex > 0) {
+      pagination.prev = { page: page - 1, limit };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: ratings.length,
+      total,
+      pagination,
+      data: { ratings }
+    });
+  } catch (error) {
+    console.error('Get rating moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving ratings for review'
+    });
+  }
+});
+
+// @desc    Approve or remove a rating held for review
+// @route   PUT /api/admin/ratings/moderation/:shipmentId/:ratedBy
+// @access  Private (Admin with shipments update permission)
+router.put('/ratings/moderation/:shipmentId/:ratedBy', checkPermission('shipments', 'update'), [
+  param('shipmentId').isMongoId().withMessage('Valid shipment ID is required'),
+  param('ratedBy').isIn(['client', 'driver']).withMessage('ratedBy must be client or driver'),
+  body('status').isIn(['approved', 'removed']).withMessage('Status must be approved or removed'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rating = await moderateRating(req.params.shipmentId, req.params.ratedBy, {
+      status: req.body.status,
+      notes: req.body.notes,
+      adminId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: req.body.status === 'removed' ? 'Rating removed' : 'Rating approved',
+      data: { rating }
+    });
+  } catch (error) {
+    console.error('Moderate rating error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error moderating rating'
+    });
+  }
+});
+
+// @desc    Return rates per client
+// @route   GET /api/admin/reports/returns
+// @access  Private (Admin with reports read permission)
+router.get('/reports/returns', checkPermission('reports', 'read'), [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('clientId').optional().isMongoId().withMessage('Client ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Defaults to the last 30 days
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const report = await buildReturnsReport({ startDate, endDate, client: req.query.clientId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { startDate, endDate },
+        report
+      }
+    });
+  } catch (error) {
+    console.error('Returns report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating returns report'
+    });
+  }
+});
+
+// @desc    Cash on delivery a driver is holding and the collections not yet reconciled
+// @route   GET /api/admin/drivers/:id/cash
+// @access  Private (Admin with payments read permission)
+router.get('/drivers/:id/cash', checkPermission('payments', 'read'), [
+  param('id').isMongoId().withMessage('Driver ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const summary = await getDriverCashSummary(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Get driver cash error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error retrieving driver cash'
+    });
+  }
+});
+
+// @desc    Reconcile the cash a driver hands in against the cash on delivery they collected
+// @route   POST /api/admin/drivers/:id/cash/reconcile
+// @access  Private (Admin with payments create permission)
+router.post('/drivers/:id/cash/reconcile', checkPermission('payments', 'create'), [
+  param('id').isMongoId().withMessage('Driver ID must be valid'),
+  body('handedInAmount').isFloat({ min: 0 }).withMessage('Cash handed in is required and cannot be negative'),
+  body('currency').optional().isIn(['USD', 'EUR', 'GBP', 'CAD', 'AUD']).withMessage('Valid currency is required'),
+  body('cutoff').optional().isISO8601().withMessage('Cutoff must be a valid date'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], logAdminActivity('create', 'payments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Defaults to everything collected so far
+    const cutoff = req.body.cutoff ? new Date(req.body.cutoff) : new Date();
+    if (cutoff > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cutoff cannot be in the future'
+      });
+    }
+
+    const reconciliation = await reconcileDriverCash({
+      driverId: req.params.id,
+      handedInAmount: parseFloat(req.body.handedInAmount),
+      currency: req.body.currency,
+      cutoff,
+      notes: req.body.notes,
+      adminId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: reconciliation.flagged
+        ? `Reconciliation recorded; driver is ${reconciliation.status} by ${Math.abs(reconciliation.discrepancy)} ${reconciliation.currency}`
+        : 'Reconciliation recorded; cash balanced',
+      data: { reconciliation }
+    });
+  } catch (error) {
+    console.error('Reconcile driver cash error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error reconciling driver cash'
+    });
+  }
+});
+
+// @desc    Cash reconciliations, newest first
+// @route   GET /api/admin/cod/reconciliations
+// @access  Private (Admin with payments read permission)
+router.get('/cod/reconciliations', checkPermission('payments', 'read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('driverId').optional().isMongoId().withMessage('Driver ID must be valid'),
+  query('status').optional().isIn(['balanced', 'short', 'over']).withMessage('Status must be balanced, short or over'),
+  query('flagged').optional().isBoolean().withMessage('flagged must be a boolean'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.driverId) filter.driver = req.query.driverId;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.flagged !== undefined) filter.flagged = req.query.flagged === 'true';
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
+    }
+
+    const [reconciliations, total] = await Promise.all([
+      CodReconciliation.find(filter)
+        .select('-shipments')
+        .populate('driver', 'firstName lastName')
+        .populate('reconciledBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(startIndex)
+        .limit(limit),
+      CodReconciliation.countDocuments(filter)
+    ]);
+
+    // Pagination
+    const pagination = {};
+    if (startIndex + limit < total) {
+      pagination.next = { page: page + 1, limit };
+    }
+    if (startIndex > 0) {
+      pagination.prev = { page: page - 1, limit };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: reconciliations.length,
+      total,
+      pagination,
+      data: { reconciliations }
+    });
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving reconciliations'
+    });
+  }
+});
+
+// @desc    Get one cash reconciliation with the shipments it settled
+// @route   GET /api/admin/cod/reconciliations/:id
+// @access  Private (Admin with payments read permission)
+router.get('/cod/reconciliations/:id', checkPermission('payments', 'read'), [
+  param('id').isMongoId().withMessage('Reconciliation ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const reconciliation = await CodReconciliation.findById(req.params.id)
+      .populate('driver', 'firstName lastName')
+      .populate('reconciledBy', 'firstName lastName')
+      .populate('remittances.client', 'companyName');
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { reconciliation }
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving reconciliation'
+    });
+  }
+});
+
+// @desc    Get the shipment status workflow
+// @route   GET /api/admin/settings/workflow
+// @access  Private (Admin with settings read permission)
+router.get('/settings/workflow', checkPermission('settings', 'read'), async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        workflow: getWorkflow(),
+        coreStates: CORE_STATES,
+        roles: WORKFLOW_ROLES,
+        requirements: WORKFLOW_REQUIREMENTS
+      }
+    });
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving workflow'
+    });
+  }
+});
+
+// @desc    Replace the shipment status workflow
+// @route   PUT /api/admin/settings/workflow
+// @access  Private (Admin with settings update permission)
+router.put('/settings/workflow', checkPermission('settings', 'update'), [
+  body('states').isArray({ min: 1 }).withMessage('States must be a non-empty list'),
+  body('states.*.name').isString().withMessage('Every state needs a name'),
+  body('states.*.label').optional().trim().isLength({ max: 50 }).withMessage('State labels cannot exceed 50 characters'),
+  body('states.*.terminal').optional().isBoolean().withMessage('terminal must be a boolean'),
+  body('transitions').isArray().withMessage('Transitions must be a list'),
+  body('transitions.*.from').isString().withMessage('Every transition needs a from state'),
+  body('transitions.*.to').isString().withMessage('Every transition needs a to state'),
+  body('transitions.*.roles').optional().isArray().withMessage('Transition roles must be a list'),
+  body('transitions.*.requires').optional().isArray().withMessage('Transition requirements must be a list')
+], logAdminActivity('update', 'settings'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { states, transitions } = req.body;
+
+    // A state cannot be removed while shipments are in it
+    const names = states.map(state => state.name);
+    const removed = getStateNames().filter(name => !names.includes(name));
+    if (removed.length > 0) {
+      const inUse = await Shipment.distinct('status', { status: { $in: removed } });
+      if (inUse.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot remove states that shipments are in: ${inUse.join(', ')}`
+        });
+      }
+    }
+
+    const workflow = await saveWorkflow({ states, transitions }, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Workflow updated successfully',
+      data: { workflow }
+    });
+  } catch (error) {
+    console.error('Update workflow error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating workflow'
+    });
+  }
+});
+
+// @desc    Restore the built-in shipment status workflow
+// @route   POST /api/admin/settings/workflow/reset
+// @access  Private (Admin with settings update permission)
+router.post('/settings/workflow/reset', checkPermission('settings', 'update'), logAdminActivity('update', 'settings'), async (req, res) => {
+  try {
+    const workflow = await resetWorkflow(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Workflow reset to the default',
+      data: { workflow }
+    });
+  } catch (error) {
+    console.error('Reset workflow error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error resetting workflow'
+    });
+  }
+});
+
+// @desc    Get alerts
+// @route   GET /api/admin/alerts
+// @access  Private (Admin with shipments read permission)
+router.get('/alerts', checkPermission('shipments', 'read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['open', 'acknowledged', 'resolved']).withMessage('Valid status is required'),
+  query('type').optional().isIn(Alert.schema.path('type').enumValues).withMessage('Valid alert type is required'),
+  query('severity').optional().isIn(['info', 'warning', 'critical']).withMessage('Valid severity is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {};
+    ['status', 'type', 'severity'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const [alerts, total] = await Promise.all([
+      Alert.find(filter)
+        .populate('shipment', 'shipmentId trackingNumber status')
+        .populate('client', 'companyName')
+        .populate('driver', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(startIndex)
+        .limit(limit),
+      Alert.countDocuments(filter)
+    ]);
+
+    // Pagination
+    const pagination = {};
+    if (startIndex + limit < total) {
+      pagination.next = { page: page + 1, limit };
+    }
+    if (startIndex > 0) {
+      pagination.prev = { page: page - 1, limit };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      total,
+      pagination,
+      data: { alerts }
+    });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving alerts'
+    });
+  }
+});
+
+// @desc    Acknowledge or resolve an alert
+// @route   PUT /api/admin/alerts/:id
+// @access  Private (Admin with shipments update permission)
+router.put('/alerts/:id', checkPermission('shipments', 'update'), [
+  body('status').isIn(['acknowledged', 'resolved']).withMessage('Status must be acknowledged or resolved'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await Alert.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (alert.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Alert is already resolved'
+      });
+    }
+
+    if (req.body.status === 'resolved') {
+      alert.resolve(req.user._id, req.body.notes);
+    } else {
+      alert.acknowledge(req.user._id);
+    }
+    await alert.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Alert ${alert.status}`,
+      data: { alert }
+    });
+  } catch (error) {
+    console.error('Update alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating alert'
+    });
+  }
+});
+
+// @desc    SLA compliance per client, driver and lane
+// @route   GET /api/admin/reports/sla
+// @access  Private (Admin with reports read permission)
+router.get('/reports/sla', checkPermission('reports', 'read'), [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('serviceType').optional().isIn(['standard', 'express', 'overnight', 'same_day']).withMessage('Valid service type is required'),
+  query('groupBy').optional().isIn(['client', 'driver', 'lane']).withMessage('Group by must be client, driver or lane')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Defaults to the last 30 days
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const report = await buildSlaReport({
+      startDate,
+      endDate,
+      serviceType: req.query.serviceType,
+      groupBy: req.query.groupBy ? [req.query.groupBy] : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { startDate, endDate },
+        serviceType: req.query.serviceType || null,
+        report
+      }
+    });
+  } catch (error) {
+    console.error('SLA report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating SLA report'
+    });
+  }
+});
+
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard
 // @access  Private (Admin)
@@ -0,0 +1,530 @@
+const express = require('express');
+const { body, validationResult, query, param } = require('express-validator');
+const ShipmentTemplate = require('../models/ShipmentTemplate');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+const ADDRESS_TYPES = ['headquarters', 'warehouse', 'pickup', 'delivery'];
+const ADDRESS_FIELDS = ['type', 'name', 'contactPerson', 'phone', 'email', 'street', 'city', 'state', 'zipCode', 'country', 'coordinates', 'specialInstructions'];
+const TEMPLATE_FIELDS = ['name', 'description', 'items', 'serviceType', 'priority', 'requirements', 'pickupTimeWindow', 'deliveryTimeWindow', 'pickupAddressId', 'deliveryAddressId'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation rules for address book entries (fields are optional when updating)
+const addressValidationRules = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('type').isIn(ADDRESS_TYPES).withMessage(`Address type must be one of: ${ADDRESS_TYPES.join(', ')}`),
+    field('street').trim().notEmpty().withMessage('Street address is required'),
+    field('city').trim().notEmpty().withMessage('City is required'),
+    field('state').trim().notEmpty().withMessage('State is required'),
+    field('zipCode').trim().notEmpty().withMessage('Zip code is required'),
+    body('country').optional().trim().notEmpty().withMessage('Country cannot be empty'),
+    body('email').optional().trim().isEmail().withMessage('Contact email must be valid'),
+    body('coordinates.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+    body('coordinates.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false').toBoolean()
+  ];
+};
+
+// Validation rules for shipment templates (fields are optional when updating)
+const templateValidationRules = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name')).trim().notEmpty().withMessage('Template name is required'),
+  body('description').optional().trim().isLength({ min: 10, max: 500 }).withMessage('Description must be between 10 and 500 characters'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.name').trim().notEmpty().withMessage('Item name is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Item quantity must be at least 1'),
+  body('items.*.weight').isFloat({ min: 0.1 }).withMessage('Item weight must be at least 0.1 kg'),
+  body('items.*.category').isIn(['Electronics', 'Clothing', 'Food', 'Documents', 'Machinery', 'Chemicals', 'Other']).withMessage('Valid item category is required'),
+  body('serviceType').optional().isIn(['standard', 'express', 'overnight', 'same_day']).withMessage('Valid service type is required'),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Valid priority is required'),
+  body(['pickupTimeWindow.start', 'pickupTimeWindow.end', 'deliveryTimeWindow.start', 'deliveryTimeWindow.end']).optional().matches(TIME_PATTERN).withMessage('Time windows must use HH:MM'),
+  body(['pickupAddressId', 'deliveryAddressId']).optional({ values: 'null' }).isMongoId().withMessage('Address ID must be valid')
+];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Check that the template's lane points at entries in the client's address book
+const findMissingLaneAddress = (client, data) => ['pickupAddressId', 'deliveryAddressId']
+  .find(field => data[field] && !client.addresses.id(data[field]));
+
+// @desc    Get the client's address book
+// @route   GET /api/clients/me/addresses
+// @access  Private (Client)
+router.get('/me/addresses', protect(['client']), [
+  query('type').optional().isIn(ADDRESS_TYPES).withMessage(`Address type must be one of: ${ADDRESS_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const addresses = req.query.type
+      ? req.user.addresses.filter(address => address.type === req.query.type)
+      : req.user.addresses;
+
+    res.status(200).json({
+      success: true,
+      count: addresses.length,
+      data: {
+        addresses
+      }
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving addresses'
+    });
+  }
+});
+
+// @desc    Get the default address of a type
+// @route   GET /api/clients/me/addresses/default/:type
+// @access  Private (Client)
+router.get('/me/addresses/default/:type', protect(['client']), [
+  param('type').isIn(ADDRESS_TYPES).withMessage(`Address type must be one of: ${ADDRESS_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const address = req.user.getDefaultAddress(req.params.type);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${req.params.type} address saved`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    console.error('Get default address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving address'
+    });
+  }
+});
+
+// @desc    Add an address to the address book
+// @route   POST /api/clients/me/addresses
+// @access  Private (Client)
+router.post('/me/addresses', protect(['client']), addressValidationRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    req.user.addresses.push(pick(req.body, ADDRESS_FIELDS));
+    const address = req.user.addresses[req.user.addresses.length - 1];
+
+    if (req.body.isDefault === true) {
+      req.user.setDefaultAddress(address);
+    }
+
+    await req.user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added successfully',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    console.error('Add address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding address'
+    });
+  }
+});
+
+// @desc    Update an address book entry
+// @route   PUT /api/clients/me/addresses/:addressId
+// @access  Private (Client)
+router.put('/me/addresses/:addressId', protect(['client']), [
+  param('addressId').isMongoId().withMessage('Address ID must be valid'),
+  ...addressValidationRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const address = req.user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    address.set(pick(req.body, ADDRESS_FIELDS));
+
+    if (req.body.isDefault === true) {
+      req.user.setDefaultAddress(address);
+    } else if (req.body.isDefault === false) {
+      address.isDefault = false;
+    }
+
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated successfully',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating address'
+    });
+  }
+});
+
+// @desc    Make an address the default for its type
+// @route   PUT /api/clients/me/addresses/:addressId/default
+// @access  Private (Client)
+router.put('/me/addresses/:addressId/default', protect(['client']), [
+  param('addressId').isMongoId().withMessage('Address ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const address = req.user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    req.user.setDefaultAddress(address);
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Default ${address.type} address updated`,
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    console.error('Set default address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating address'
+    });
+  }
+});
+
+// @desc    Remove an address from the address book
+// @route   DELETE /api/clients/me/addresses/:addressId
+// @access  Private (Client)
+router.delete('/me/addresses/:addressId', protect(['client']), [
+  param('addressId').isMongoId().withMessage('Address ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const address = req.user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    address.deleteOne();
+    await req.user.save();
+
+    // Templates using this address fall back to the addresses sent with each shipment
+    await Promise.all(['pickupAddressId', 'deliveryAddressId'].map(field =>
+      ShipmentTemplate.updateMany({ client: req.user._id, [field]: address._id }, { [field]: null })
+    ));
+
+    res.status(200).json({
+      success: true,
+      message: 'Address removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing address'
+    });
+  }
+});
+
+// @desc    Get the client's shipment templates
+// @route   GET /api/clients/me/shipment-templates
+// @access  Private (Client)
+router.get('/me/shipment-templates', protect(['client']), async (req, res) => {
+  try {
+    const templates = await ShipmentTemplate.find({ client: req.user._id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: {
+        templates
+      }
+    });
+  } catch (error) {
+    console.error('Get shipment templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving shipment templates'
+    });
+  }
+});
+
+// @desc    Get a shipment template
+// @route   GET /api/clients/me/shipment-templates/:id
+// @access  Private (Client)
+router.get('/me/shipment-templates/:id', protect(['client']), [
+  param('id').isMongoId().withMessage('Template ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ShipmentTemplate.findOne({ _id: req.params.id, client: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Get shipment template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving shipment template'
+    });
+  }
+});
+
+// @desc    Save a shipment template
+// @route   POST /api/clients/me/shipment-templates
+// @access  Private (Client)
+router.post('/me/shipment-templates', protect(['client']), templateValidationRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const data = pick(req.body, TEMPLATE_FIELDS);
+
+    const missingAddress = findMissingLaneAddress(req.user, data);
+    if (missingAddress) {
+      return res.status(400).json({
+        success: false,
+        message: `${missingAddress === 'pickupAddressId' ? 'Pickup' : 'Delivery'} address not found in the address book`
+      });
+    }
+
+    const existing = await ShipmentTemplate.findOne({ client: req.user._id, name: data.name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+
+    const template = await ShipmentTemplate.create({
+      ...data,
+      client: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment template saved successfully',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Create shipment template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving shipment template'
+    });
+  }
+});
+
+// @desc    Update a shipment template
+// @route   PUT /api/clients/me/shipment-templates/:id
+// @access  Private (Client)
+router.put('/me/shipment-templates/:id', protect(['client']), [
+  param('id').isMongoId().withMessage('Template ID must be valid'),
+  ...templateValidationRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ShipmentTemplate.findOne({ _id: req.params.id, client: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment template not found'
+      });
+    }
+
+    const data = pick(req.body, TEMPLATE_FIELDS);
+
+    const missingAddress = findMissingLaneAddress(req.user, data);
+    if (missingAddress) {
+      return res.status(400).json({
+        success: false,
+        message: `${missingAddress === 'pickupAddressId' ? 'Pickup' : 'Delivery'} address not found in the address book`
+      });
+    }
+
+    if (data.name && data.name !== template.name) {
+      const existing = await ShipmentTemplate.findOne({ client: req.user._id, name: data.name });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'A template with this name already exists'
+        });
+      }
+    }
+
+    template.set(data);
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment template updated successfully',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    console.error('Update shipment template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating shipment template'
+    });
+  }
+});
+
+// @desc    Delete a shipment template
+// @route   DELETE /api/clients/me/shipment-templates/:id
+// @access  Private (Client)
+router.delete('/me/shipment-templates/:id', protect(['client']), [
+  param('id').isMongoId().withMessage('Template ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ShipmentTemplate.findOneAndDelete({ _id: req.params.id, client: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete shipment template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting shipment template'
+    });
+  }
+});
+
+module.exports = router;
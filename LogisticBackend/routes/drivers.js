@@ -0,0 +1,191 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Driver = require('../models/Driver');
+const Shipment = require('../models/Shipment');
+const LocationHistory = require('../models/LocationHistory');
+const { protect } = require('../middleware/auth');
+const { toGeoPoint } = require('../utils/geo');
+const { ACTIVE_SHIPMENT_STATUSES } = require('../utils/dispatch');
+const { publishEvent } = require('../utils/events');
+const { planDriverRoute } = require('../utils/routePlanner');
+const { refreshDriverShipmentEtas } = require('../utils/eta');
+const { getDriverCashSummary } = require('../utils/cod');
+
+const router = express.Router();
+
+// Maximum number of fixes accepted in one batch
+const MAX_BATCH_SIZE = 100;
+
+// Shipments whose position is streamed to trackers while the driver moves
+const LIVE_TRACKING_STATUSES = ['in_transit', 'out_for_delivery'];
+
+// @desc    Record the driver's GPS position (single fix or batch)
+// @route   POST /api/drivers/me/location
+// @access  Private (Driver)
+router.post('/me/location', protect(['driver']), [
+  body('locations').optional().isArray({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`Locations must be an array of 1 to ${MAX_BATCH_SIZE} fixes`),
+  body('latitude').if(body('locations').not().exists()).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').if(body('locations').not().exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('locations.*.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('locations.*.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body(['timestamp', 'locations.*.timestamp']).optional().isISO8601().withMessage('Timestamp must be a valid date'),
+  body(['accuracy', 'locations.*.accuracy']).optional().isFloat({ min: 0 }).withMessage('Accuracy cannot be negative'),
+  body(['speed', 'locations.*.speed']).optional().isFloat({ min: 0 }).withMessage('Speed cannot be negative'),
+  body(['heading', 'locations.*.heading']).optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360 degrees')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const now = new Date();
+    const rawFixes = Array.isArray(req.body.locations) ? req.body.locations : [req.body];
+
+    // Normalise and order the fixes; devices may send them out of order after being offline
+    const fixes = rawFixes
+      .map(fix => ({
+        latitude: parseFloat(fix.latitude),
+        longitude: parseFloat(fix.longitude),
+        accuracy: fix.accuracy !== undefined ? parseFloat(fix.accuracy) : undefined,
+        speed: fix.speed !== undefined ? parseFloat(fix.speed) : undefined,
+        heading: fix.heading !== undefined ? parseFloat(fix.heading) : undefined,
+        timestamp: fix.timestamp ? new Date(fix.timestamp) : now
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (fixes.some(fix => fix.timestamp - now > 5 * 60 * 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location timestamps cannot be in the future'
+      });
+    }
+
+    const activeShipments = await Shipment.find({
+      driver: req.user._id,
+      status: { $in: ACTIVE_SHIPMENT_STATUSES }
+    }).select('_id shipmentId trackingNumber client driver status');
+    const shipmentIds = activeShipments.map(shipment => shipment._id);
+
+    await LocationHistory.insertMany(fixes.map(fix => ({
+      driver: req.user._id,
+      shipments: shipmentIds,
+      location: toGeoPoint(fix),
+      accuracy: fix.accuracy,
+      speed: fix.speed,
+      heading: fix.heading,
+      timestamp: fix.timestamp,
+      receivedAt: now
+    })));
+
+    // Only move the driver forward in time; a late batch must not overwrite a newer position
+    const latest = fixes[fixes.length - 1];
+    const lastUpdated = req.user.currentLocation?.lastUpdated;
+    let currentLocation = req.user.currentLocation;
+
+    if (!lastUpdated || latest.timestamp > lastUpdated) {
+      currentLocation = {
+        latitude: latest.latitude,
+        longitude: latest.longitude,
+        accuracy: latest.accuracy,
+        speed: latest.speed,
+        heading: latest.heading,
+        lastUpdated: latest.timestamp
+      };
+
+      await Driver.updateOne(
+        { _id: req.user._id },
+        { $set: { currentLocation, location: toGeoPoint(latest) } }
+      );
+
+      activeShipments
+        .filter(shipment => LIVE_TRACKING_STATUSES.includes(shipment.status))
+        .forEach(shipment => publishEvent('shipment.location_updated', {
+          ...shipment.getEventSummary(),
+          location: {
+            latitude: latest.latitude,
+            longitude: latest.longitude,
+            speed: latest.speed,
+            heading: latest.heading,
+            timestamp: latest.timestamp
+          }
+        }));
+
+      refreshDriverShipmentEtas(activeShipments, currentLocation)
+        .catch(error => console.error('ETA refresh error:', error));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${fixes.length} location${fixes.length === 1 ? '' : 's'} recorded`,
+      data: {
+        accepted: fixes.length,
+        currentLocation,
+        activeShipments: shipmentIds
+      }
+    });
+  } catch (error) {
+    console.error('Record location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording location'
+    });
+  }
+});
+
+// @desc    Plan the order of the driver's pickups and deliveries for a day
+// @route   GET /api/drivers/me/route?date=YYYY-MM-DD
+// @access  Private (Driver)
+router.get('/me/route', protect(['driver']), [
+  query('date').optional().isISO8601().withMessage('Date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const route = await planDriverRoute(req.user, { date: req.query.date });
+
+    res.status(200).json({
+      success: true,
+      data: { route }
+    });
+  } catch (error) {
+    console.error('Plan driver route error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error planning route'
+    });
+  }
+});
+
+// @desc    Cash on delivery the driver is holding and the collections not yet handed in
+// @route   GET /api/drivers/me/cash
+// @access  Private (Driver)
+router.get('/me/cash', protect(['driver']), async (req, res) => {
+  try {
+    const summary = await getDriverCashSummary(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Get driver cash error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error retrieving cash on hand'
+    });
+  }
+});
+
+module.exports = router;
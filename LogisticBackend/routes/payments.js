@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Shipment = require('../models/Shipment');
 const Client = require('../models/Client');
+const { buildPaymentCharges, roundCurrency } = require('../utils/pricing');
 const { protect, checkPermission, logAdminActivity } = require('../middleware/auth');
 
 const router = express.Router();
@@ -13,8 +14,8 @@ const router = express.Router();
 // @access  Private (Admin)
 router.post('/', protect(['admin']), checkPermission('payments', 'create'), [
   body('shipmentId').isMongoId().withMessage('Valid shipment ID is required'),
-  body('amount.subtotal').isFloat({ min: 0 }).withMessage('Valid subtotal amount is required'),
-  body('amount.total').isFloat({ min: 0 }).withMessage('Valid total amount is required'),
+  body('amount.tax').optional().isFloat({ min: 0 }).withMessage('Tax cannot be negative'),
+  body('amount.discount').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
   body('dueDate').isISO8601().withMessage('Valid due date is required'),
   body('terms').optional().isIn(['immediate', 'net_15', 'net_30', 'net_45', 'net_60'])
 ], logAdminActivity('create', 'payments'), async (req, res) => {
@@ -31,7 +32,6 @@ router.post('/', protect(['admin']), checkPermission('payments', 'create'), [
     const {
       shipmentId,
       amount,
-      charges,
       dueDate,
       terms,
       invoice,
@@ -56,12 +56,40 @@ router.post('/', protect(['admin']), checkPermission('payments', 'create'), [
       });
     }
 
+    // Invoice the price the shipment was booked at (rate card, honoured quote or admin override),
+    // not a fresh calculation; only tax and discount come from the request
+    if (typeof shipment.pricing?.totalAmount !== 'number') {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipment has no price to invoice'
+      });
+    }
+
+    const tax = Number(amount?.tax) || 0;
+    const discount = Number(amount?.discount) || 0;
+    if (discount > roundCurrency(shipment.pricing.totalAmount + tax)) {
+      return res.status(400).json({
+        success: false,
+        message: `Discount cannot exceed the amount invoiced (${roundCurrency(shipment.pricing.totalAmount + tax)} ${shipment.pricing.currency})`
+      });
+    }
+
+    const paymentAmount = {
+      subtotal: shipment.pricing.totalAmount,
+      tax,
+      discount,
+      total: roundCurrency(shipment.pricing.totalAmount + tax - discount),
+      currency: shipment.pricing.currency
+    };
+    const paymentCharges = buildPaymentCharges(shipment.pricing);
+
     // Create payment
     const payment = await Payment.create({
       client: shipment.client._id,
       shipment: shipmentId,
-      amount,
-      charges,
+      rateCard: shipment.pricing.rateCard,
+      amount: paymentAmount,
+      charges: paymentCharges,
       dueDate,
       terms: terms || shipment.client.billingInfo?.paymentTerms || 'net_30',
       invoice,
@@ -345,6 +373,80 @@ router.post('/:id/refund', protect(['admin']), checkPermission('payments', 'upda
   }
 });
 
+// @desc    Open a billing dispute
+// @route   POST /api/payments/:id/disputes
+// @access  Private (Client, Admin)
+router.post('/:id/disputes', protect(['client', 'admin']), [
+  body('reason').trim().isLength({ min: 3, max: 100 }).withMessage('Dispute reason is required'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Disputed amount must be positive')
+], logAdminActivity('update', 'payments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let query = { _id: req.params.id };
+
+    // Clients can only dispute their own payments
+    if (req.userType === 'client') {
+      query.client = req.user._id;
+    }
+
+    const payment = await Payment.findOne(query);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : payment.amount.total;
+    if (amount > payment.amount.total) {
+      return res.status(400).json({
+        success: false,
+        message: 'Disputed amount exceeds the payment total'
+      });
+    }
+
+    if (payment.disputes.some(dispute => ['open', 'investigating'].includes(dispute.status))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment already has an open dispute'
+      });
+    }
+
+    const disputeId = payment.openDispute({
+      reason: req.body.reason,
+      description: req.body.description,
+      amount,
+      raisedBy: req.user._id,
+      raisedByModel: req.userType === 'client' ? 'Client' : 'Admin'
+    });
+
+    await payment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened successfully',
+      data: {
+        dispute: payment.disputes.find(dispute => dispute.disputeId === disputeId)
+      }
+    });
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error opening dispute'
+    });
+  }
+});
+
 // @desc    Record partial payment
 // @route   POST /api/payments/:id/partial
 // @access  Private (Admin)
@@ -0,0 +1,482 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const RecurringShipment = require('../models/RecurringShipment');
+const Shipment = require('../models/Shipment');
+const Client = require('../models/Client');
+const { protect, checkPermission, logAdminActivity } = require('../middleware/auth');
+const { applyShipmentReferences } = require('../utils/shipmentBuilder');
+const { validateRecurringShipmentData } = require('../utils/recurringShipments');
+
+const router = express.Router();
+
+// Clients manage their own standing orders; admins manage every one through the shipments module
+router.use(protect(['client', 'admin']));
+
+const requireShipmentPermission = (action) => (req, res, next) => {
+  if (req.userType !== 'admin') return next();
+  return checkPermission('shipments', action)(req, res, next);
+};
+
+// Restrict a query to the definitions the user may see
+const scopeToUser = (req, filter = {}) => {
+  if (req.userType === 'client') {
+    return { ...filter, client: req.user._id };
+  }
+  return filter;
+};
+
+const recurringValidationRules = (isUpdate = false) => {
+  const optionalOnUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optionalOnUpdate(body('name')).trim().notEmpty().withMessage('Name is required'),
+    optionalOnUpdate(body('schedule')).trim().notEmpty().withMessage('Schedule is required'),
+    optionalOnUpdate(body('shipment')).isObject().withMessage('Shipment details are required'),
+    body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+    body('deliveryOffsetHours').optional().isInt({ min: 1, max: 720 }).withMessage('Delivery offset must be between 1 and 720 hours'),
+    body('leadTimeHours').optional().isInt({ min: 1, max: 720 }).withMessage('Lead time must be between 1 and 720 hours')
+  ];
+};
+
+// Point from which future occurrences are (re)calculated: now, or the last occurrence
+// already turned into a shipment if that is later
+const getScheduleCursor = (definition) => {
+  const now = new Date();
+  return definition.lastOccurrenceAt && definition.lastOccurrenceAt > now ? definition.lastOccurrenceAt : now;
+};
+
+// @desc    List recurring shipments
+// @route   GET /api/recurring-shipments
+// @access  Private (Client, Admin with shipments read permission)
+router.get('/', requireShipmentPermission('read'), [
+  query('status').optional().isIn(['active', 'paused', 'completed']),
+  query('client').optional().isMongoId().withMessage('Valid client ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.userType === 'admin' && req.query.client) {
+      filter.client = req.query.client;
+    }
+
+    const recurringShipments = await RecurringShipment.find(scopeToUser(req, filter))
+      .populate('client', 'companyName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: recurringShipments.length,
+      data: { recurringShipments }
+    });
+  } catch (error) {
+    console.error('Get recurring shipments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving recurring shipments'
+    });
+  }
+});
+
+// @desc    Create a recurring shipment
+// @route   POST /api/recurring-shipments
+// @access  Private (Client, Admin with shipments create permission)
+router.post('/', requireShipmentPermission('create'), [
+  ...recurringValidationRules(),
+  body('clientId').if((value, { req }) => req.userType === 'admin').isMongoId().withMessage('Valid client ID is required')
+], logAdminActivity('create', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const clientId = req.userType === 'admin' ? req.body.clientId : req.user._id;
+
+    if (req.userType === 'admin' && !(await Client.exists({ _id: clientId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const definition = new RecurringShipment({
+      client: clientId,
+      createdBy: req.user._id,
+      createdByModel: req.userType === 'admin' ? 'Admin' : 'Client',
+      name: req.body.name,
+      schedule: req.body.schedule,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      deliveryOffsetHours: req.body.deliveryOffsetHours,
+      leadTimeHours: req.body.leadTimeHours,
+      shipmentData: {}
+    });
+
+    const [firstOccurrence] = definition.getUpcomingOccurrences(1);
+    if (!firstOccurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'The schedule has no upcoming occurrences'
+      });
+    }
+
+    // The shipment body may use a saved template and address book entries, like POST /api/shipments
+    const { data } = await applyShipmentReferences(req.body.shipment, clientId);
+    const { shipmentData, errors: shipmentErrors } = await validateRecurringShipmentData(data, firstOccurrence, definition.deliveryOffsetHours);
+    if (shipmentErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: shipmentErrors
+      });
+    }
+
+    definition.shipmentData = shipmentData;
+    definition.scheduleNext();
+    await definition.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring shipment created successfully',
+      data: { recurringShipment: definition }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create recurring shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating recurring shipment'
+    });
+  }
+});
+
+// @desc    Get a recurring shipment with its upcoming occurrences and recent shipments
+// @route   GET /api/recurring-shipments/:id
+// @access  Private (Client, Admin with shipments read permission)
+router.get('/:id', requireShipmentPermission('read'), async (req, res) => {
+  try {
+    const definition = await RecurringShipment.findOne(scopeToUser(req, { _id: req.params.id }))
+      .populate('client', 'companyName');
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring shipment not found'
+      });
+    }
+
+    const upcomingOccurrences = definition.status === 'completed'
+      ? []
+      : definition.getUpcomingOccurrences(10, getScheduleCursor(definition));
+    const recentShipments = await Shipment.find({ recurringShipment: definition._id })
+      .select('shipmentId trackingNumber status recurringOccurrence requestedPickupDate requestedDeliveryDate')
+      .sort({ recurringOccurrence: -1 })
+      .limit(10);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recurringShipment: definition,
+        upcomingOccurrences,
+        recentShipments
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving recurring shipment'
+    });
+  }
+});
+
+// @desc    Edit future occurrences of a recurring shipment
+// @route   PUT /api/recurring-shipments/:id
+// @access  Private (Client, Admin with shipments update permission)
+router.put('/:id', requireShipmentPermission('update'), recurringValidationRules(true), logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const definition = await RecurringShipment.findOne(scopeToUser(req, { _id: req.params.id }));
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring shipment not found'
+      });
+    }
+
+    ['name', 'schedule', 'startDate', 'endDate', 'deliveryOffsetHours', 'leadTimeHours'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        definition[field] = req.body[field];
+      }
+    });
+
+    // Shipments already created keep their details; only occurrences not yet created change
+    const [nextOccurrence] = definition.getUpcomingOccurrences(1, getScheduleCursor(definition));
+    if (!nextOccurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'The schedule has no upcoming occurrences'
+      });
+    }
+
+    const shipmentBody = req.body.shipment
+      ? (await applyShipmentReferences(req.body.shipment, definition.client)).data
+      : definition.shipmentData;
+    const { shipmentData, errors: shipmentErrors } = await validateRecurringShipmentData(shipmentBody, nextOccurrence, definition.deliveryOffsetHours);
+    if (shipmentErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: shipmentErrors
+      });
+    }
+
+    definition.shipmentData = shipmentData;
+    definition.markModified('shipmentData');
+    if (definition.status === 'completed') {
+      definition.status = 'active';
+    }
+    definition.scheduleNext(getScheduleCursor(definition));
+    await definition.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring shipment updated successfully',
+      data: { recurringShipment: definition }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update recurring shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating recurring shipment'
+    });
+  }
+});
+
+// @desc    Pause a recurring shipment
+// @route   POST /api/recurring-shipments/:id/pause
+// @access  Private (Client, Admin with shipments update permission)
+router.post('/:id/pause', requireShipmentPermission('update'), logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const definition = await RecurringShipment.findOne(scopeToUser(req, { _id: req.params.id }));
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring shipment not found'
+      });
+    }
+
+    if (definition.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pause a ${definition.status} recurring shipment`
+      });
+    }
+
+    definition.status = 'paused';
+    await definition.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring shipment paused',
+      data: { recurringShipment: definition }
+    });
+  } catch (error) {
+    console.error('Pause recurring shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pausing recurring shipment'
+    });
+  }
+});
+
+// @desc    Resume a paused recurring shipment (occurrences missed while paused are not created)
+// @route   POST /api/recurring-shipments/:id/resume
+// @access  Private (Client, Admin with shipments update permission)
+router.post('/:id/resume', requireShipmentPermission('update'), logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const definition = await RecurringShipment.findOne(scopeToUser(req, { _id: req.params.id }));
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring shipment not found'
+      });
+    }
+
+    if (definition.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paused recurring shipments can be resumed'
+      });
+    }
+
+    definition.status = 'active';
+    definition.scheduleNext(getScheduleCursor(definition));
+    await definition.save();
+
+    res.status(200).json({
+      success: true,
+      message: definition.status === 'active' ? 'Recurring shipment resumed' : 'Recurring shipment has no upcoming occurrences',
+      data: { recurringShipment: definition }
+    });
+  } catch (error) {
+    console.error('Resume recurring shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resuming recurring shipment'
+    });
+  }
+});
+
+// @desc    Skip one occurrence of a recurring shipment
+// @route   POST /api/recurring-shipments/:id/skip
+// @access  Private (Client, Admin with shipments update permission)
+router.post('/:id/skip', requireShipmentPermission('update'), [
+  body('occurrence').isISO8601().withMessage('Occurrence must be a valid date')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const definition = await RecurringShipment.findOne(scopeToUser(req, { _id: req.params.id }));
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring shipment not found'
+      });
+    }
+
+    const occurrence = new Date(req.body.occurrence);
+
+    if (occurrence <= new Date() || !definition.isOccurrence(occurrence)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrence is not an upcoming date of this schedule'
+      });
+    }
+
+    if (definition.skippedOccurrences.some(date => date.getTime() === occurrence.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Occurrence is already skipped'
+      });
+    }
+
+    // The shipment may already exist if the occurrence is within the lead time
+    const shipment = await Shipment.findOne({ recurringShipment: definition._id, recurringOccurrence: occurrence });
+    let cancelledShipment = null;
+    if (shipment && shipment.status !== 'cancelled') {
+      if (shipment.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `The shipment for this occurrence is already ${shipment.status}`
+        });
+      }
+
+      // Skipping an occurrence is free while its shipment is still pending
+      shipment.cancel({
+        reason: 'Recurring occurrence skipped',
+        feeWaived: true,
+        cancelledBy: req.user._id,
+        cancelledByModel: req.userType === 'admin' ? 'Admin' : 'Client',
+        updatedBy: req.userType
+      });
+      await shipment.save();
+      cancelledShipment = shipment.shipmentId;
+    }
+
+    definition.skippedOccurrences.push(occurrence);
+    if (definition.nextOccurrenceAt && definition.nextOccurrenceAt.getTime() === occurrence.getTime()) {
+      definition.scheduleNext(occurrence);
+    }
+    await definition.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence skipped',
+      data: {
+        recurringShipment: definition,
+        cancelledShipment
+      }
+    });
+  } catch (error) {
+    console.error('Skip recurring occurrence error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error skipping occurrence'
+    });
+  }
+});
+
+// @desc    Delete a recurring shipment (shipments already created are kept)
+// @route   DELETE /api/recurring-shipments/:id
+// @access  Private (Client, Admin with shipments delete permission)
+router.delete('/:id', requireShipmentPermission('delete'), logAdminActivity('delete', 'shipments'), async (req, res) => {
+  try {
+    const definition = await RecurringShipment.findOneAndDelete(scopeToUser(req, { _id: req.params.id }));
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring shipment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring shipment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete recurring shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting recurring shipment'
+    });
+  }
+});
+
+module.exports = router;
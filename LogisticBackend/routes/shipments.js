@@ -1,36 +1,73 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, validationResult, query, param } = require('express-validator');
 const Shipment = require('../models/Shipment');
 const Driver = require('../models/Driver');
 const Client = require('../models/Client');
+const Quote = require('../models/Quote');
+const Admin = require('../models/Admin');
+const Payment = require('../models/Payment');
+const RateCard = require('../models/RateCard');
+const DocumentTemplate = require('../models/DocumentTemplate');
 const { protect, checkPermission, logAdminActivity } = require('../middleware/auth');
-const { uploadShipmentDocuments, uploadShipmentPhotos, handleMulterError, getFileUrl } = require('../utils/fileUpload');
+const { uploadShipmentDocuments, uploadShipmentPhotos, uploadDeliverySignature, uploadShipmentImport, handleMulterError, getFileUrl, deleteFile } = require('../utils/fileUpload');
+const { calculateShipmentPricing, roundCurrency } = require('../utils/pricing');
+const { hasCoordinates, toGeoPoint } = require('../utils/geo');
+const { rankDriversForShipment, autoAssignShipment, autoAssignPendingShipments } = require('../utils/dispatch');
+const { shipmentValidationRules, validateShipmentData, applyShipmentReferences, getPricingFingerprint, prepareShipmentData } = require('../utils/shipmentBuilder');
+const { LABEL_FORMATS, buildLabels, renderPdf, renderZpl, renderPng } = require('../utils/labels');
+const { DOCUMENT_TYPES, renderShipmentDocument, saveShipmentDocument } = require('../utils/shipmentDocuments');
+const { IMPORT_MODES, parseImportFile, mapRowsToShipments } = require('../utils/shipmentImport');
+const { EXPORT_FORMATS, EXPORT_CONTENT_TYPES, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, streamShipmentExport } = require('../utils/shipmentExport');
+const { flushEvents, publishEvent } = require('../utils/events');
+const { isWorkflowState, getTransition } = require('../utils/workflow');
+const { resolveIssueAlerts } = require('../utils/issues');
+const { calculateCancellationFee, calculateCancellationRefund, applyCancellationRefund, revertCancellationRefund } = require('../utils/cancellation');
+const { submitRating } = require('../utils/ratings');
+const { RETURNABLE_STATUSES, RETURN_CHARGE_POLICY, generateRmaNumber, buildReturnShipmentData } = require('../utils/returns');
+const { adjustDriverCash } = require('../utils/cod');
+const { hasNotificationTransport } = require('../utils/notifications');
 const path = require('path');
 
 const router = express.Router();
 
-// @desc    Create new shipment
-// @route   POST /api/shipments
-// @access  Private (Client)
-router.post('/', protect(['client', 'admin']), [
-  body('description').trim().isLength({ min: 10, max: 500 }).withMessage('Description must be between 10 and 500 characters'),
-  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
-  body('items.*.name').trim().notEmpty().withMessage('Item name is required'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Item quantity must be at least 1'),
-  body('items.*.weight').isFloat({ min: 0.1 }).withMessage('Item weight must be at least 0.1 kg'),
-  body('items.*.category').isIn(['Electronics', 'Clothing', 'Food', 'Documents', 'Machinery', 'Chemicals', 'Other']).withMessage('Valid item category is required'),
-  body('pickupAddress.street').trim().notEmpty().withMessage('Pickup street address is required'),
-  body('pickupAddress.city').trim().notEmpty().withMessage('Pickup city is required'),
-  body('pickupAddress.state').trim().notEmpty().withMessage('Pickup state is required'),
-  body('pickupAddress.zipCode').trim().notEmpty().withMessage('Pickup zip code is required'),
-  body('deliveryAddress.street').trim().notEmpty().withMessage('Delivery street address is required'),
-  body('deliveryAddress.city').trim().notEmpty().withMessage('Delivery city is required'),
-  body('deliveryAddress.state').trim().notEmpty().withMessage('Delivery state is required'),
-  body('deliveryAddress.zipCode').trim().notEmpty().withMessage('Delivery zip code is required'),
-  body('requestedPickupDate').isISO8601().withMessage('Valid pickup date is required'),
-  body('requestedDeliveryDate').isISO8601().withMessage('Valid delivery date is required'),
-  body('serviceType').isIn(['standard', 'express', 'overnight', 'same_day']).withMessage('Valid service type is required')
-], logAdminActivity('create', 'shipments'), async (req, res) => {
+// Fill the request body from templateId / pickupAddressId / deliveryAddressId before it is validated
+const resolveShipmentReferences = async (req, res, next) => {
+  try {
+    const clientId = req.userType === 'admin' ? req.body.clientId : req.user._id;
+    const { templateId, pickupAddressId, deliveryAddressId } = req.body;
+
+    if (templateId || pickupAddressId || deliveryAddressId) {
+      if (!clientId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Client ID is required'
+        });
+      }
+
+      const { data, template } = await applyShipmentReferences(req.body, clientId);
+      req.body = data;
+      req.shipmentTemplate = template;
+    }
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Resolve shipment template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error loading shipment template'
+    });
+  }
+};
+
+// @desc    Get a price quote without creating a shipment
+// @route   POST /api/shipments/quote
+// @access  Private (Client, Admin)
+router.post('/quote', protect(['client', 'admin']), resolveShipmentReferences, shipmentValidationRules, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -41,50 +78,91 @@ router.post('/', protect(['client', 'admin']), [
       });
     }
 
-    const {
-      description,
-      items,
-      pickupAddress,
-      deliveryAddress,
-      serviceType,
-      priority,
-      requestedPickupDate,
-      requestedDeliveryDate,
-      pickupTimeWindow,
-      deliveryTimeWindow,
-      requirements,
-      pricing
-    } = req.body;
-
-    // Validate dates
-    const pickupDate = new Date(requestedPickupDate);
-    const deliveryDate = new Date(requestedDeliveryDate);
-    const now = new Date();
+    // Get client ID (if admin is quoting, client should be specified in body)
+    const clientId = req.userType === 'admin' ? req.body.clientId : req.user._id;
 
-    if (pickupDate < now) {
+    if (!clientId) {
       return res.status(400).json({
         success: false,
-        message: 'Pickup date cannot be in the past'
+        message: 'Client ID is required'
       });
     }
 
-    if (deliveryDate <= pickupDate) {
-      return res.status(400).json({
+    const rateCard = await RateCard.findActiveForClient(clientId);
+    const shipmentData = prepareShipmentData(req.body, { rateCard });
+    const validityHours = parseInt(process.env.QUOTE_VALIDITY_HOURS, 10) || 24;
+
+    const quote = await Quote.create({
+      client: clientId,
+      requestedBy: req.user._id,
+      requestedByModel: req.userType === 'admin' ? 'Admin' : 'Client',
+      serviceType: shipmentData.serviceType,
+      priority: shipmentData.priority,
+      totalWeight: shipmentData.totalWeight,
+      pickupAddress: {
+        city: shipmentData.pickupAddress.city,
+        state: shipmentData.pickupAddress.state,
+        country: shipmentData.pickupAddress.country
+      },
+      deliveryAddress: {
+        city: shipmentData.deliveryAddress.city,
+        state: shipmentData.deliveryAddress.state,
+        country: shipmentData.deliveryAddress.country
+      },
+      pricing: shipmentData.pricing,
+      pricingFingerprint: getPricingFingerprint(shipmentData),
+      expiresAt: new Date(Date.now() + validityHours * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote generated successfully',
+      data: {
+        quote: {
+          quoteId: quote.quoteId,
+          expiresAt: quote.expiresAt,
+          serviceType: quote.serviceType,
+          priority: quote.priority,
+          totalWeight: quote.totalWeight,
+          pricing: quote.pricing
+        }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Delivery date must be after pickup date'
+        message: error.message
       });
     }
+    console.error('Quote generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating quote'
+    });
+  }
+});
 
-    // Calculate total weight and value
-    let totalWeight = 0;
-    let totalValue = 0;
+// @desc    Create new shipment
+// @route   POST /api/shipments
+// @access  Private (Client)
+router.post('/', protect(['client', 'admin']), resolveShipmentReferences, [
+  ...shipmentValidationRules,
+  body('quoteId').optional().trim().notEmpty().withMessage('Quote ID cannot be empty'),
+  body('pricingOverride.totalAmount').optional().isFloat({ min: 0 }).withMessage('Override amount must be a positive number'),
+  body('pricingOverride.reason').if(body('pricingOverride').exists()).trim().notEmpty().withMessage('Override reason is required')
+], logAdminActivity('create', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    items.forEach(item => {
-      totalWeight += item.weight * item.quantity;
-      if (item.value && item.value.amount) {
-        totalValue += item.value.amount * item.quantity;
-      }
-    });
+    const { quoteId, pricingOverride } = req.body;
 
     // Get client ID (if admin is creating, client should be specified in body)
     const clientId = req.userType === 'admin' ? req.body.clientId : req.user._id;
@@ -96,25 +174,80 @@ router.post('/', protect(['client', 'admin']), [
       });
     }
 
+    if (pricingOverride && req.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can override shipment pricing'
+      });
+    }
+
+    const rateCard = await RateCard.findActiveForClient(clientId);
+    const shipmentData = prepareShipmentData(req.body, { rateCard });
+
     // Create shipment
-    const shipment = await Shipment.create({
+    const shipment = new Shipment({
       client: clientId,
-      description,
-      items,
-      totalWeight,
-      totalValue,
-      pickupAddress,
-      deliveryAddress,
-      serviceType,
-      priority: priority || 'medium',
-      requestedPickupDate,
-      requestedDeliveryDate,
-      pickupTimeWindow,
-      deliveryTimeWindow,
-      pricing,
-      requirements
+      ...shipmentData
     });
 
+    let quote;
+    if (quoteId) {
+      quote = await Quote.findOne({ quoteId, client: clientId });
+
+      if (!quote || !quote.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quote not found, already used or expired'
+        });
+      }
+
+      if (quote.pricingFingerprint !== getPricingFingerprint(shipmentData)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Shipment details do not match the quote'
+        });
+      }
+
+      // Honour the quoted price
+      shipment.pricing = {
+        ...quote.toObject().pricing,
+        quoteId: quote.quoteId
+      };
+    }
+
+    if (pricingOverride) {
+      shipment.applyPricingOverride(pricingOverride.totalAmount, pricingOverride.reason, req.user._id);
+    }
+
+    if (quote) {
+      // Claim the quote atomically so it can only be used once
+      const claimed = await Quote.findOneAndUpdate(
+        { _id: quote._id, status: 'active' },
+        { status: 'accepted', acceptedAt: new Date(), shipment: shipment._id }
+      );
+
+      if (!claimed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quote not found, already used or expired'
+        });
+      }
+    }
+
+    try {
+      await shipment.save();
+    } catch (error) {
+      // Release the quote again if the shipment could not be stored
+      if (quote) {
+        await Quote.updateOne({ _id: quote._id }, { status: 'active', acceptedAt: null, shipment: null });
+      }
+      throw error;
+    }
+
+    if (req.shipmentTemplate) {
+      await req.shipmentTemplate.updateOne({ $inc: { usageCount: 1 }, lastUsedAt: new Date() });
+    }
+
     await shipment.populate('client', 'companyName email phone');
 
     res.status(201).json({
@@ -125,6 +258,12 @@ router.post('/', protect(['client', 'admin']), [
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Shipment creation error:', error);
     res.status(500).json({
       success: false,
@@ -133,16 +272,13 @@ router.post('/', protect(['client', 'admin']), [
   }
 });
 
-// @desc    Get all shipments with filtering and pagination
-// @route   GET /api/shipments
-// @access  Private
-router.get('/', protect(['driver', 'client', 'admin']), [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['pending', 'assigned', 'picked', 'packed', 'processing', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned', 'cancelled']),
-  query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  query('serviceType').optional().isIn(['standard', 'express', 'overnight', 'same_day'])
-], async (req, res) => {
+// @desc    Bulk import shipments from a CSV or XLSX file
+// @route   POST /api/shipments/import
+// @access  Private (Client, Admin)
+router.post('/import', protect(['client', 'admin']), uploadShipmentImport, handleMulterError, [
+  body('mode').optional().isIn(IMPORT_MODES).withMessage(`Mode must be one of: ${IMPORT_MODES.join(', ')}`),
+  body('clientId').optional().isMongoId().withMessage('Valid client ID is required')
+], logAdminActivity('create', 'shipments'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -153,54 +289,259 @@ router.get('/', protect(['driver', 'client', 'admin']), [
       });
     }
 
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 20;
-    const startIndex = (page - 1) * limit;
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a .csv or .xlsx file in the importFile field'
+      });
+    }
 
-    // Build query based on user type and filters
-    let query = {};
+    const mode = req.body.mode || 'dry_run';
 
-    // User-specific filters
-    if (req.userType === 'driver') {
-      query.driver = req.user._id;
-    } else if (req.userType === 'client') {
-      query.client = req.user._id;
-    }
+    // Get client ID (if admin is importing, client should be specified in body)
+    const clientId = req.userType === 'admin' ? req.body.clientId : req.user._id;
 
-    // Status filter
-    if (req.query.status) {
-      query.status = req.query.status;
+    if (!clientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client ID is required'
+      });
     }
 
-    // Priority filter
-    if (req.query.priority) {
-      query.priority = req.query.priority;
+    if (req.userType === 'admin' && !(await Client.exists({ _id: clientId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
     }
 
-    // Service type filter
-    if (req.query.serviceType) {
-      query.serviceType = req.query.serviceType;
+    const rows = await parseImportFile(req.file.path, req.file.originalname);
+    const groups = mapRowsToShipments(rows);
+    const rateCard = await RateCard.findActiveForClient(clientId);
+
+    // Validate every shipment with the same rules as single creation
+    const results = [];
+    for (const group of groups) {
+      const result = { rows: group.rowNumbers, reference: group.reference, status: 'valid', errors: [] };
+
+      result.errors = await validateShipmentData(group.data);
+      if (result.errors.length === 0) {
+        try {
+          const shipment = new Shipment({
+            client: clientId,
+            ...prepareShipmentData(group.data, { rateCard })
+          });
+
+          // Identifiers are generated when the shipment is saved
+          const validationError = shipment.validateSync();
+          Object.values(validationError?.errors || {})
+            .filter(error => !['shipmentId', 'trackingNumber'].includes(error.path))
+            .forEach(error => result.errors.push({ field: error.path, message: error.message }));
+
+          result.shipment = shipment;
+          result.totalAmount = shipment.pricing.totalAmount;
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          result.errors.push({ field: null, message: error.message });
+        }
+      }
+
+      if (result.errors.length > 0) {
+        result.status = 'invalid';
+        delete result.shipment;
+      }
+      results.push(result);
     }
 
-    // Date range filters
-    if (req.query.startDate || req.query.endDate) {
-      query.createdAt = {};
-      if (req.query.startDate) {
-        query.createdAt.$gte = new Date(req.query.startDate);
+    const invalidCount = results.filter(result => result.status === 'invalid').length;
+    const shouldCommit = mode === 'partial' || (mode === 'all_or_nothing' && invalidCount === 0);
+
+    if (shouldCommit) {
+      const created = [];
+
+      for (const result of results) {
+        if (result.status !== 'valid') continue;
+
+        // Hold events until the batch is known to be kept
+        result.shipment.$locals.deferEvents = true;
+        try {
+          await result.shipment.save();
+          created.push(result.shipment);
+          result.status = 'created';
+        } catch (error) {
+          result.status = 'failed';
+          result.errors.push({ field: null, message: error.message });
+          if (mode === 'all_or_nothing') break;
+        }
+      }
+
+      if (mode === 'all_or_nothing' && results.some(result => result.status === 'failed')) {
+        // Roll back the shipments already written
+        await Shipment.deleteMany({ _id: { $in: created.map(shipment => shipment._id) } });
+        results.forEach(result => {
+          if (result.status === 'created') result.status = 'rolled_back';
+          else if (result.status === 'valid') result.status = 'skipped';
+        });
+      } else {
+        created.forEach(shipment => {
+          shipment.$locals.deferEvents = false;
+          flushEvents(shipment);
+        });
       }
-      if (req.query.endDate) {
-        query.createdAt.$lte = new Date(req.query.endDate);
+    }
+
+    const summary = {
+      mode,
+      shipments: results.length,
+      rows: rows.length,
+      valid: results.filter(result => result.status !== 'invalid').length,
+      invalid: invalidCount,
+      created: results.filter(result => result.status === 'created').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+
+    const report = results.map(({ shipment, ...result }) => ({
+      ...result,
+      shipmentId: result.status === 'created' ? shipment.shipmentId : undefined,
+      trackingNumber: result.status === 'created' ? shipment.trackingNumber : undefined
+    }));
+
+    let message;
+    if (mode === 'dry_run') {
+      message = `Dry run complete: ${summary.valid} of ${summary.shipments} shipments are valid`;
+    } else if (summary.created === 0) {
+      message = 'No shipments were imported';
+    } else {
+      message = `${summary.created} of ${summary.shipments} shipments imported`;
+    }
+
+    res.status(summary.created > 0 ? 201 : mode === 'dry_run' ? 200 : 400).json({
+      success: mode === 'dry_run' || summary.created > 0,
+      message,
+      data: {
+        summary,
+        results: report
       }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Shipment import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during shipment import'
+    });
+  } finally {
+    if (req.file) {
+      deleteFile(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// Filters shared by the shipment list and export
+const shipmentListFilters = [
+  query('status').optional().custom(isWorkflowState).withMessage('Valid status is required'),
+  query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  query('serviceType').optional().isIn(['standard', 'express', 'overnight', 'same_day']),
+  query('direction').optional().isIn(['forward', 'return']).withMessage('Direction must be forward or return'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+];
+
+// Drivers see the shipments they drive and multi-stop shipments with a leg assigned to them
+const driverShipmentScope = (driverId) => ({
+  $or: [{ driver: driverId }, { 'legs.driver': driverId }]
+});
+
+// Build the shipment query from the user type and list filters
+const buildShipmentListQuery = (req) => {
+  const query = {};
+  const conditions = [];
+
+  // User-specific filters
+  if (req.userType === 'driver') {
+    conditions.push(driverShipmentScope(req.user._id));
+  } else if (req.userType === 'client') {
+    query.client = req.user._id;
+  }
+
+  // Status filter
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  // Priority filter
+  if (req.query.priority) {
+    query.priority = req.query.priority;
+  }
+
+  // Service type filter
+  if (req.query.serviceType) {
+    query.serviceType = req.query.serviceType;
+  }
+
+  // Direction filter (shipments stored before returns existed have no direction)
+  if (req.query.direction) {
+    query.direction = req.query.direction === 'return' ? 'return' : { $ne: 'return' };
+  }
+
+  // Date range filters
+  if (req.query.startDate || req.query.endDate) {
+    query.createdAt = {};
+    if (req.query.startDate) {
+      query.createdAt.$gte = new Date(req.query.startDate);
     }
+    if (req.query.endDate) {
+      query.createdAt.$lte = new Date(req.query.endDate);
+    }
+  }
 
-    // Search by tracking number or shipment ID
-    if (req.query.search) {
-      query.$or = [
+  // Search by tracking number or shipment ID
+  if (req.query.search) {
+    conditions.push({
+      $or: [
         { trackingNumber: { $regex: req.query.search, $options: 'i' } },
         { shipmentId: { $regex: req.query.search, $options: 'i' } }
-      ];
+      ]
+    });
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  return query;
+};
+
+// @desc    Get all shipments with filtering and pagination
+// @route   GET /api/shipments
+// @access  Private
+router.get('/', protect(['driver', 'client', 'admin']), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...shipmentListFilters
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
     }
 
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    // Build query based on user type and filters
+    const query = buildShipmentListQuery(req);
+
     // Execute query
     const shipments = await Shipment.find(query)
       .populate('client', 'companyName contactPerson email phone')
@@ -247,6 +588,177 @@ router.get('/', protect(['driver', 'client', 'admin']), [
   }
 });
 
+// @desc    Export all matching shipments as CSV, XLSX or NDJSON
+// @route   GET /api/shipments/export
+// @access  Private
+router.get('/export', protect(['driver', 'client', 'admin']), (req, res, next) => {
+  if (req.userType !== 'admin') return next();
+  return checkPermission('shipments', 'read')(req, res, next);
+}, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('columns').optional().custom(value => {
+    const unknown = String(value).split(',').map(column => column.trim()).filter(column => !EXPORT_COLUMNS[column]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown columns: ${unknown.join(', ')}`);
+    }
+    return true;
+  }),
+  ...shipmentListFilters
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const format = req.query.format || 'csv';
+  const columns = req.query.columns
+    ? [...new Set(req.query.columns.split(',').map(column => column.trim()))]
+    : DEFAULT_EXPORT_COLUMNS;
+  const query = buildShipmentListQuery(req);
+  let count = 0;
+  let exportError = null;
+
+  try {
+    const cursor = Shipment.find(query)
+      .populate('client', 'companyName')
+      .populate('driver', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    res.status(200);
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="shipments-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    count = await streamShipmentExport(cursor, res, { format, columns });
+  } catch (error) {
+    exportError = error;
+    console.error('Export shipments error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error exporting shipments'
+      });
+    } else {
+      // Part of the file is already sent; drop the connection so the download is not mistaken for complete
+      res.destroy();
+    }
+  }
+
+  // Streamed responses bypass logAdminActivity, so admin exports are logged here
+  if (req.userType === 'admin') {
+    const filters = ['status', 'priority', 'serviceType', 'startDate', 'endDate', 'search']
+      .filter(filter => req.query[filter])
+      .map(filter => `${filter}=${req.query[filter]}`);
+
+    req.user.logActivity(
+      'export',
+      'shipments',
+      null,
+      'shipments',
+      `Exported ${count} shipments as ${format}${filters.length ? ` (${filters.join(', ')})` : ''}`,
+      req.ip || req.connection.remoteAddress,
+      req.get('User-Agent'),
+      !exportError,
+      exportError ? exportError.message : null
+    );
+
+    req.user.save().catch(err => {
+      console.error('Error saving admin activity log:', err);
+    });
+  }
+});
+
+// @desc    Find available pickups near a driver
+// @route   GET /api/shipments/nearby
+// @access  Private (Driver, Admin)
+router.get('/nearby', protect(['driver', 'admin']), [
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  query('radiusKm').optional().isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be between 0.1 and 500 km'),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Default to the driver's last known position
+    let coordinates = null;
+    if (req.query.lat !== undefined && req.query.lng !== undefined) {
+      coordinates = { latitude: parseFloat(req.query.lat), longitude: parseFloat(req.query.lng) };
+    } else if (req.userType === 'driver' && hasCoordinates(req.user.currentLocation)) {
+      coordinates = req.user.currentLocation;
+    }
+
+    if (!coordinates) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location is required: pass lat and lng or share your current location'
+      });
+    }
+
+    const radiusKm = parseFloat(req.query.radiusKm) || 25;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const shipments = await Shipment.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint(coordinates),
+          key: 'pickupAddress.location',
+          distanceField: 'distanceMeters',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: { status: 'pending', driver: null }
+        }
+      },
+      { $limit: limit },
+      {
+        $project: {
+          shipmentId: 1,
+          trackingNumber: 1,
+          description: 1,
+          serviceType: 1,
+          priority: 1,
+          totalWeight: 1,
+          requestedPickupDate: 1,
+          requestedDeliveryDate: 1,
+          pickupTimeWindow: 1,
+          requirements: 1,
+          'pickupAddress.city': 1,
+          'pickupAddress.state': 1,
+          'pickupAddress.coordinates': 1,
+          'deliveryAddress.city': 1,
+          'deliveryAddress.state': 1,
+          'deliveryAddress.coordinates': 1,
+          distanceKm: { $round: [{ $divide: ['$distanceMeters', 1000] }, 2] }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: shipments.length,
+      data: { shipments }
+    });
+  } catch (error) {
+    console.error('Get nearby shipments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving nearby shipments'
+    });
+  }
+});
+
 // @desc    Get shipment tracking history
 // @route   GET /api/shipments/track/:trackingNumber
 // @access  Public (with tracking number)
@@ -255,7 +767,7 @@ router.get('/track/:trackingNumber', async (req, res) => {
     const { trackingNumber } = req.params;
 
     const shipment = await Shipment.findOne({ trackingNumber })
-      .select('shipmentId trackingNumber status timeline pickupAddress deliveryAddress estimatedTransitTime currentStatusInfo')
+      .select('shipmentId trackingNumber status timeline pickupAddress deliveryAddress stops requestedPickupDate requestedDeliveryDate eta etaHistory direction returnOf returnShipment rma')
       .populate('client', 'companyName');
 
     if (!shipment) {
@@ -265,6 +777,18 @@ router.get('/track/:trackingNumber', async (req, res) => {
       });
     }
 
+    // The other direction of a returned shipment
+    const linkedId = shipment.returnShipment || shipment.returnOf;
+    const linked = linkedId
+      ? await Shipment.findById(linkedId).select('trackingNumber status timeline actualDeliveryDate')
+      : null;
+    const linkedSummary = linked && {
+      trackingNumber: linked.trackingNumber,
+      status: linked.status,
+      timeline: linked.timeline,
+      actualDeliveryDate: linked.actualDeliveryDate
+    };
+
     res.status(200).json({
       success: true,
       data: {
@@ -274,6 +798,17 @@ router.get('/track/:trackingNumber', async (req, res) => {
           status: shipment.status,
           timeline: shipment.timeline,
           estimatedTransitTime: shipment.estimatedTransitTime,
+          eta: shipment.eta?.estimatedDeliveryAt ? {
+            estimatedDeliveryAt: shipment.eta.estimatedDeliveryAt,
+            computedAt: shipment.eta.computedAt,
+            likelyLate: shipment.eta.likelyLate,
+            requestedDeliveryDate: shipment.requestedDeliveryDate
+          } : null,
+          etaHistory: shipment.etaHistory.map(entry => ({
+            estimatedDeliveryAt: entry.estimatedDeliveryAt,
+            computedAt: entry.computedAt,
+            likelyLate: entry.likelyLate
+          })),
           currentStatusInfo: shipment.currentStatusInfo,
           client: shipment.client,
           pickupAddress: {
@@ -283,7 +818,31 @@ router.get('/track/:trackingNumber', async (req, res) => {
           deliveryAddress: {
             city: shipment.deliveryAddress.city,
             state: shipment.deliveryAddress.state
-          }
+          },
+          ...(shipment.stops.length > 0 && {
+            stops: shipment.stops.map((stop, index) => ({
+              sequence: index + 1,
+              type: stop.type,
+              city: stop.address.city,
+              state: stop.address.state,
+              status: stop.status,
+              timeWindow: stop.timeWindow,
+              arrivedAt: stop.arrivedAt,
+              completedAt: stop.completedAt
+            })),
+            completedStops: shipment.stops.filter(stop => ['completed', 'failed', 'skipped'].includes(stop.status)).length,
+            totalStops: shipment.stops.length
+          }),
+          direction: shipment.direction,
+          ...(shipment.rma?.number && {
+            rma: {
+              number: shipment.rma.number,
+              reason: shipment.rma.reason
+            }
+          }),
+          ...(linkedSummary && (shipment.returnOf
+            ? { originalShipment: linkedSummary }
+            : { returnShipment: linkedSummary }))
         }
       }
     });
@@ -305,7 +864,7 @@ router.get('/:id', protect(['driver', 'client', 'admin']), async (req, res) => {
 
     // Add user-specific filters
     if (req.userType === 'driver') {
-      query.driver = req.user._id;
+      Object.assign(query, driverShipmentScope(req.user._id));
     } else if (req.userType === 'client') {
       query.client = req.user._id;
     }
@@ -336,11 +895,97 @@ router.get('/:id', protect(['driver', 'client', 'admin']), async (req, res) => {
   }
 });
 
+// @desc    Render a shipping label
+// @route   GET /api/shipments/:id/label?format=pdf|zpl|png&multiPiece=true&piece=n
+// @access  Private
+router.get('/:id/label', protect(['driver', 'client', 'admin']), [
+  query('format').optional().isIn(LABEL_FORMATS).withMessage(`Format must be one of: ${LABEL_FORMATS.join(', ')}`),
+  query('multiPiece').optional().isBoolean().withMessage('multiPiece must be a boolean'),
+  query('piece').optional().isInt({ min: 1 }).withMessage('Piece must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let query = { _id: req.params.id };
+
+    // Add user-specific filters
+    if (req.userType === 'driver') {
+      Object.assign(query, driverShipmentScope(req.user._id));
+    } else if (req.userType === 'client') {
+      query.client = req.user._id;
+    }
+
+    const shipment = await Shipment.findOne(query)
+      .select('shipmentId trackingNumber serviceType priority items totalWeight pickupAddress deliveryAddress requirements');
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const format = req.query.format || 'pdf';
+    const multiPiece = req.query.multiPiece === 'true' || req.query.piece !== undefined;
+    let labels = buildLabels(shipment, { multiPiece });
+
+    if (req.query.piece !== undefined) {
+      const piece = parseInt(req.query.piece, 10);
+      if (piece > labels.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Shipment only has ${labels.length} piece${labels.length === 1 ? '' : 's'}`
+        });
+      }
+      labels = [labels[piece - 1]];
+    }
+
+    // A PNG holds a single label
+    if (format === 'png' && labels.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'PNG labels are rendered one piece at a time; pass the piece parameter'
+      });
+    }
+
+    const fileName = `label-${shipment.trackingNumber}${labels.length === 1 && multiPiece ? `-${labels[0].piece}` : ''}`;
+
+    if (format === 'zpl') {
+      res.set('Content-Type', 'application/x-zpl; charset=utf-8');
+      res.set('Content-Disposition', `inline; filename="${fileName}.zpl"`);
+      return res.status(200).send(renderZpl(labels));
+    }
+
+    if (format === 'png') {
+      res.set('Content-Type', 'image/png');
+      res.set('Content-Disposition', `inline; filename="${fileName}.png"`);
+      return res.status(200).send(await renderPng(labels[0]));
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    res.status(200).send(await renderPdf(labels));
+  } catch (error) {
+    console.error('Render label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rendering label'
+    });
+  }
+});
+
 // @desc    Update shipment status
 // @route   PUT /api/shipments/:id/status
 // @access  Private (Driver, Admin)
 router.put('/:id/status', protect(['driver', 'admin']), [
-  body('status').isIn(['assigned', 'picked', 'packed', 'processing', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned', 'cancelled']).withMessage('Valid status is required'),
+  body('status').custom(isWorkflowState).withMessage('Valid status is required'),
   body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
 ], logAdminActivity('update', 'shipments'), async (req, res) => {
   try {
@@ -371,64 +1016,1206 @@ router.put('/:id/status', protect(['driver', 'admin']), [
       });
     }
 
-    // Validate status transition
-    const validTransitions = {
-      'pending': ['assigned', 'cancelled'],
-      'assigned': ['picked', 'cancelled'],
-      'picked': ['packed', 'processing', 'failed'],
-      'packed': ['processing', 'in_transit'],
-      'processing': ['in_transit', 'failed'],
-      'in_transit': ['out_for_delivery', 'delivered', 'failed'],
-      'out_for_delivery': ['delivered', 'failed', 'returned'],
-      'delivered': [],
-      'failed': ['processing', 'cancelled'],
-      'returned': [],
-      'cancelled': []
-    };
-
-    if (!validTransitions[shipment.status].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot transition from ${shipment.status} to ${status}`
+    // Cancelling applies the fee policy and refunds, so it has its own endpoint
+    if (status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancel shipments with POST /api/shipments/:id/cancel'
+      });
+    }
+
+    // Multi-stop shipments move with their stops
+    if (shipment.stops.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-stop shipments are updated stop by stop with PUT /api/shipments/:id/stops/:stopIndex'
+      });
+    }
+
+    // Transitions, who may make them and the side data they need come from the workflow
+    const transitionError = shipment.getTransitionError(status, { role: req.userType, notes, location });
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError.message,
+        ...(transitionError.missingRequirements && { missingRequirements: transitionError.missingRequirements })
+      });
+    }
+
+    // Shipments that need proof of delivery must be completed through POST /:id/deliver
+    if (status === 'delivered') {
+      const missingProofs = shipment.getMissingDeliveryProofs();
+      if (missingProofs.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Required proof of delivery is missing; complete the delivery with POST /api/shipments/:id/deliver',
+          missingProofs
+        });
+      }
+
+      // The cash has to be recorded as it is collected
+      if (shipment.cod?.amount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cash on delivery must be recorded; complete the delivery with POST /api/shipments/:id/deliver and codCollected'
+        });
+      }
+    }
+
+    // Update status with timeline
+    shipment.updateStatus(
+      status,
+      location,
+      notes,
+      req.userType,
+      req.user._id
+    );
+
+    await shipment.save();
+
+    // Populate updated shipment
+    await shipment.populate('client', 'companyName email phone');
+    await shipment.populate('driver', 'firstName lastName email phone');
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment status updated successfully',
+      data: {
+        shipment
+      }
+    });
+  } catch (error) {
+    console.error('Update shipment status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating shipment status'
+    });
+  }
+});
+
+// @desc    Cancel a shipment, charging the cancellation fee and refunding the rest of a completed payment
+// @route   POST /api/shipments/:id/cancel
+// @access  Private (Client, Admin)
+router.post('/:id/cancel', protect(['client', 'admin']), [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters'),
+  body('waiveFee').optional().isBoolean().withMessage('waiveFee must be a boolean'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const waiveFee = req.body.waiveFee === true || req.body.waiveFee === 'true';
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    // Only admins can waive the fee
+    if (waiveFee && req.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can waive the cancellation fee'
+      });
+    }
+
+    let query = { _id: req.params.id };
+
+    // Clients can only cancel their own shipments
+    if (req.userType === 'client') {
+      query.client = req.user._id;
+    }
+
+    const shipment = await Shipment.findOne(query);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found or not authorized'
+      });
+    }
+
+    const transitionError = shipment.getTransitionError('cancelled', { role: req.userType, notes: reason });
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError.message
+      });
+    }
+
+    const { fee, feePercent, waived, breakdown } = calculateCancellationFee(shipment, { waive: waiveFee });
+    const payment = await Payment.findOne({ shipment: shipment._id, status: 'completed' });
+    const refundAmount = calculateCancellationRefund(payment, fee);
+
+    // Dry run: return the fee and refund without cancelling
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          fee,
+          feePercent,
+          feeWaived: waived,
+          breakdown,
+          refundAmount,
+          currency: shipment.pricing.currency
+        }
+      });
+    }
+
+    // Claim the cancellation atomically so concurrent requests cannot both cancel and refund
+    const fromStatus = shipment.status;
+    const claim = await Shipment.updateOne(
+      { _id: shipment._id, status: fromStatus, 'cancellation.isCancelled': { $ne: true } },
+      { $set: { 'cancellation.isCancelled': true } }
+    );
+    if (claim.modifiedCount !== 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'Shipment is already being cancelled or has just changed; reload it and try again'
+      });
+    }
+
+    const paymentStatus = payment?.status;
+    let refundId;
+    try {
+      if (payment && refundAmount > 0) {
+        refundId = await applyCancellationRefund(payment, {
+          amount: refundAmount,
+          reason: 'cancelled_shipment',
+          reasonDescription: reason,
+          refundMethod: 'original_method',
+          processedBy: req.userType === 'admin' ? req.user._id : undefined
+        });
+      }
+
+      shipment.cancel({
+        reason,
+        fee,
+        feePercent,
+        feeWaived: waived,
+        refundAmount,
+        cancelledBy: req.user._id,
+        cancelledByModel: req.userType === 'admin' ? 'Admin' : 'Client',
+        updatedBy: req.userType
+      });
+      shipment.cancellation.refundId = refundId;
+
+      await shipment.save();
+    } catch (error) {
+      // Release the claim and take back a refund already recorded
+      await Promise.all([
+        Shipment.updateOne(
+          { _id: shipment._id, status: fromStatus },
+          { $set: { 'cancellation.isCancelled': false } }
+        ),
+        refundId ? revertCancellationRefund(payment, refundId, paymentStatus) : null
+      ]);
+      throw error;
+    }
+
+    if (refundId) {
+      flushEvents(payment);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment cancelled successfully',
+      data: {
+        shipmentId: shipment.shipmentId,
+        status: shipment.status,
+        cancellation: shipment.cancellation,
+        breakdown,
+        currency: shipment.pricing.currency
+      }
+    });
+  } catch (error) {
+    console.error('Cancel shipment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error cancelling shipment'
+    });
+  }
+});
+
+// @desc    Rate a delivered shipment: the client rates the driver, the driver rates the client
+// @route   POST /api/shipments/:id/rating
+// @access  Private (Client, Driver)
+router.post('/:id/rating', protect(['client', 'driver']), [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+  body('feedback').optional().trim().isLength({ max: 1000 }).withMessage('Feedback cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Each party can only rate shipments they were part of
+    const query = { _id: req.params.id };
+    if (req.userType === 'driver') {
+      query.driver = req.user._id;
+    } else {
+      query.client = req.user._id;
+    }
+
+    const shipment = await Shipment.findOne(query);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found or not authorized'
+      });
+    }
+
+    const rating = await submitRating(shipment, req.userType, {
+      rating: parseInt(req.body.rating, 10),
+      feedback: req.body.feedback || undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: rating.moderation.status === 'pending'
+        ? 'Rating submitted; the feedback will be reviewed'
+        : 'Rating submitted successfully',
+      data: {
+        shipmentId: shipment.shipmentId,
+        rating
+      }
+    });
+  } catch (error) {
+    console.error('Rate shipment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error submitting rating'
+    });
+  }
+});
+
+// @desc    Authorise a return: creates a linked reverse shipment back to the original pickup address
+// @route   POST /api/shipments/:id/return
+// @access  Private (Client, Admin)
+router.post('/:id/return', protect(['client', 'admin']), [
+  body('reason').isIn(Object.keys(RETURN_CHARGE_POLICY)).withMessage(`Reason must be one of: ${Object.keys(RETURN_CHARGE_POLICY).join(', ')}`),
+  body('reasonDescription').optional().trim().isLength({ max: 500 }).withMessage('Reason description cannot exceed 500 characters'),
+  body('chargeTo').optional().isIn(['client', 'consignee']).withMessage('chargeTo must be client or consignee'),
+  body('requestedPickupDate').optional().isISO8601().withMessage('Valid pickup date is required'),
+  body('requestedDeliveryDate').optional().isISO8601().withMessage('Valid delivery date is required')
+], logAdminActivity('create', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { reason, reasonDescription, requestedPickupDate, requestedDeliveryDate } = req.body;
+
+    // Only admins can change who pays for the return
+    if (req.body.chargeTo && req.userType !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can choose who is charged for a return'
+      });
+    }
+
+    let query = { _id: req.params.id };
+
+    // Clients can only return their own shipments
+    if (req.userType === 'client') {
+      query.client = req.user._id;
+    }
+
+    const original = await Shipment.findOne(query);
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found or not authorized'
+      });
+    }
+
+    if (original.direction === 'return') {
+      return res.status(400).json({
+        success: false,
+        message: 'A return shipment cannot itself be returned'
+      });
+    }
+
+    if (!RETURNABLE_STATUSES.includes(original.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only shipments that are ${RETURNABLE_STATUSES.join(', ')} can be returned`
+      });
+    }
+
+    if (original.returnShipment) {
+      return res.status(400).json({
+        success: false,
+        message: `A return has already been authorised (${original.rma?.number})`
+      });
+    }
+
+    const rateCard = await RateCard.findActiveForClient(original.client);
+    const shipmentData = buildReturnShipmentData(original, { requestedPickupDate, requestedDeliveryDate, rateCard });
+
+    const rma = {
+      number: generateRmaNumber(),
+      reason,
+      reasonDescription,
+      chargeTo: req.body.chargeTo || RETURN_CHARGE_POLICY[reason],
+      authorizedBy: req.user._id,
+      authorizedByModel: req.userType === 'admin' ? 'Admin' : 'Client',
+      authorizedAt: new Date()
+    };
+
+    const returnShipment = new Shipment({
+      client: original.client,
+      ...shipmentData,
+      direction: 'return',
+      returnOf: original._id,
+      rma
+    });
+
+    // Link the original atomically so only one return can be authorised
+    const claimed = await Shipment.findOneAndUpdate(
+      { _id: original._id, returnShipment: null },
+      { $set: { returnShipment: returnShipment._id, rma } }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'A return has already been authorised for this shipment'
+      });
+    }
+
+    try {
+      await returnShipment.save();
+    } catch (error) {
+      // Unlink the original again if the return could not be stored
+      await Shipment.updateOne(
+        { _id: original._id, returnShipment: returnShipment._id },
+        { $set: { returnShipment: null }, $unset: { rma: 1 } }
+      );
+      throw error;
+    }
+
+    publishEvent('shipment.return_authorized', {
+      ...original.getEventSummary(),
+      returnShipment: returnShipment._id,
+      returnShipmentId: returnShipment.shipmentId,
+      returnTrackingNumber: returnShipment.trackingNumber,
+      rmaNumber: rma.number,
+      reason,
+      chargeTo: rma.chargeTo
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return authorised successfully',
+      data: {
+        rma,
+        shipment: returnShipment
+      }
+    });
+  } catch (error) {
+    console.error('Create return shipment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error creating return'
+    });
+  }
+});
+
+// @desc    Complete a delivery with proof (recipient, signature, ID check, delivery code)
+// @route   POST /api/shipments/:id/deliver
+// @access  Private (Driver)
+router.post('/:id/deliver', protect(['driver']), uploadDeliverySignature, handleMulterError, [
+  body('recipientName').trim().isLength({ min: 2, max: 100 }).withMessage('Recipient name is required'),
+  body('relationToRecipient').optional().trim().isLength({ max: 50 }).withMessage('Relation cannot exceed 50 characters'),
+  body('idVerified').optional().isBoolean().withMessage('idVerified must be a boolean'),
+  body('deliveryCode').optional().trim().matches(/^\d{6}$/).withMessage('Delivery code must be 6 digits'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('codCollected').optional().isFloat({ min: 0 }).withMessage('Cash collected cannot be negative')
+], async (req, res) => {
+  // The signature is only kept when the delivery is recorded
+  const discardSignature = () => (req.file ? deleteFile(req.file.path).catch(() => {}) : Promise.resolve());
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shipment = await Shipment.findOne({
+      _id: req.params.id,
+      driver: req.user._id
+    }).select('+delivery.otp.codeHash');
+
+    if (!shipment) {
+      await discardSignature();
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found or not authorized'
+      });
+    }
+
+    if (shipment.stops.length > 0) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-stop shipments are delivered stop by stop with PUT /api/shipments/:id/stops/:stopIndex'
+      });
+    }
+
+    if (!getTransition(shipment.status, 'delivered')) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot deliver a shipment that is ${shipment.status}`
+      });
+    }
+
+    const { recipientName, relationToRecipient, deliveryCode, notes, latitude, longitude } = req.body;
+
+    if (deliveryCode) {
+      const result = shipment.verifyDeliveryCode(deliveryCode);
+      if (!result.verified) {
+        // Persist the failed attempt count
+        await shipment.save();
+        await discardSignature();
+        return res.status(400).json({
+          success: false,
+          message: result.reason
+        });
+      }
+    }
+
+    shipment.delivery.recipient = {
+      name: recipientName,
+      relationToRecipient,
+      idVerified: req.body.idVerified === true || req.body.idVerified === 'true',
+      signature: req.file
+        ? getFileUrl(req, path.relative(path.join(__dirname, '../uploads'), req.file.path))
+        : undefined
+    };
+
+    const missingProofs = shipment.getMissingDeliveryProofs();
+    if (missingProofs.length > 0) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark shipment delivered without: ${missingProofs.join(', ')}`,
+        missingProofs
+      });
+    }
+
+    const coordinates = latitude !== undefined && longitude !== undefined
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : undefined;
+    const location = coordinates ? { coordinates } : undefined;
+    const statusNotes = notes || `Delivered to ${recipientName}`;
+
+    const transitionError = shipment.getTransitionError('delivered', { role: 'driver', notes: statusNotes, location });
+    if (transitionError) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: transitionError.message,
+        ...(transitionError.missingRequirements && { missingRequirements: transitionError.missingRequirements })
+      });
+    }
+
+    // Cash on delivery shipments cannot be closed without recording the cash taken
+    const hasCod = shipment.cod?.amount > 0;
+    if (hasCod && req.body.codCollected === undefined) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: `Record the cash collected (codCollected); ${shipment.cod.amount} ${shipment.cod.currency} is due on delivery`
+      });
+    }
+
+    // Claim the delivery atomically so a retried or duplicated request cannot deliver it (and add the cash) twice
+    const fromStatus = shipment.status;
+    const claim = await Shipment.updateOne(
+      { _id: shipment._id, driver: req.user._id, status: fromStatus },
+      { $set: { status: 'delivered' } }
+    );
+    if (claim.modifiedCount !== 1) {
+      await discardSignature();
+      return res.status(409).json({
+        success: false,
+        message: 'Shipment is already being delivered or has just changed; reload it and try again'
+      });
+    }
+
+    shipment.delivery.deliveredBy = req.user._id;
+    shipment.delivery.deliveryLocation = coordinates;
+    shipment.delivery.deliveryNotes = notes;
+    shipment.updateStatus('delivered', location, statusNotes, 'driver', req.user._id);
+
+    let codDifference;
+    let cashAdded = false;
+    try {
+      if (hasCod) {
+        codDifference = shipment.recordCodCollection(roundCurrency(parseFloat(req.body.codCollected)), req.user._id, notes);
+        await adjustDriverCash(req.user._id, shipment.cod.collectedAmount, shipment.cod.currency);
+        cashAdded = true;
+      }
+
+      await shipment.save();
+    } catch (error) {
+      // Release the claim and take back the cash already added so the delivery can be retried
+      await Promise.all([
+        Shipment.updateOne(
+          { _id: shipment._id, status: 'delivered' },
+          { $set: { status: fromStatus } }
+        ),
+        cashAdded ? adjustDriverCash(req.user._id, -shipment.cod.collectedAmount, shipment.cod.currency) : null
+      ]);
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment delivered successfully',
+      data: {
+        shipmentId: shipment.shipmentId,
+        status: shipment.status,
+        actualDeliveryDate: shipment.actualDeliveryDate,
+        delivery: {
+          recipient: shipment.delivery.recipient,
+          deliveredBy: shipment.delivery.deliveredBy,
+          deliveryLocation: shipment.delivery.deliveryLocation,
+          deliveryNotes: shipment.delivery.deliveryNotes,
+          codeVerifiedAt: shipment.delivery.otp?.verifiedAt
+        },
+        ...(hasCod && {
+          cod: {
+            amount: shipment.cod.amount,
+            collectedAmount: shipment.cod.collectedAmount,
+            currency: shipment.cod.currency,
+            difference: codDifference
+          }
+        })
+      }
+    });
+  } catch (error) {
+    await discardSignature();
+    console.error('Deliver shipment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error recording delivery'
+    });
+  }
+});
+
+// @desc    Record progress at one stop of a multi-stop shipment
+// @route   PUT /api/shipments/:id/stops/:stopIndex
+// @access  Private (Driver, Admin)
+router.put('/:id/stops/:stopIndex', protect(['driver', 'admin']), uploadDeliverySignature, handleMulterError, [
+  param('stopIndex').isInt({ min: 0 }).withMessage('Stop index must be a non-negative integer'),
+  body('status').isIn(['arrived', 'completed', 'failed', 'skipped']).withMessage('Status must be arrived, completed, failed or skipped'),
+  body('recipientName').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Recipient name must be between 2 and 100 characters'),
+  body('idVerified').optional().isBoolean().withMessage('idVerified must be a boolean'),
+  body('failureReason').if(body('status').equals('failed')).trim().notEmpty().withMessage('Failure reason is required for a failed stop'),
+  body('failureReason').optional().trim().isLength({ max: 500 }).withMessage('Failure reason cannot exceed 500 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  // The signature is only kept when the stop is recorded
+  const discardSignature = () => (req.file ? deleteFile(req.file.path).catch(() => {}) : Promise.resolve());
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, recipientName, failureReason, notes, latitude, longitude } = req.body;
+    const stopIndex = parseInt(req.params.stopIndex, 10);
+
+    // Skipping a stop changes the route, so only admins can do it
+    if (status === 'skipped' && req.userType !== 'admin') {
+      await discardSignature();
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can skip a stop'
+      });
+    }
+
+    let query = { _id: req.params.id };
+
+    // Drivers can only update stops on shipments they are driving
+    if (req.userType === 'driver') {
+      query.driver = req.user._id;
+    }
+
+    const shipment = await Shipment.findOne(query);
+
+    if (!shipment) {
+      await discardSignature();
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found or not authorized'
+      });
+    }
+
+    if (shipment.stops.length === 0) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: 'Shipment has no stops'
+      });
+    }
+
+    if (['cancelled', 'returned', 'delivered', 'failed'].includes(shipment.status)) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot update stops of a shipment that is ${shipment.status}`
+      });
+    }
+
+    // Cash on delivery is only recorded by POST /:id/deliver; multi-stop shipments are created without it
+    if (shipment.cod?.amount > 0) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on delivery is not available for multi-stop shipments'
+      });
+    }
+
+    if (stopIndex >= shipment.stops.length) {
+      await discardSignature();
+      return res.status(404).json({
+        success: false,
+        message: `Shipment only has ${shipment.stops.length} stops`
+      });
+    }
+
+    const stopError = shipment.getStopUpdateError(stopIndex, status);
+    if (stopError) {
+      await discardSignature();
+      return res.status(400).json({
+        success: false,
+        message: stopError
+      });
+    }
+
+    const coordinates = latitude !== undefined && longitude !== undefined
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : undefined;
+
+    let proof;
+    if (status === 'completed') {
+      const stop = shipment.stops[stopIndex];
+      if (stop.type === 'delivery' && !recipientName) {
+        await discardSignature();
+        return res.status(400).json({
+          success: false,
+          message: 'Recipient name is required to complete a delivery stop'
+        });
+      }
+
+      proof = {
+        recipientName,
+        signature: req.file
+          ? getFileUrl(req, path.relative(path.join(__dirname, '../uploads'), req.file.path))
+          : undefined,
+        idVerified: req.body.idVerified === true || req.body.idVerified === 'true',
+        notes,
+        location: coordinates,
+        completedBy: req.userType === 'driver' ? req.user._id : shipment.driver
+      };
+
+      const missingProofs = shipment.getMissingStopProofs(stopIndex, proof);
+      if (missingProofs.length > 0) {
+        await discardSignature();
+        return res.status(400).json({
+          success: false,
+          message: `Cannot complete stop ${stopIndex + 1} without: ${missingProofs.join(', ')}`,
+          missingProofs
+        });
+      }
+    } else {
+      await discardSignature();
+    }
+
+    shipment.updateStop(stopIndex, status, {
+      proof,
+      failureReason,
+      location: coordinates ? { coordinates } : undefined,
+      notes,
+      updatedBy: req.userType,
+      updatedByUser: req.user._id
+    });
+
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Stop ${stopIndex + 1} ${status}`,
+      data: {
+        shipmentId: shipment.shipmentId,
+        status: shipment.status,
+        driver: shipment.driver,
+        stop: shipment.stops[stopIndex],
+        legs: shipment.legs
+      }
+    });
+  } catch (error) {
+    await discardSignature();
+    console.error('Update shipment stop error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating stop'
+    });
+  }
+});
+
+// @desc    Send the consignee a new delivery code
+// @route   POST /api/shipments/:id/delivery-code
+// @access  Private (Driver, Admin)
+router.post('/:id/delivery-code', protect(['driver', 'admin']), logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    let query = { _id: req.params.id };
+
+    // Drivers can only resend codes for their assigned shipments
+    if (req.userType === 'driver') {
+      query.driver = req.user._id;
+    }
+
+    const shipment = await Shipment.findOne(query);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found or not authorized'
+      });
+    }
+
+    if (shipment.status !== 'out_for_delivery') {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery codes can only be sent for shipments out for delivery'
+      });
+    }
+
+    if (!shipment.deliveryAddress.phone && !shipment.deliveryAddress.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The delivery address has no phone number or email to send the code to'
+      });
+    }
+
+    if (!hasNotificationTransport()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Delivery codes are unavailable: no SMS or email provider is configured'
+      });
+    }
+
+    shipment.issueDeliveryCode();
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery code sent to the consignee',
+      data: {
+        expiresAt: shipment.delivery.otp.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Resend delivery code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending delivery code'
+    });
+  }
+});
+
+// @desc    Recalculate or override shipment pricing
+// @route   PUT /api/shipments/:id/pricing
+// @access  Private (Admin)
+router.put('/:id/pricing', protect(['admin']), checkPermission('shipments', 'update'), [
+  body('totalAmount').optional().isFloat({ min: 0 }).withMessage('Override amount must be a positive number'),
+  body('reason').if(body('totalAmount').exists()).trim().notEmpty().withMessage('Override reason is required')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    const { totalAmount, reason } = req.body;
+
+    if (totalAmount !== undefined) {
+      shipment.applyPricingOverride(totalAmount, reason, req.user._id);
+    } else {
+      // No amount given: recalculate from the current shipment details and drop any override
+      const rateCard = await RateCard.findActiveForClient(shipment.client);
+      shipment.pricing = calculateShipmentPricing(shipment, rateCard);
+    }
+
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      message: totalAmount !== undefined ? 'Shipment price overridden successfully' : 'Shipment price recalculated successfully',
+      data: {
+        pricing: shipment.pricing
+      }
+    });
+  } catch (error) {
+    console.error('Update shipment pricing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating shipment pricing'
+    });
+  }
+});
+
+// @desc    Assign driver to shipment
+// @route   PUT /api/shipments/:id/assign
+// @access  Private (Admin)
+router.put('/:id/assign', protect(['admin']), checkPermission('shipments', 'update'), [
+  body('driverId').isMongoId().withMessage('Valid driver ID is required')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { driverId } = req.body;
+
+    // Check if driver exists and is approved
+    const driver = await Driver.findById(driverId);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    if (driver.status !== 'approved' || driver.kycStatus !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver is not approved or KYC not completed'
+      });
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (shipment.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Can only assign drivers to pending shipments'
+      });
+    }
+
+    // Assign driver and update status
+    shipment.driver = driverId;
+    shipment.updateStatus(
+      'assigned',
+      null,
+      `Assigned to driver ${driver.fullName}`,
+      'admin',
+      req.user._id
+    );
+
+    await shipment.save();
+
+    // Populate updated shipment
+    await shipment.populate('client', 'companyName email phone');
+    await shipment.populate('driver', 'firstName lastName email phone vehicle');
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver assigned successfully',
+      data: {
+        shipment
+      }
+    });
+  } catch (error) {
+    console.error('Assign driver error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error assigning driver'
+    });
+  }
+});
+
+// @desc    Assign a driver to one leg of a multi-stop shipment
+// @route   PUT /api/shipments/:id/legs/:legIndex/assign
+// @access  Private (Admin)
+router.put('/:id/legs/:legIndex/assign', protect(['admin']), checkPermission('shipments', 'update'), [
+  param('legIndex').isInt({ min: 0 }).withMessage('Leg index must be a non-negative integer'),
+  body('driverId').isMongoId().withMessage('Valid driver ID is required')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { driverId } = req.body;
+    const legIndex = parseInt(req.params.legIndex, 10);
+
+    // Check if driver exists and is approved
+    const driver = await Driver.findById(driverId);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    if (driver.status !== 'approved' || driver.kycStatus !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver is not approved or KYC not completed'
+      });
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    if (legIndex >= shipment.legs.length) {
+      return res.status(404).json({
+        success: false,
+        message: `Shipment has ${shipment.legs.length} legs`
+      });
+    }
+
+    if (['delivered', 'failed', 'returned', 'cancelled'].includes(shipment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot assign legs of a shipment that is ${shipment.status}`
+      });
+    }
+
+    if (shipment.legs[legIndex].status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `Leg ${legIndex + 1} is already completed`
+      });
+    }
+
+    shipment.assignLegDriver(
+      legIndex,
+      driver._id,
+      `Leg ${legIndex + 1} assigned to driver ${driver.fullName}`,
+      'admin',
+      req.user._id
+    );
+
+    await shipment.save();
+
+    // Populate updated shipment
+    await shipment.populate('client', 'companyName email phone');
+    await shipment.populate('driver', 'firstName lastName email phone vehicle');
+    await shipment.populate('legs.driver', 'firstName lastName phone');
+
+    res.status(200).json({
+      success: true,
+      message: 'Leg driver assigned successfully',
+      data: {
+        shipment
+      }
+    });
+  } catch (error) {
+    console.error('Assign leg driver error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error assigning leg driver'
+    });
+  }
+});
+
+// @desc    Auto-assign drivers to all pending shipments
+// @route   POST /api/shipments/auto-assign
+// @access  Private (Admin)
+router.post('/auto-assign', protect(['admin']), checkPermission('shipments', 'update'), [
+  body('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { assigned, unassigned } = await autoAssignPendingShipments({
+      limit: parseInt(req.body.limit, 10) || 50,
+      updatedBy: 'admin',
+      updatedByUser: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Assigned ${assigned.length} of ${assigned.length + unassigned.length} pending shipments`,
+      data: {
+        assigned,
+        unassigned
+      }
+    });
+  } catch (error) {
+    console.error('Batch auto-assign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error auto-assigning shipments'
+    });
+  }
+});
+
+// @desc    Auto-assign the best available driver to a shipment
+// @route   POST /api/shipments/:id/auto-assign
+// @access  Private (Admin)
+router.post('/:id/auto-assign', protect(['admin']), checkPermission('shipments', 'update'), [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    // Dry run: return the ranking without assigning anyone
+    if (req.body.dryRun === true || req.body.dryRun === 'true') {
+      const candidates = await rankDriversForShipment(shipment);
+
+      return res.status(200).json({
+        success: true,
+        count: candidates.length,
+        data: {
+          candidates: candidates.map(candidate => ({
+            driver: {
+              id: candidate.driver._id,
+              fullName: candidate.driver.fullName,
+              phone: candidate.driver.phone
+            },
+            score: candidate.score,
+            breakdown: candidate.breakdown
+          }))
+        }
       });
     }
 
-    // Update status with timeline
-    shipment.updateStatus(
-      status,
-      location,
-      notes,
-      req.userType,
-      req.user._id
-    );
-
-    await shipment.save();
+    const result = await autoAssignShipment(shipment, {
+      updatedBy: 'admin',
+      updatedByUser: req.user._id
+    });
 
-    // Populate updated shipment
     await shipment.populate('client', 'companyName email phone');
-    await shipment.populate('driver', 'firstName lastName email phone');
+    await shipment.populate('driver', 'firstName lastName email phone vehicle');
 
     res.status(200).json({
       success: true,
-      message: 'Shipment status updated successfully',
+      message: 'Driver auto-assigned successfully',
       data: {
-        shipment
+        shipment,
+        score: result.score,
+        breakdown: result.breakdown
       }
     });
   } catch (error) {
-    console.error('Update shipment status error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Auto-assign driver error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating shipment status'
+      message: 'Server error auto-assigning driver'
     });
   }
 });
 
-// @desc    Assign driver to shipment
-// @route   PUT /api/shipments/:id/assign
-// @access  Private (Admin)
-router.put('/:id/assign', protect(['admin']), checkPermission('shipments', 'update'), [
-  body('driverId').isMongoId().withMessage('Valid driver ID is required')
+// Statuses in which each generated document can be produced
+const DOCUMENT_GENERATION_STATUSES = {
+  bol: ['assigned', 'picked', 'packed', 'processing', 'in_transit'],
+  delivery_note: ['in_transit', 'out_for_delivery', 'delivered']
+};
+
+// @desc    Generate a bill of lading or delivery note
+// @route   POST /api/shipments/:id/documents/generate?type=bol|delivery_note
+// @access  Private (Driver, Admin)
+router.post('/:id/documents/generate', protect(['driver', 'admin']), [
+  query('type').isIn(Object.keys(DOCUMENT_TYPES)).withMessage(`Type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`)
 ], logAdminActivity('update', 'shipments'), async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -440,67 +2227,57 @@ router.put('/:id/assign', protect(['admin']), checkPermission('shipments', 'upda
       });
     }
 
-    const { driverId } = req.body;
-
-    // Check if driver exists and is approved
-    const driver = await Driver.findById(driverId);
-    if (!driver) {
-      return res.status(404).json({
-        success: false,
-        message: 'Driver not found'
-      });
-    }
+    let query = { _id: req.params.id };
 
-    if (driver.status !== 'approved' || driver.kycStatus !== 'approved') {
-      return res.status(400).json({
-        success: false,
-        message: 'Driver is not approved or KYC not completed'
-      });
+    // Drivers can only generate documents for their assigned shipments
+    if (req.userType === 'driver') {
+      query.driver = req.user._id;
     }
 
-    const shipment = await Shipment.findById(req.params.id);
+    const shipment = await Shipment.findOne(query);
     if (!shipment) {
       return res.status(404).json({
         success: false,
-        message: 'Shipment not found'
+        message: 'Shipment not found or not authorized'
       });
     }
 
-    if (shipment.status !== 'pending') {
+    const { type } = req.query;
+    if (!DOCUMENT_GENERATION_STATUSES[type].includes(shipment.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Can only assign drivers to pending shipments'
+        message: `Cannot generate a ${type === 'bol' ? 'bill of lading' : 'delivery note'} for a shipment that is ${shipment.status}`
       });
     }
 
-    // Assign driver and update status
-    shipment.driver = driverId;
-    shipment.updateStatus(
-      'assigned',
-      null,
-      `Assigned to driver ${driver.fullName}`,
-      'admin',
-      req.user._id
-    );
+    const template = await DocumentTemplate.findForClient(shipment.client, type);
+    const buffer = await renderShipmentDocument(shipment, type, template);
+    const relativePath = await saveShipmentDocument(buffer, shipment, type);
+
+    const document = {
+      type: DOCUMENT_TYPES[type].documentType,
+      name: path.basename(relativePath),
+      url: getFileUrl(req, relativePath.split(path.sep).join('/')),
+      uploadDate: new Date(),
+      uploadedBy: req.user._id,
+      uploadedByModel: req.userType === 'driver' ? 'Driver' : 'Admin'
+    };
 
+    shipment.addDocuments([document]);
     await shipment.save();
 
-    // Populate updated shipment
-    await shipment.populate('client', 'companyName email phone');
-    await shipment.populate('driver', 'firstName lastName email phone vehicle');
-
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Driver assigned successfully',
+      message: `${type === 'bol' ? 'Bill of lading' : 'Delivery note'} generated successfully`,
       data: {
-        shipment
+        document: shipment.documents[shipment.documents.length - 1]
       }
     });
   } catch (error) {
-    console.error('Assign driver error:', error);
+    console.error('Generate shipment document error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error assigning driver'
+      message: 'Server error generating document'
     });
   }
 });
@@ -551,7 +2328,7 @@ router.post('/:id/documents', protect(['driver', 'admin']), uploadShipmentDocume
     });
 
     // Add documents to shipment
-    shipment.documents.push(...documents);
+    shipment.addDocuments(documents);
     await shipment.save();
 
     res.status(200).json({
@@ -621,7 +2398,7 @@ router.post('/:id/photos', protect(['driver']), uploadShipmentPhotos, handleMult
     }));
 
     // Add photos to shipment
-    shipment.photos.push(...photos);
+    shipment.addPhotos(photos);
     await shipment.save();
 
     res.status(200).json({
@@ -640,4 +2417,286 @@ router.post('/:id/photos', protect(['driver']), uploadShipmentPhotos, handleMult
   }
 });
 
+const ISSUE_REPORTER_MODELS = {
+  driver: 'Driver',
+  client: 'Client',
+  admin: 'Admin'
+};
+
+// @desc    Report an issue with a shipment (delay, damage, lost, ...), optionally with photos
+// @route   POST /api/shipments/:id/issues
+// @access  Private (Driver, Client, Admin)
+router.post('/:id/issues', protect(['driver', 'client', 'admin']), uploadShipmentPhotos, handleMulterError, [
+  body('type').isIn(Shipment.schema.path('issues').schema.path('type').enumValues).withMessage('Valid issue type is required'),
+  body('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Severity must be low, medium, high or critical'),
+  body('description').trim().isLength({ min: 5, max: 1000 }).withMessage('Description must be between 5 and 1000 characters')
+], async (req, res) => {
+  // Photos are only kept when the issue is recorded
+  const discardPhotos = () => Promise.all((req.files || []).map(file => deleteFile(file.path).catch(() => {})));
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardPhotos();
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let query = { _id: req.params.id };
+
+    if (req.userType === 'driver') {
+      Object.assign(query, driverShipmentScope(req.user._id));
+    } else if (req.userType === 'client') {
+      query.client = req.user._id;
+    }
+
+    const shipment = await Shipment.findOne(query);
+
+    if (!shipment) {
+      await discardPhotos();
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found or not authorized'
+      });
+    }
+
+    const { type, severity, description } = req.body;
+
+    const issue = shipment.reportIssue({
+      type,
+      severity,
+      description,
+      photos: (req.files || []).map(file => ({
+        url: getFileUrl(req, path.relative(path.join(__dirname, '../uploads'), file.path))
+      })),
+      reportedBy: req.user._id,
+      reportedByModel: ISSUE_REPORTER_MODELS[req.userType]
+    });
+
+    await shipment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Issue reported successfully',
+      data: {
+        shipmentId: shipment.shipmentId,
+        issue
+      }
+    });
+  } catch (error) {
+    await discardPhotos();
+    console.error('Report shipment issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reporting issue'
+    });
+  }
+});
+
+// @desc    Get the issues reported on a shipment
+// @route   GET /api/shipments/:id/issues
+// @access  Private (Driver, Client, Admin)
+router.get('/:id/issues', protect(['driver', 'client', 'admin']), async (req, res) => {
+  try {
+    let query = { _id: req.params.id };
+
+    if (req.userType === 'driver') {
+      Object.assign(query, driverShipmentScope(req.user._id));
+    } else if (req.userType === 'client') {
+      query.client = req.user._id;
+    }
+
+    const shipment = await Shipment.findOne(query)
+      .select('shipmentId issues')
+      .populate('issues.owner', 'firstName lastName')
+      .populate('issues.comments.author', 'firstName lastName');
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: shipment.issues.length,
+      data: {
+        shipmentId: shipment.shipmentId,
+        issues: shipment.issues
+      }
+    });
+  } catch (error) {
+    console.error('Get shipment issues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving issues'
+    });
+  }
+});
+
+// Load a shipment and one of its issues for the admin issue routes; sends the 404 itself
+const findShipmentIssue = async (req, res) => {
+  const shipment = await Shipment.findById(req.params.id);
+  const issue = shipment?.issues.id(req.params.issueId);
+
+  if (!issue) {
+    res.status(404).json({
+      success: false,
+      message: shipment ? 'Issue not found' : 'Shipment not found'
+    });
+    return {};
+  }
+
+  return { shipment, issue };
+};
+
+// @desc    Assign an owner to a shipment issue
+// @route   PUT /api/shipments/:id/issues/:issueId/assign
+// @access  Private (Admin)
+router.put('/:id/issues/:issueId/assign', protect(['admin']), checkPermission('shipments', 'update'), [
+  param('issueId').isMongoId().withMessage('Valid issue ID is required'),
+  body('ownerId').isMongoId().withMessage('Valid owner ID is required')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const owner = await Admin.findById(req.body.ownerId);
+    if (!owner || owner.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Active admin not found'
+      });
+    }
+
+    const { shipment, issue } = await findShipmentIssue(req, res);
+    if (!issue) return;
+
+    if (issue.resolved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Issue is already resolved'
+      });
+    }
+
+    shipment.assignIssueOwner(issue, owner._id);
+    await shipment.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Issue assigned to ${owner.fullName}`,
+      data: {
+        issue
+      }
+    });
+  } catch (error) {
+    console.error('Assign issue owner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error assigning issue'
+    });
+  }
+});
+
+// @desc    Comment on a shipment issue
+// @route   POST /api/shipments/:id/issues/:issueId/comments
+// @access  Private (Admin)
+router.post('/:id/issues/:issueId/comments', protect(['admin']), checkPermission('shipments', 'update'), [
+  param('issueId').isMongoId().withMessage('Valid issue ID is required'),
+  body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be between 1 and 1000 characters')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { shipment, issue } = await findShipmentIssue(req, res);
+    if (!issue) return;
+
+    const comment = shipment.addIssueComment(issue, req.user._id, req.body.text);
+    await shipment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: {
+        comment
+      }
+    });
+  } catch (error) {
+    console.error('Add issue comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding comment'
+    });
+  }
+});
+
+// @desc    Resolve a shipment issue with a resolution code
+// @route   PUT /api/shipments/:id/issues/:issueId/resolve
+// @access  Private (Admin)
+router.put('/:id/issues/:issueId/resolve', protect(['admin']), checkPermission('shipments', 'update'), [
+  param('issueId').isMongoId().withMessage('Valid issue ID is required'),
+  body('resolutionCode').isIn(Shipment.schema.path('issues').schema.path('resolutionCode').enumValues).withMessage('Valid resolution code is required'),
+  body('resolution').optional().trim().isLength({ max: 1000 }).withMessage('Resolution cannot exceed 1000 characters')
+], logAdminActivity('update', 'shipments'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { shipment, issue } = await findShipmentIssue(req, res);
+    if (!issue) return;
+
+    if (issue.resolved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Issue is already resolved'
+      });
+    }
+
+    const { resolutionCode, resolution } = req.body;
+
+    shipment.resolveIssue(issue, { resolutionCode, resolution, adminId: req.user._id });
+    await shipment.save();
+
+    // Escalation alerts for the issue are no longer actionable
+    await resolveIssueAlerts(issue._id, req.user._id, `Issue resolved: ${resolutionCode}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Issue resolved successfully',
+      data: {
+        issue
+      }
+    });
+  } catch (error) {
+    console.error('Resolve issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resolving issue'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
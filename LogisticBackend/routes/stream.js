@@ -0,0 +1,76 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Shipment = require('../models/Shipment');
+const { protect, checkPermission } = require('../middleware/auth');
+const { channelNames, getPublicSubscribeError, trackPublicStream, subscribe } = require('../utils/realtime');
+
+const router = express.Router();
+
+// Admins need shipment read permission to follow a client's shipments, as on the dispatch stream
+const requireShipmentReadPermission = (req, res, next) => {
+  if (req.userType !== 'admin') return next();
+  return checkPermission('shipments', 'read')(req, res, next);
+};
+
+// @desc    Live status updates for one shipment
+// @route   GET /api/stream/tracking/:trackingNumber
+// @access  Public (with tracking number)
+router.get('/tracking/:trackingNumber', async (req, res) => {
+  try {
+    const shipment = await Shipment.findOne({ trackingNumber: req.params.trackingNumber })
+      .select('trackingNumber status');
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found with this tracking number'
+      });
+    }
+
+    const channel = channelNames.tracking(shipment.trackingNumber);
+    const limitError = getPublicSubscribeError(channel, req.ip);
+    if (limitError) {
+      return res.status(429).json({
+        success: false,
+        message: limitError
+      });
+    }
+
+    trackPublicStream(req);
+    subscribe(req, res, channel, {
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status
+    });
+  } catch (error) {
+    console.error('Tracking stream error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error opening tracking stream'
+    });
+  }
+});
+
+// @desc    Live updates for every shipment on a client account
+// @route   GET /api/stream/client
+// @access  Private (Client, Admin with shipments read permission and ?clientId=)
+router.get('/client', protect(['client', 'admin']), requireShipmentReadPermission, (req, res) => {
+  const clientId = req.userType === 'client' ? req.user._id.toString() : req.query.clientId;
+
+  if (!clientId || !mongoose.isValidObjectId(clientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid clientId query parameter is required'
+    });
+  }
+
+  subscribe(req, res, channelNames.client(clientId), { client: clientId });
+});
+
+// @desc    Live updates for every shipment (dispatch board)
+// @route   GET /api/stream/dispatch
+// @access  Private (Admin)
+router.get('/dispatch', protect(['admin']), checkPermission('shipments', 'read'), (req, res) => {
+  subscribe(req, res, channelNames.dispatch());
+});
+
+module.exports = router;
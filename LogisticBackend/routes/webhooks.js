@@ -0,0 +1,446 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Client = require('../models/Client');
+const { protect, checkPermission, logAdminActivity } = require('../middleware/auth');
+const { WEBHOOK_EVENT_TYPES, resolveWebhookTarget, sendTestEvent, replayDelivery } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Clients manage their own hooks; admins manage every hook through the settings module
+router.use(protect(['client', 'admin']));
+
+const requireSettingsPermission = (action) => (req, res, next) => {
+  if (req.userType !== 'admin') return next();
+  return checkPermission('settings', action)(req, res, next);
+};
+
+// Restrict a query to the hooks the user may see
+const scopeToUser = (req, filter = {}) => {
+  if (req.userType === 'client') {
+    return { ...filter, client: req.user._id };
+  }
+  return filter;
+};
+
+const webhookValidationRules = (isUpdate = false) => {
+  const optionalOnUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optionalOnUpdate(body('url')).isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+      .withMessage('A valid http(s) endpoint URL is required'),
+    optionalOnUpdate(body('events')).isArray({ min: 1 }).withMessage('At least one event type is required'),
+    body('events.*').isIn([...WEBHOOK_EVENT_TYPES, '*']).withMessage(`Event type must be one of: ${WEBHOOK_EVENT_TYPES.join(', ')}, *`),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// @desc    List available webhook event types
+// @route   GET /api/webhooks/event-types
+// @access  Private (Client, Admin)
+router.get('/event-types', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { eventTypes: WEBHOOK_EVENT_TYPES }
+  });
+});
+
+// @desc    List webhooks
+// @route   GET /api/webhooks
+// @access  Private (Client, Admin with settings read permission)
+router.get('/', requireSettingsPermission('read'), [
+  query('client').optional().isMongoId().withMessage('Valid client ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.userType === 'admin' && req.query.client) {
+      filter.client = req.query.client;
+    }
+
+    const webhooks = await Webhook.find(scopeToUser(req, filter))
+      .populate('client', 'companyName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      data: { webhooks }
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving webhooks'
+    });
+  }
+});
+
+// @desc    Register a webhook endpoint
+// @route   POST /api/webhooks
+// @access  Private (Client, Admin with settings create permission)
+router.post('/', requireSettingsPermission('create'), [
+  ...webhookValidationRules(),
+  body('client').optional().isMongoId().withMessage('Valid client ID is required')
+], logAdminActivity('create', 'settings'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await resolveWebhookTarget(req.body.url);
+
+    let client = null;
+    if (req.userType === 'client') {
+      client = req.user._id;
+    } else if (req.body.client) {
+      const clientExists = await Client.exists({ _id: req.body.client });
+      if (!clientExists) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+      client = req.body.client;
+    }
+
+    const webhook = await Webhook.create({
+      client,
+      createdBy: req.user._id,
+      createdByModel: req.userType === 'client' ? 'Client' : 'Admin',
+      url: req.body.url,
+      description: req.body.description,
+      events: req.body.events,
+      isActive: req.body.isActive !== undefined ? req.body.isActive : true
+    });
+
+    // The secret is only ever returned here and when rotated
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered successfully',
+      data: {
+        webhook,
+        secret: webhook.secret
+      }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error registering webhook'
+    });
+  }
+});
+
+// @desc    Get single webhook
+// @route   GET /api/webhooks/:id
+// @access  Private (Client, Admin with settings read permission)
+router.get('/:id', requireSettingsPermission('read'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne(scopeToUser(req, { _id: req.params.id }))
+      .populate('client', 'companyName');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { webhook }
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving webhook'
+    });
+  }
+});
+
+// @desc    Update webhook
+// @route   PUT /api/webhooks/:id
+// @access  Private (Client, Admin with settings update permission)
+router.put('/:id', requireSettingsPermission('update'), webhookValidationRules(true), logAdminActivity('update', 'settings'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findOne(scopeToUser(req, { _id: req.params.id }));
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    if (req.body.url !== undefined) {
+      await resolveWebhookTarget(req.body.url);
+    }
+
+    const allowedFields = ['url', 'description', 'events', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        webhook[field] = req.body[field];
+      }
+    });
+
+    // Re-enabling a hook starts its failure count afresh
+    if (req.body.isActive === true) {
+      webhook.consecutiveFailures = 0;
+    }
+
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: { webhook }
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating webhook'
+    });
+  }
+});
+
+// @desc    Delete webhook
+// @route   DELETE /api/webhooks/:id
+// @access  Private (Client, Admin with settings delete permission)
+router.delete('/:id', requireSettingsPermission('delete'), logAdminActivity('delete', 'settings'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete(scopeToUser(req, { _id: req.params.id }));
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    // Stop any retries still queued for the removed endpoint
+    await WebhookDelivery.updateMany(
+      { webhook: webhook._id, status: 'pending' },
+      { $set: { status: 'failed' } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting webhook'
+    });
+  }
+});
+
+// @desc    Rotate the signing secret
+// @route   POST /api/webhooks/:id/rotate-secret
+// @access  Private (Client, Admin with settings update permission)
+router.post('/:id/rotate-secret', requireSettingsPermission('update'), logAdminActivity('update', 'settings'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne(scopeToUser(req, { _id: req.params.id }));
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    webhook.secret = Webhook.generateSecret();
+    await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: { secret: webhook.secret }
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rotating webhook secret'
+    });
+  }
+});
+
+// @desc    Send a test delivery
+// @route   POST /api/webhooks/:id/test
+// @access  Private (Client, Admin with settings update permission)
+router.post('/:id/test', requireSettingsPermission('update'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne(scopeToUser(req, { _id: req.params.id }));
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    if (!webhook.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot test an inactive webhook'
+      });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'succeeded' ? 'Test delivery succeeded' : 'Test delivery failed',
+      data: { delivery }
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending test delivery'
+    });
+  }
+});
+
+// @desc    Get delivery log for a webhook
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private (Client, Admin with settings read permission)
+router.get('/:id/deliveries', requireSettingsPermission('read'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['pending', 'succeeded', 'failed']),
+  query('eventType').optional().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findOne(scopeToUser(req, { _id: req.params.id }));
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const deliveryQuery = { webhook: webhook._id };
+    if (req.query.status) {
+      deliveryQuery.status = req.query.status;
+    }
+    if (req.query.eventType) {
+      deliveryQuery.eventType = req.query.eventType;
+    }
+
+    // Response bodies recorded before they stopped being stored are never returned
+    const deliveries = await WebhookDelivery.find(deliveryQuery)
+      .select('-attempts.responseBody')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await WebhookDelivery.countDocuments(deliveryQuery);
+
+    // Pagination
+    const pagination = {};
+    if (startIndex + limit < total) {
+      pagination.next = { page: page + 1, limit };
+    }
+    if (startIndex > 0) {
+      pagination.prev = { page: page - 1, limit };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      pagination,
+      data: { deliveries }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving webhook deliveries'
+    });
+  }
+});
+
+// @desc    Replay a delivery
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+// @access  Private (Client, Admin with settings update permission)
+router.post('/:id/deliveries/:deliveryId/replay', requireSettingsPermission('update'), logAdminActivity('update', 'settings'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne(scopeToUser(req, { _id: req.params.id }));
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    if (!webhook.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot replay deliveries to an inactive webhook'
+      });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    res.status(200).json({
+      success: true,
+      message: replay.status === 'succeeded' ? 'Delivery replayed successfully' : 'Replay queued for retry',
+      data: { delivery: replay }
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error replaying delivery'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Driver = require('../models/Driver');
+const Shipment = require('../models/Shipment');
+const Client = require('../models/Client');
+const { toGeoPoint } = require('../utils/geo');
+
+// Populate GeoJSON location fields for records saved before they existed
+const backfillGeoPoints = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    // Build the 2dsphere indexes
+    await Promise.all([Driver.syncIndexes(), Shipment.syncIndexes(), Client.syncIndexes()]);
+    console.log('✅ Indexes synchronised');
+
+    let driverCount = 0;
+    for await (const driver of Driver.find({ 'currentLocation.latitude': { $ne: null } }).select('currentLocation')) {
+      const location = toGeoPoint(driver.currentLocation);
+      if (location) {
+        await Driver.updateOne({ _id: driver._id }, { $set: { location } });
+        driverCount++;
+      }
+    }
+    console.log(`🚚 Drivers updated: ${driverCount}`);
+
+    let shipmentCount = 0;
+    const shipmentCursor = Shipment.find({
+      $or: [
+        { 'pickupAddress.coordinates.latitude': { $ne: null } },
+        { 'deliveryAddress.coordinates.latitude': { $ne: null } }
+      ]
+    }).select('pickupAddress.coordinates deliveryAddress.coordinates');
+
+    for await (const shipment of shipmentCursor) {
+      const update = {};
+      const pickupLocation = toGeoPoint(shipment.pickupAddress?.coordinates);
+      const deliveryLocation = toGeoPoint(shipment.deliveryAddress?.coordinates);
+      if (pickupLocation) update['pickupAddress.location'] = pickupLocation;
+      if (deliveryLocation) update['deliveryAddress.location'] = deliveryLocation;
+
+      if (Object.keys(update).length > 0) {
+        await Shipment.updateOne({ _id: shipment._id }, { $set: update });
+        shipmentCount++;
+      }
+    }
+    console.log(`📦 Shipments updated: ${shipmentCount}`);
+
+    let clientCount = 0;
+    for await (const client of Client.find({ 'addresses.coordinates.latitude': { $ne: null } }).select('addresses')) {
+      const update = {};
+      client.addresses.forEach((address, index) => {
+        const location = toGeoPoint(address.coordinates);
+        if (location) update[`addresses.${index}.location`] = location;
+      });
+
+      if (Object.keys(update).length > 0) {
+        await Client.updateOne({ _id: client._id }, { $set: update });
+        clientCount++;
+      }
+    }
+    console.log(`🏢 Clients updated: ${clientCount}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling geo points:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+backfillGeoPoints();
@@ -0,0 +1,92 @@
+const Payment = require('../models/Payment');
+const ErrorResponse = require('./errorResponse');
+const { roundCurrency } = require('./pricing');
+
+// Cancellation fees, as a percentage of the shipment price. The fee for how far the shipment has
+// progressed is added to the fee for how close its requested pickup is, capped at the full price.
+const CANCELLATION_POLICY = {
+  progressFeePercent: {
+    pending: 0,
+    assigned: 10
+  },
+  // Statuses not listed above: the shipment has already been picked up
+  inNetworkFeePercent: 50,
+  // Checked in order; the first window the time to pickup falls in applies
+  pickupWindows: [
+    { withinHours: 2, feePercent: 25 },
+    { withinHours: 24, feePercent: 15 }
+  ],
+  maxFeePercent: 100
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Work out the fee for cancelling a shipment now; waived fees are reported at zero
+const calculateCancellationFee = (shipment, { now = new Date(), waive = false } = {}) => {
+  const breakdown = [];
+
+  const progressPercent = CANCELLATION_POLICY.progressFeePercent[shipment.status] ?? CANCELLATION_POLICY.inNetworkFeePercent;
+  if (progressPercent > 0) {
+    breakdown.push({ rule: `status_${shipment.status}`, feePercent: progressPercent });
+  }
+
+  // A pickup time already passed counts as inside the tightest window
+  const hoursToPickup = (shipment.requestedPickupDate - now) / HOUR_MS;
+  const window = CANCELLATION_POLICY.pickupWindows.find(candidate => hoursToPickup <= candidate.withinHours);
+  if (window) {
+    breakdown.push({ rule: `pickup_within_${window.withinHours}h`, feePercent: window.feePercent });
+  }
+
+  const feePercent = waive
+    ? 0
+    : Math.min(breakdown.reduce((total, item) => total + item.feePercent, 0), CANCELLATION_POLICY.maxFeePercent);
+
+  return {
+    feePercent,
+    fee: roundCurrency((shipment.pricing?.totalAmount || 0) * feePercent / 100),
+    waived: waive,
+    breakdown
+  };
+};
+
+// What goes back to the client: whatever they have paid and not had refunded, less the fee
+const calculateCancellationRefund = (payment, fee) => {
+  if (!payment) return 0;
+  const refundable = payment.amount.total - payment.totalRefunded;
+  return roundCurrency(Math.max(0, refundable - fee));
+};
+
+// Record the cancellation refund on the payment in one conditional update, matched on the status and
+// refunds read earlier so a concurrent refund cannot slip in. Throws a 409 ErrorResponse when the payment
+// has changed. The payment.refunded event stays queued on the payment until flushEvents(payment).
+const applyCancellationRefund = async (payment, refundData) => {
+  const previousStatus = payment.status;
+  const previousRefundCount = payment.refunds.length;
+
+  const refundId = payment.addRefund(refundData);
+  const refund = payment.refunds[payment.refunds.length - 1];
+
+  const result = await Payment.updateOne(
+    { _id: payment._id, status: previousStatus, refunds: { $size: previousRefundCount } },
+    { $push: { refunds: refund.toObject() }, $set: { status: payment.status } }
+  );
+  if (result.modifiedCount !== 1) {
+    throw new ErrorResponse('The payment changed while cancelling; reload the shipment and try again', 409);
+  }
+
+  return refundId;
+};
+
+// Take back a cancellation refund recorded by applyCancellationRefund
+const revertCancellationRefund = (payment, refundId, previousStatus) => Payment.updateOne(
+  { _id: payment._id, 'refunds.refundId': refundId },
+  { $pull: { refunds: { refundId } }, $set: { status: previousStatus } }
+);
+
+module.exports = {
+  CANCELLATION_POLICY,
+  calculateCancellationFee,
+  calculateCancellationRefund,
+  applyCancellationRefund,
+  revertCancellationRefund
+};
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Shipment = require('../models/Shipment');
+const Driver = require('../models/Driver');
+const Client = require('../models/Client');
+const Alert = require('../models/Alert');
+const CodReconciliation = require('../models/CodReconciliation');
+const ErrorResponse = require('./errorResponse');
+const { publishEvent } = require('./events');
+const { roundCurrency } = require('./pricing');
+
+// Cash on delivery. Drivers record the cash collected at delivery and carry it (Driver.cashOnHand)
+// until an admin reconciles what they hand in; the collected amounts are then remitted to the clients.
+const COD_CONFIG = {
+  // Hand-ins differing from the collected total by more than this are flagged
+  discrepancyTolerance: parseFloat(process.env.COD_DISCREPANCY_TOLERANCE) || 0
+};
+
+// Add to (or with a negative amount, take from) the cash a driver is holding in a currency
+const adjustDriverCash = (driverId, amount, currency) => Driver.updateOne(
+  { _id: driverId },
+  {
+    $inc: { [`cashOnHand.amounts.${currency}`]: amount },
+    $set: { 'cashOnHand.updatedAt': new Date() }
+  }
+);
+
+// Collected cash not yet reconciled, oldest first
+const findUnreconciledCollections = (driverId, cutoff) => {
+  const filter = {
+    'cod.collectedBy': driverId,
+    'cod.status': 'collected',
+    'cod.reconciliation': null
+  };
+  if (cutoff) {
+    filter['cod.collectedAt'] = { $lte: cutoff };
+  }
+  return Shipment.find(filter)
+    .select('shipmentId trackingNumber client cod actualDeliveryDate')
+    .sort({ 'cod.collectedAt': 1 });
+};
+
+const sumCollected = (shipments) =>
+  roundCurrency(shipments.reduce((total, shipment) => total + (shipment.cod.collectedAmount || 0), 0));
+
+// Collected totals keyed by currency
+const sumCollectedByCurrency = (shipments) => shipments.reduce((totals, shipment) => {
+  totals[shipment.cod.currency] = roundCurrency((totals[shipment.cod.currency] || 0) + (shipment.cod.collectedAmount || 0));
+  return totals;
+}, {});
+
+// The cash a driver is holding and the collections it should cover
+const getDriverCashSummary = async (driverId) => {
+  const [driver, shipments] = await Promise.all([
+    Driver.findById(driverId).select('firstName lastName cashOnHand'),
+    findUnreconciledCollections(driverId)
+  ]);
+  if (!driver) {
+    throw new ErrorResponse('Driver not found', 404);
+  }
+
+  return {
+    driver: {
+      _id: driver._id,
+      name: driver.fullName,
+      cashOnHand: Object.fromEntries(
+        [...(driver.cashOnHand?.amounts || new Map())].map(([currency, amount]) => [currency, roundCurrency(amount)])
+      ),
+      updatedAt: driver.cashOnHand?.updatedAt
+    },
+    unreconciled: {
+      totals: sumCollectedByCurrency(shipments),
+      count: shipments.length,
+      shipments
+    }
+  };
+};
+
+// Raise an admin alert for a hand-in that does not match the cash collected
+const raiseDiscrepancyAlert = async (reconciliation, driver) => {
+  const alert = await Alert.create({
+    type: 'cod_discrepancy',
+    severity: reconciliation.status === 'short' ? 'critical' : 'warning',
+    title: `Cash ${reconciliation.status}: ${driver.fullName}`,
+    message: `Driver handed in ${reconciliation.handedInAmount} ${reconciliation.currency} against ${reconciliation.expectedAmount} collected (reconciliation ${reconciliation.reconciliationId})`,
+    driver: driver._id,
+    data: {
+      reconciliation: reconciliation._id,
+      reconciliationId: reconciliation.reconciliationId,
+      expectedAmount: reconciliation.expectedAmount,
+      handedInAmount: reconciliation.handedInAmount,
+      discrepancy: reconciliation.discrepancy
+    }
+  });
+
+  publishEvent('alert.raised', {
+    alert: alert._id,
+    type: alert.type,
+    severity: alert.severity,
+    title: alert.title,
+    driver: driver._id
+  });
+
+  return alert;
+};
+
+// Reconcile a driver's collections in one currency up to the cutoff against the cash they hand
+// in: the shipments are marked remitted, the driver's cash on hand goes down by what was handed
+// in (a shortfall stays on it as cash still owed) and each client's balance is credited with
+// what was collected for them.
+// Throws a 400 ErrorResponse when there is nothing to reconcile, or when no currency is given
+// and the collections are in more than one.
+const reconcileDriverCash = async ({ driverId, handedInAmount, currency, cutoff = new Date(), notes, adminId }) => {
+  const driver = await Driver.findById(driverId).select('firstName lastName');
+  if (!driver) {
+    throw new ErrorResponse('Driver not found', 404);
+  }
+
+  // Claim the collections first so a concurrent reconciliation cannot settle them twice
+  const reconciliationId = new mongoose.Types.ObjectId();
+  const releaseClaim = () => Shipment.updateMany(
+    { 'cod.reconciliation': reconciliationId },
+    { $set: { 'cod.reconciliation': null } }
+  );
+  await Shipment.updateMany(
+    {
+      'cod.collectedBy': driver._id,
+      'cod.status': 'collected',
+      'cod.reconciliation': null,
+      'cod.collectedAt': { $lte: cutoff },
+      ...(currency && { 'cod.currency': currency })
+    },
+    { $set: { 'cod.reconciliation': reconciliationId } }
+  );
+
+  const shipments = await Shipment.find({ 'cod.reconciliation': reconciliationId })
+    .select('shipmentId client cod')
+    .sort({ 'cod.collectedAt': 1 });
+
+  if (shipments.length === 0) {
+    throw new ErrorResponse('No collected cash on delivery to reconcile for this driver', 400);
+  }
+
+  // Cash in different currencies cannot be added up; each is handed in and reconciled on its own
+  const currencies = [...new Set(shipments.map(shipment => shipment.cod.currency))];
+  if (currencies.length > 1) {
+    await releaseClaim();
+    throw new ErrorResponse(`Collections are in several currencies (${currencies.join(', ')}); give the currency to reconcile`, 400);
+  }
+
+  const expectedAmount = sumCollected(shipments);
+  const handedIn = roundCurrency(handedInAmount);
+  const discrepancy = roundCurrency(handedIn - expectedAmount);
+  const flagged = Math.abs(discrepancy) > COD_CONFIG.discrepancyTolerance;
+  const status = !flagged ? 'balanced' : discrepancy < 0 ? 'short' : 'over';
+
+  // The client is owed what the consignee paid, whatever the driver hands in
+  const byClient = new Map();
+  shipments.forEach(shipment => {
+    const key = shipment.client.toString();
+    const entry = byClient.get(key) || { client: shipment.client, amount: 0, shipmentCount: 0 };
+    entry.amount = roundCurrency(entry.amount + (shipment.cod.collectedAmount || 0));
+    entry.shipmentCount += 1;
+    byClient.set(key, entry);
+  });
+  const remittances = [...byClient.values()];
+
+  let reconciliation;
+  try {
+    reconciliation = await CodReconciliation.create({
+      _id: reconciliationId,
+      driver: driver._id,
+      cutoff,
+      currency: currencies[0],
+      shipments: shipments.map(shipment => ({
+        shipment: shipment._id,
+        shipmentId: shipment.shipmentId,
+        client: shipment.client,
+        codAmount: shipment.cod.amount,
+        collectedAmount: shipment.cod.collectedAmount,
+        collectedAt: shipment.cod.collectedAt
+      })),
+      expectedAmount,
+      handedInAmount: handedIn,
+      discrepancy,
+      status,
+      flagged,
+      remittances,
+      notes,
+      reconciledBy: adminId
+    });
+  } catch (error) {
+    // Release the claim so the collections can be reconciled again
+    await releaseClaim();
+    throw error;
+  }
+
+  const now = new Date();
+  await Promise.all([
+    Shipment.updateMany(
+      { 'cod.reconciliation': reconciliationId },
+      { $set: { 'cod.status': 'remitted', 'cod.remittedAt': now } }
+    ),
+    adjustDriverCash(driver._id, -handedIn, currencies[0]),
+    ...remittances.map(({ client, amount }) => Client.updateOne(
+      { _id: client },
+      { $inc: { 'billingInfo.currentBalance': -amount } }
+    ))
+  ]);
+
+  if (flagged) {
+    const alert = await raiseDiscrepancyAlert(reconciliation, driver);
+    reconciliation.alert = alert._id;
+    await reconciliation.save();
+  }
+
+  return reconciliation;
+};
+
+module.exports = {
+  COD_CONFIG,
+  adjustDriverCash,
+  getDriverCashSummary,
+  reconcileDriverCash
+};
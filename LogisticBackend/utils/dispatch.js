@@ -0,0 +1,198 @@
+const Driver = require('../models/Driver');
+const Shipment = require('../models/Shipment');
+const ErrorResponse = require('./errorResponse');
+const { hasCoordinates, haversineDistance } = require('./geo');
+const { calculateVolume } = require('./pricing');
+
+// Statuses in which a shipment still occupies the driver's vehicle
+const ACTIVE_SHIPMENT_STATUSES = ['assigned', 'picked', 'packed', 'processing', 'in_transit', 'out_for_delivery'];
+
+const DISPATCH_CONFIG = {
+  maxPickupDistanceKm: parseFloat(process.env.DISPATCH_MAX_DISTANCE_KM) || 50,
+  maxActiveShipments: parseInt(process.env.DISPATCH_MAX_ACTIVE_SHIPMENTS, 10) || 5,
+  // Relative weight of each factor in the final score
+  weights: {
+    distance: 0.4,
+    capacity: 0.25,
+    load: 0.2,
+    rating: 0.15
+  },
+  // Rating used for drivers who have not been rated yet
+  defaultRating: 3
+};
+
+const PRIORITY_ORDER = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Current weight, volume and shipment count carried by each driver
+const getDriverLoads = async (driverIds) => {
+  const activeShipments = await Shipment.find({
+    driver: { $in: driverIds },
+    status: { $in: ACTIVE_SHIPMENT_STATUSES }
+  }).select('driver totalWeight items');
+
+  const loads = new Map();
+  activeShipments.forEach(shipment => {
+    const key = shipment.driver.toString();
+    const load = loads.get(key) || { count: 0, weight: 0, volume: 0 };
+    load.count += 1;
+    load.weight += shipment.totalWeight || 0;
+    load.volume += calculateVolume(shipment.items);
+    loads.set(key, load);
+  });
+
+  return loads;
+};
+
+// Score one driver for a shipment, or return null when the driver cannot take it
+const scoreDriver = (driver, shipment, load) => {
+  const config = DISPATCH_CONFIG;
+  const shipmentVolume = calculateVolume(shipment.items);
+
+  if (load.count >= config.maxActiveShipments) return null;
+
+  // Capacity: a vehicle without a recorded capacity is treated as unconstrained
+  const capacityWeight = driver.vehicle?.capacity?.weight;
+  const capacityVolume = driver.vehicle?.capacity?.volume;
+  const remainingWeight = capacityWeight != null ? capacityWeight - load.weight : null;
+  const remainingVolume = capacityVolume != null ? capacityVolume - load.volume : null;
+
+  if (remainingWeight != null && remainingWeight < shipment.totalWeight) return null;
+  if (remainingVolume != null && shipmentVolume > 0 && remainingVolume < shipmentVolume) return null;
+
+  const spareShares = [];
+  if (remainingWeight != null && capacityWeight > 0) {
+    spareShares.push((remainingWeight - shipment.totalWeight) / capacityWeight);
+  }
+  if (remainingVolume != null && capacityVolume > 0) {
+    spareShares.push((remainingVolume - shipmentVolume) / capacityVolume);
+  }
+  const capacityScore = spareShares.length > 0 ? Math.min(...spareShares) : 0.5;
+
+  // Distance to pickup: drivers without a known position rank last on this factor
+  let distanceKm = null;
+  let distanceScore = 0;
+  const pickupCoordinates = shipment.pickupAddress?.coordinates;
+  if (hasCoordinates(pickupCoordinates) && hasCoordinates(driver.currentLocation)) {
+    distanceKm = haversineDistance(driver.currentLocation, pickupCoordinates);
+    if (distanceKm > config.maxPickupDistanceKm) return null;
+    distanceScore = 1 - distanceKm / config.maxPickupDistanceKm;
+  }
+
+  const loadScore = 1 - load.count / config.maxActiveShipments;
+  const averageRating = driver.rating?.count > 0 ? driver.rating.average : config.defaultRating;
+  const ratingScore = averageRating / 5;
+
+  const score = distanceScore * config.weights.distance +
+    capacityScore * config.weights.capacity +
+    loadScore * config.weights.load +
+    ratingScore * config.weights.rating;
+
+  return {
+    driver,
+    score: round(score),
+    breakdown: {
+      distanceKm: distanceKm != null ? round(distanceKm, 2) : null,
+      distanceScore: round(distanceScore),
+      capacityScore: round(capacityScore),
+      loadScore: round(loadScore),
+      ratingScore: round(ratingScore),
+      activeShipments: load.count,
+      remainingWeight: remainingWeight != null ? round(remainingWeight, 2) : null,
+      remainingVolume: remainingVolume != null ? round(remainingVolume, 3) : null
+    }
+  };
+};
+
+// Rank approved, KYC-approved, online drivers for a shipment, best first
+const rankDriversForShipment = async (shipment) => {
+  const drivers = await Driver.find({
+    status: 'approved',
+    kycStatus: 'approved',
+    isOnline: true
+  }).select('firstName lastName email phone vehicle currentLocation rating');
+
+  if (drivers.length === 0) return [];
+
+  const loads = await getDriverLoads(drivers.map(driver => driver._id));
+  const emptyLoad = { count: 0, weight: 0, volume: 0 };
+
+  return drivers
+    .map(driver => scoreDriver(driver, shipment, loads.get(driver._id.toString()) || emptyLoad))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Assign the best-ranked driver to a pending shipment
+const autoAssignShipment = async (shipment, { updatedBy = 'system', updatedByUser = null } = {}) => {
+  if (shipment.status !== 'pending' || shipment.driver) {
+    throw new ErrorResponse('Can only auto-assign pending shipments without a driver', 400);
+  }
+
+  const candidates = await rankDriversForShipment(shipment);
+  if (candidates.length === 0) {
+    throw new ErrorResponse('No eligible driver is available for this shipment', 400);
+  }
+
+  const [best] = candidates;
+
+  shipment.driver = best.driver._id;
+  shipment.updateStatus(
+    'assigned',
+    null,
+    `Auto-assigned to driver ${best.driver.fullName} (score ${best.score})`,
+    updatedBy,
+    updatedByUser
+  );
+
+  await shipment.save();
+
+  return { shipment, driver: best.driver, score: best.score, breakdown: best.breakdown };
+};
+
+// Auto-assign every pending shipment, most urgent and earliest pickup first
+const autoAssignPendingShipments = async ({ limit = 50, updatedBy = 'system', updatedByUser = null } = {}) => {
+  const pendingShipments = await Shipment.find({ status: 'pending', driver: null })
+    .sort({ requestedPickupDate: 1 })
+    .limit(limit);
+
+  pendingShipments.sort((a, b) =>
+    (PRIORITY_ORDER[a.priority] ?? 2) - (PRIORITY_ORDER[b.priority] ?? 2) ||
+    a.requestedPickupDate - b.requestedPickupDate
+  );
+
+  const assigned = [];
+  const unassigned = [];
+
+  // Sequential on purpose: each assignment changes the loads seen by the next ranking
+  for (const shipment of pendingShipments) {
+    try {
+      const result = await autoAssignShipment(shipment, { updatedBy, updatedByUser });
+      assigned.push({
+        shipmentId: shipment.shipmentId,
+        shipment: shipment._id,
+        driver: result.driver._id,
+        driverName: result.driver.fullName,
+        score: result.score
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      unassigned.push({
+        shipmentId: shipment.shipmentId,
+        shipment: shipment._id,
+        reason: error.message
+      });
+    }
+  }
+
+  return { assigned, unassigned };
+};
+
+module.exports = {
+  ACTIVE_SHIPMENT_STATUSES,
+  DISPATCH_CONFIG,
+  rankDriversForShipment,
+  autoAssignShipment,
+  autoAssignPendingShipments
+};
@@ -0,0 +1,9 @@
+// Error carrying an HTTP status code, thrown from helpers and translated into a JSON response by the route
+class ErrorResponse extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,217 @@
+const Shipment = require('../models/Shipment');
+const Driver = require('../models/Driver');
+const { eventBus, publishEvent } = require('./events');
+const { hasCoordinates, haversineDistance } = require('./geo');
+const { estimateDistance } = require('./pricing');
+
+// Predicted delivery times. The remaining route (driver position, then every stop still to visit) is
+// driven at the lane's historical door-to-door speed for the service type when there is enough history,
+// otherwise at a default speed plus the service type's time in the network.
+const ETA_CONFIG = {
+  defaultSpeedKmh: parseFloat(process.env.ETA_DEFAULT_SPEED_KMH) || 50,
+  // Hours spent in hubs and sorting before the final leg, when no lane history is available
+  handlingHours: {
+    same_day: 0,
+    overnight: 2,
+    express: 6,
+    standard: 24
+  },
+  stopMinutes: 10, // time spent at each remaining stop
+  laneLookbackDays: 90,
+  laneMinSamples: 5,
+  laneCacheMs: 60 * 60 * 1000,
+  historyLimit: 50,
+  // A new history entry is only kept when the estimate moves at least this much
+  historyThresholdMinutes: 5
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const TERMINAL_STATUSES = ['delivered', 'failed', 'returned', 'cancelled'];
+
+// Events that move a shipment along its route
+const ETA_TRIGGERS = {
+  'shipment.created': 'created',
+  'shipment.status_changed': 'status_changed',
+  'shipment.stop_updated': 'stop_updated'
+};
+
+// lane key -> { speedKmh, expiresAt }
+const laneSpeeds = new Map();
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Average door-to-door speed of recently delivered shipments on the same lane and service type,
+// or null when there are not enough of them
+const getLaneSpeed = async (shipment) => {
+  const pickupState = shipment.pickupAddress?.state;
+  const deliveryState = shipment.deliveryAddress?.state;
+  if (!pickupState || !deliveryState) return null;
+
+  const key = [pickupState, deliveryState, shipment.serviceType].join('|').toLowerCase();
+  const cached = laneSpeeds.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.speedKmh;
+
+  const [history] = await Shipment.aggregate([
+    {
+      $match: {
+        status: 'delivered',
+        serviceType: shipment.serviceType,
+        'pickupAddress.state': pickupState,
+        'deliveryAddress.state': deliveryState,
+        'pricing.distanceKm': { $gt: 0 },
+        actualPickupDate: { $ne: null },
+        actualDeliveryDate: { $gte: new Date(Date.now() - ETA_CONFIG.laneLookbackDays * 24 * HOUR_MS) }
+      }
+    },
+    {
+      $project: {
+        distanceKm: '$pricing.distanceKm',
+        hours: { $divide: [{ $subtract: ['$actualDeliveryDate', '$actualPickupDate'] }, HOUR_MS] }
+      }
+    },
+    { $match: { hours: { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        distanceKm: { $sum: '$distanceKm' },
+        hours: { $sum: '$hours' },
+        samples: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const speedKmh = history && history.samples >= ETA_CONFIG.laneMinSamples
+    ? history.distanceKm / history.hours
+    : null;
+
+  laneSpeeds.set(key, { speedKmh, expiresAt: Date.now() + ETA_CONFIG.laneCacheMs });
+  return speedKmh;
+};
+
+// Distance still to travel: from the driver (when known) through every remaining stop
+const getRemainingDistance = (route, driverLocation) => {
+  let distanceKm = 0;
+
+  if (hasCoordinates(driverLocation) && hasCoordinates(route[0]?.coordinates)) {
+    distanceKm += haversineDistance(driverLocation, route[0].coordinates);
+  }
+  for (let i = 1; i < route.length; i++) {
+    distanceKm += estimateDistance(route[i - 1], route[i]).distanceKm;
+  }
+
+  return distanceKm;
+};
+
+// Work out the ETA for a shipment; returns null once it has reached a final status
+const calculateEta = (shipment, { driverLocation = null, laneSpeedKmh = null, now = new Date() } = {}) => {
+  if (TERMINAL_STATUSES.includes(shipment.status)) return null;
+
+  const route = shipment.getRemainingRoute();
+  const remainingDistanceKm = getRemainingDistance(route, driverLocation);
+  const onFinalLeg = shipment.status === 'out_for_delivery';
+
+  // On the final leg the driver is simply driving; before that, lane history covers the whole journey
+  const useLaneHistory = laneSpeedKmh && !onFinalLeg;
+  const speedKmh = useLaneHistory ? laneSpeedKmh : ETA_CONFIG.defaultSpeedKmh;
+  const handlingHours = useLaneHistory || onFinalLeg
+    ? 0
+    : ETA_CONFIG.handlingHours[shipment.serviceType] ?? ETA_CONFIG.handlingHours.standard;
+
+  // Nothing moves before the requested pickup
+  const notPickedUp = ['pending', 'assigned'].includes(shipment.status);
+  const startAt = notPickedUp && shipment.requestedPickupDate > now ? shipment.requestedPickupDate : now;
+
+  const hours = remainingDistanceKm / speedKmh + handlingHours + (route.length * ETA_CONFIG.stopMinutes) / 60;
+  const estimatedDeliveryAt = new Date(startAt.getTime() + hours * HOUR_MS);
+
+  return {
+    estimatedDeliveryAt,
+    computedAt: now,
+    remainingDistanceKm: round(remainingDistanceKm),
+    remainingStops: route.length,
+    speedKmh: round(speedKmh),
+    basis: useLaneHistory ? 'lane_history' : 'service_default',
+    likelyLate: estimatedDeliveryAt > shipment.requestedDeliveryDate
+  };
+};
+
+// Recompute and store a shipment's ETA. Written with an atomic update so it never
+// overwrites a concurrent save of the shipment.
+const refreshShipmentEta = async (shipmentOrId, { reason, driverLocation } = {}) => {
+  const shipment = shipmentOrId instanceof Shipment
+    ? shipmentOrId
+    : await Shipment.findById(shipmentOrId);
+  if (!shipment) return null;
+
+  let location = driverLocation;
+  if (location === undefined && shipment.driver) {
+    const driver = await Driver.findById(shipment.driver).select('currentLocation');
+    location = driver?.currentLocation;
+  }
+
+  const eta = calculateEta(shipment, {
+    driverLocation: location,
+    laneSpeedKmh: await getLaneSpeed(shipment)
+  });
+  if (!eta) return null;
+
+  const previous = shipment.eta?.estimatedDeliveryAt;
+  const wasLate = !!shipment.eta?.likelyLate;
+  const moved = !previous ||
+    Math.abs(eta.estimatedDeliveryAt - previous) >= ETA_CONFIG.historyThresholdMinutes * 60 * 1000;
+
+  const update = { $set: { eta } };
+  if (moved || reason !== 'location_update' || eta.likelyLate !== wasLate) {
+    update.$push = {
+      etaHistory: {
+        $each: [{
+          estimatedDeliveryAt: eta.estimatedDeliveryAt,
+          computedAt: eta.computedAt,
+          reason,
+          likelyLate: eta.likelyLate
+        }],
+        $slice: -ETA_CONFIG.historyLimit
+      }
+    };
+  }
+
+  await Shipment.updateOne({ _id: shipment._id }, update);
+
+  if (eta.likelyLate && !wasLate) {
+    publishEvent('shipment.likely_late', {
+      ...shipment.getEventSummary(),
+      eta: {
+        estimatedDeliveryAt: eta.estimatedDeliveryAt,
+        likelyLate: true
+      },
+      requestedDeliveryDate: shipment.requestedDeliveryDate
+    });
+  }
+
+  return eta;
+};
+
+// Recompute the ETAs of the shipments a driver is carrying after a location ping
+const refreshDriverShipmentEtas = async (shipments, driverLocation) => {
+  for (const shipment of shipments) {
+    await refreshShipmentEta(shipment._id, { reason: 'location_update', driverLocation });
+  }
+};
+
+// Recompute ETAs whenever a shipment is created or moves along its route
+const startEtaService = () => {
+  eventBus.on('event', (event) => {
+    const reason = ETA_TRIGGERS[event.type];
+    if (!reason || !event.data.shipment) return;
+    refreshShipmentEta(event.data.shipment, { reason })
+      .catch(error => console.error(`ETA refresh error for ${event.data.shipmentId}:`, error));
+  });
+};
+
+module.exports = {
+  ETA_CONFIG,
+  calculateEta,
+  refreshShipmentEta,
+  refreshDriverShipmentEtas,
+  startEtaService
+};
@@ -0,0 +1,58 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Process-wide bus for domain events (shipment.status_changed, payment.completed, ...).
+// Subscribers receive { id, type, occurredAt, data } on the 'event' channel.
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(50);
+
+// Publish an event immediately
+const publishEvent = (type, data) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    occurredAt: new Date(),
+    data
+  };
+
+  try {
+    eventBus.emit('event', event);
+  } catch (error) {
+    // A failing subscriber must never break the request that raised the event
+    console.error(`Event subscriber error for ${type}:`, error);
+  }
+
+  return event;
+};
+
+// Queue an event on a document; it is published once the document has been saved
+const queueEvent = (doc, type, data) => {
+  doc.$locals.pendingEvents = doc.$locals.pendingEvents || [];
+  doc.$locals.pendingEvents.push({ type, data });
+};
+
+// Publish and clear the events queued on a document
+const flushEvents = (doc) => {
+  const pendingEvents = doc.$locals.pendingEvents || [];
+  doc.$locals.pendingEvents = [];
+
+  pendingEvents.forEach(({ type, data }) => publishEvent(type, data));
+};
+
+// Mongoose plugin that publishes queued events after a successful save.
+// Set doc.$locals.deferEvents to hold them until flushEvents(doc) is called,
+// e.g. while a batch that may still be rolled back is being written.
+const eventPublisherPlugin = (schema) => {
+  schema.post('save', function(doc) {
+    if (doc.$locals.deferEvents) return;
+    flushEvents(doc);
+  });
+};
+
+module.exports = {
+  eventBus,
+  publishEvent,
+  queueEvent,
+  flushEvents,
+  eventPublisherPlugin
+};
@@ -50,7 +50,8 @@ const fileFilter = (req, file, cb) => {
   const allowedMimeTypes = {
     image: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
     document: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
-    all: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+    all: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    spreadsheet: ['text/csv', 'application/csv', 'text/plain', 'application/octet-stream', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
   };
 
   // Check file type based on field name
@@ -58,6 +59,13 @@ const fileFilter = (req, file, cb) => {
   
   if (file.fieldname.includes('photo') || file.fieldname.includes('image')) {
     isValid = allowedMimeTypes.image.includes(file.mimetype);
+  } else if (file.fieldname.includes('import')) {
+    // Browsers report CSV files under several MIME types, so check the extension too
+    const extension = path.extname(file.originalname).toLowerCase();
+    isValid = allowedMimeTypes.spreadsheet.includes(file.mimetype) && ['.csv', '.xlsx'].includes(extension);
+    if (!isValid) {
+      return cb(new Error('Invalid file type for import. Upload a .csv or .xlsx file'), false);
+    }
   } else if (file.fieldname.includes('document') || file.fieldname.includes('license') || file.fieldname.includes('certificate')) {
     isValid = allowedMimeTypes.all.includes(file.mimetype);
   } else {
@@ -107,6 +115,12 @@ const uploadShipmentDocuments = upload.fields([
 // Shipment photos upload
 const uploadShipmentPhotos = upload.array('photos', 10);
 
+// Recipient signature captured at delivery
+const uploadDeliverySignature = upload.single('signatureImage');
+
+// Spreadsheet for bulk shipment import
+const uploadShipmentImport = upload.single('importFile');
+
 // Single file upload
 const uploadSingle = upload.single('file');
 
@@ -190,6 +204,8 @@ module.exports = {
   uploadBusinessDocuments,
   uploadShipmentDocuments,
   uploadShipmentPhotos,
+  uploadDeliverySignature,
+  uploadShipmentImport,
   uploadSingle,
   handleMulterError,
   getFileUrl,
@@ -0,0 +1,53 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+// Check that a { latitude, longitude } pair holds usable numbers
+const hasCoordinates = (coordinates) => {
+  if (!coordinates || coordinates.latitude == null || coordinates.longitude == null) {
+    return false;
+  }
+  return Number.isFinite(Number(coordinates.latitude)) && Number.isFinite(Number(coordinates.longitude));
+};
+
+// Great-circle distance in kilometres between two { latitude, longitude } pairs
+const haversineDistance = (from, to) => {
+  const lat1 = toRadians(Number(from.latitude));
+  const lat2 = toRadians(Number(to.latitude));
+  const deltaLat = toRadians(Number(to.latitude) - Number(from.latitude));
+  const deltaLng = toRadians(Number(to.longitude) - Number(from.longitude));
+
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Schema definition for a GeoJSON point, stored as [longitude, latitude]
+const geoPointDefinition = {
+  type: {
+    type: String,
+    enum: ['Point']
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+};
+
+// GeoJSON point from a { latitude, longitude } pair, or undefined when coordinates are missing
+const toGeoPoint = (coordinates) => {
+  if (!hasCoordinates(coordinates)) return undefined;
+  return {
+    type: 'Point',
+    coordinates: [Number(coordinates.longitude), Number(coordinates.latitude)]
+  };
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  hasCoordinates,
+  haversineDistance,
+  geoPointDefinition,
+  toGeoPoint
+};
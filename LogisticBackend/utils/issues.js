@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Shipment = require('../models/Shipment');
+const Alert = require('../models/Alert');
+const Client = require('../models/Client');
+const Admin = require('../models/Admin');
+const { publishEvent } = require('./events');
+const { registerJob } = require('./jobs');
+
+// Shipment issues (exceptions). Unresolved issues escalate by age at a pace set by their severity
+// (see ISSUE_ESCALATION_HOURS on the Shipment model); each escalation raises an admin alert.
+const ISSUE_CONFIG = {
+  intervalMs: (parseInt(process.env.ISSUE_ESCALATION_INTERVAL_SECONDS, 10) || 300) * 1000,
+  batchSize: 200
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Raise an admin alert for an issue reaching a new escalation level
+const raiseEscalationAlert = async (shipment, issue, level) => {
+  const alert = await Alert.create({
+    type: 'issue_escalation',
+    severity: level >= 2 || issue.severity === 'critical' ? 'critical' : 'warning',
+    title: `Issue escalated to level ${level}: ${shipment.shipmentId}`,
+    message: `Unresolved ${issue.severity} ${issue.type} issue on shipment ${shipment.shipmentId}, reported ${issue.reportedAt.toISOString()}`,
+    shipment: shipment._id,
+    client: shipment.client,
+    driver: shipment.driver,
+    data: {
+      issue: issue._id,
+      issueType: issue.type,
+      issueSeverity: issue.severity,
+      escalationLevel: level,
+      owner: issue.owner
+    }
+  });
+
+  publishEvent('alert.raised', {
+    alert: alert._id,
+    type: alert.type,
+    severity: alert.severity,
+    title: alert.title,
+    shipment: shipment._id,
+    shipmentId: shipment.shipmentId
+  });
+
+  return alert;
+};
+
+// Escalate every unresolved issue whose next escalation is due
+const processIssueEscalations = async () => {
+  const now = new Date();
+  const shipments = await Shipment.find({
+    issues: { $elemMatch: { resolved: false, nextEscalationAt: { $lte: now } } }
+  })
+    .select('shipmentId client driver issues')
+    .limit(ISSUE_CONFIG.batchSize);
+
+  for (const shipment of shipments) {
+    const dueIssues = shipment.issues.filter(issue => !issue.resolved && issue.nextEscalationAt && issue.nextEscalationAt <= now);
+
+    for (const issue of dueIssues) {
+      try {
+        const level = issue.escalationLevel + 1;
+
+        // Matched on the current level so an issue escalates once even with several instances running
+        const result = await Shipment.updateOne(
+          {
+            _id: shipment._id,
+            issues: { $elemMatch: { _id: issue._id, resolved: false, escalationLevel: issue.escalationLevel } }
+          },
+          {
+            $set: {
+              'issues.$.escalationLevel': level,
+              'issues.$.state': 'escalated',
+              'issues.$.escalatedAt': now,
+              'issues.$.nextEscalationAt': Shipment.getNextIssueEscalation(issue, level, now)
+            }
+          }
+        );
+
+        if (result.modifiedCount === 1) {
+          await raiseEscalationAlert(shipment, issue, level);
+        }
+      } catch (error) {
+        // One bad issue must not stop the rest of the batch
+        console.error(`Issue escalation failed for ${shipment.shipmentId}:`, error);
+      }
+    }
+  }
+};
+
+// Register the escalation job with the job runner
+const startIssueEscalation = () => {
+  registerJob('issue-escalation', ISSUE_CONFIG.intervalMs, processIssueEscalations);
+};
+
+// Close the open alerts raised for an issue once it is resolved
+const resolveIssueAlerts = (issueId, adminId, notes) => Alert.updateMany(
+  { 'data.issue': issueId, status: { $ne: 'resolved' } },
+  {
+    $set: {
+      status: 'resolved',
+      resolvedBy: adminId,
+      resolvedAt: new Date(),
+      resolutionNotes: notes
+    }
+  }
+);
+
+// The exceptions queue: one row per issue, most escalated and most severe first.
+// Without a state filter only unresolved issues are listed.
+const buildExceptionsQueue = async ({ type, state, severity, owner, page = 1, limit = 20 }) => {
+  const issueMatch = state ? { state } : { resolved: { $ne: true } };
+  if (type) issueMatch.type = type;
+  if (severity) issueMatch.severity = severity;
+  if (owner) issueMatch.owner = new mongoose.Types.ObjectId(owner);
+
+  const unwoundMatch = Object.fromEntries(Object.entries(issueMatch).map(([field, value]) => [`issues.${field}`, value]));
+
+  const [result] = await Shipment.aggregate([
+    { $match: { issues: { $elemMatch: issueMatch } } },
+    { $unwind: '$issues' },
+    { $match: unwoundMatch },
+    { $addFields: { severityRank: { $indexOfArray: [SEVERITY_ORDER, '$issues.severity'] } } },
+    { $sort: { 'issues.escalationLevel': -1, severityRank: 1, 'issues.reportedAt': 1 } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        exceptions: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              issue: {
+                $mergeObjects: ['$issues', { commentCount: { $size: { $ifNull: ['$issues.comments', []] } } }]
+              },
+              shipment: {
+                _id: '$_id',
+                shipmentId: '$shipmentId',
+                trackingNumber: '$trackingNumber',
+                status: '$status',
+                serviceType: '$serviceType',
+                client: '$client',
+                driver: '$driver'
+              }
+            }
+          },
+          { $unset: 'issue.comments' }
+        ]
+      }
+    }
+  ]);
+
+  const exceptions = result.exceptions;
+
+  // Attach client and owner names
+  const [clients, owners] = await Promise.all([
+    Client.find({ _id: { $in: exceptions.map(row => row.shipment.client) } }).select('companyName'),
+    Admin.find({ _id: { $in: exceptions.filter(row => row.issue.owner).map(row => row.issue.owner) } }).select('firstName lastName')
+  ]);
+  const clientNames = new Map(clients.map(client => [client._id.toString(), client.companyName]));
+  const ownerNames = new Map(owners.map(admin => [admin._id.toString(), admin.fullName]));
+  exceptions.forEach(row => {
+    row.shipment.companyName = clientNames.get(String(row.shipment.client)) || null;
+    row.issue.ownerName = row.issue.owner ? ownerNames.get(String(row.issue.owner)) || null : null;
+  });
+
+  return {
+    exceptions,
+    total: result.total[0]?.count || 0
+  };
+};
+
+module.exports = {
+  ISSUE_CONFIG,
+  processIssueEscalations,
+  startIssueEscalation,
+  resolveIssueAlerts,
+  buildExceptionsQueue
+};
@@ -0,0 +1,65 @@
+// In-process background jobs run on fixed intervals.
+// Jobs are registered by the modules that own them and started once the server is up.
+const jobs = new Map();
+
+// Register a job; handler is an async function called every intervalMs
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null });
+};
+
+// Run a job once, skipping the tick if the previous run has not finished
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) return;
+
+  job.running = true;
+  try {
+    await job.handler();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Job ${name} failed:`, error);
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+// Start every registered job (set DISABLE_JOBS=true to run an API-only instance)
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') return;
+
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    job.timer.unref();
+  });
+};
+
+// Stop every running job
+const stopJobs = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Status of every job, for health reporting
+const getJobStatus = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastError
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  getJobStatus
+};
@@ -0,0 +1,274 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const { Resvg } = require('@resvg/resvg-js');
+
+// 4x6 inch thermal label
+const LABEL_CONFIG = {
+  widthInches: 4,
+  heightInches: 6,
+  dpi: 203, // standard thermal printer resolution (8 dots/mm)
+  fontFile: process.env.LABEL_FONT_FILE
+};
+
+const LABEL_FORMATS = ['pdf', 'zpl', 'png'];
+
+const SERVICE_TYPE_LABELS = {
+  standard: 'STANDARD',
+  express: 'EXPRESS',
+  overnight: 'OVERNIGHT',
+  same_day: 'SAME DAY'
+};
+
+// Public tracking page the QR code links to
+const getTrackingUrl = (trackingNumber) => {
+  const base = process.env.PUBLIC_TRACKING_URL || `${process.env.CLIENT_URL || 'http://localhost:3000'}/track`;
+  return `${base.replace(/\/$/, '')}/${encodeURIComponent(trackingNumber)}`;
+};
+
+const formatAddressLines = (address = {}) => [
+  address.name || address.contactPerson,
+  address.name && address.contactPerson ? `Attn: ${address.contactPerson}` : null,
+  address.street,
+  [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+  address.country,
+  address.phone
+].filter(Boolean);
+
+// Handling flags printed in the label's flag band
+const getHandlingFlags = (shipment) => {
+  const flags = [];
+  const requirements = shipment.requirements || {};
+
+  if ((shipment.items || []).some(item => item.isFragile)) {
+    flags.push('FRAGILE');
+  }
+  if (requirements.hazardousMaterial) {
+    flags.push(requirements.hazardClass ? `HAZMAT CLASS ${requirements.hazardClass}` : 'HAZMAT');
+  }
+  if (requirements.temperatureControlled) {
+    const range = requirements.temperatureRange || {};
+    const unit = range.unit === 'fahrenheit' ? 'F' : 'C';
+    flags.push(range.min != null && range.max != null
+      ? `KEEP ${range.min}-${range.max}°${unit}`
+      : 'TEMPERATURE CONTROLLED');
+  }
+  if (requirements.signatureRequired) {
+    flags.push('SIGNATURE REQUIRED');
+  }
+  if (requirements.ageVerificationRequired) {
+    flags.push('ID CHECK');
+  }
+
+  return flags;
+};
+
+// Describe each label to print: one for the shipment, or one per piece in multi-piece mode
+const buildLabels = (shipment, { multiPiece = false } = {}) => {
+  const base = {
+    trackingNumber: shipment.trackingNumber,
+    shipmentId: shipment.shipmentId,
+    trackingUrl: getTrackingUrl(shipment.trackingNumber),
+    serviceType: SERVICE_TYPE_LABELS[shipment.serviceType] || String(shipment.serviceType || '').toUpperCase(),
+    priority: shipment.priority,
+    from: formatAddressLines(shipment.pickupAddress),
+    to: formatAddressLines(shipment.deliveryAddress),
+    flags: getHandlingFlags(shipment)
+  };
+
+  if (!multiPiece) {
+    return [{ ...base, weight: shipment.totalWeight, piece: 1, totalPieces: 1 }];
+  }
+
+  const pieces = [];
+  (shipment.items || []).forEach(item => {
+    for (let i = 0; i < item.quantity; i++) {
+      pieces.push({ item: item.name, weight: item.weight, isFragile: item.isFragile });
+    }
+  });
+
+  return pieces.map((piece, index) => ({
+    ...base,
+    // Only pieces that are themselves fragile carry the fragile flag
+    flags: piece.isFragile ? base.flags : base.flags.filter(flag => flag !== 'FRAGILE'),
+    item: piece.item,
+    weight: piece.weight,
+    piece: index + 1,
+    totalPieces: pieces.length
+  }));
+};
+
+const formatWeight = (weight) => `${Math.round((Number(weight) || 0) * 100) / 100} kg`;
+
+// Code128 barcode and QR code as PNG buffers
+const renderCodes = async (label) => {
+  const [barcode, qrCode] = await Promise.all([
+    bwipjs.toBuffer({ bcid: 'code128', text: label.trackingNumber, scale: 3, height: 18, includetext: true, textxalign: 'center' }),
+    bwipjs.toBuffer({ bcid: 'qrcode', text: label.trackingUrl, scale: 4 })
+  ]);
+  return { barcode, qrCode };
+};
+
+// PDF with one 4x6 page per label
+const renderPdf = async (labels) => {
+  const width = LABEL_CONFIG.widthInches * 72;
+  const height = LABEL_CONFIG.heightInches * 72;
+  const margin = 12;
+  const doc = new PDFDocument({ size: [width, height], margin, autoFirstPage: false });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  for (const label of labels) {
+    const { barcode, qrCode } = await renderCodes(label);
+    const innerWidth = width - margin * 2;
+    doc.addPage();
+
+    // Header: service and piece count
+    doc.font('Helvetica-Bold').fontSize(16).text(label.serviceType, margin, margin);
+    doc.fontSize(10).text(`PIECE ${label.piece} OF ${label.totalPieces}`, margin, margin + 4, { width: innerWidth, align: 'right' });
+    doc.moveTo(margin, 34).lineTo(width - margin, 34).stroke();
+
+    // Addresses
+    doc.font('Helvetica-Bold').fontSize(7).text('FROM', margin, 40);
+    doc.font('Helvetica').fontSize(8).text(label.from.join('\n'), margin, 49, { width: innerWidth });
+    doc.moveTo(margin, 112).lineTo(width - margin, 112).stroke();
+    doc.font('Helvetica-Bold').fontSize(7).text('SHIP TO', margin, 118);
+    doc.font('Helvetica-Bold').fontSize(12).text(label.to.join('\n'), margin, 128, { width: innerWidth });
+    doc.moveTo(margin, 222).lineTo(width - margin, 222).stroke();
+
+    // Shipment details and QR code
+    doc.image(qrCode, width - margin - 80, 228, { width: 80, height: 80 });
+    doc.font('Helvetica').fontSize(9)
+      .text(`Shipment: ${label.shipmentId}`, margin, 232)
+      .text(`Weight: ${formatWeight(label.weight)}`)
+      .text(`Priority: ${String(label.priority || '').toUpperCase()}`);
+    if (label.item) {
+      doc.text(`Item: ${label.item}`, { width: innerWidth - 90 });
+    }
+
+    // Handling flags
+    if (label.flags.length > 0) {
+      doc.rect(margin, 314, innerWidth, 24).fill('black');
+      doc.fillColor('white').font('Helvetica-Bold').fontSize(9)
+        .text(label.flags.join('  |  '), margin + 4, 322, { width: innerWidth - 8, align: 'center' });
+      doc.fillColor('black');
+    }
+
+    // Tracking barcode
+    doc.image(barcode, margin, 346, { fit: [innerWidth, 74], align: 'center' });
+  }
+
+  doc.end();
+  return finished;
+};
+
+// Strip characters that ZPL treats as commands from field data
+const zplText = (value) => String(value ?? '').replace(/[\^~\\]/g, ' ');
+
+// ZPL II for direct printing on 203 dpi thermal printers
+const renderZpl = (labels) => {
+  const width = LABEL_CONFIG.widthInches * LABEL_CONFIG.dpi;
+  const height = LABEL_CONFIG.heightInches * LABEL_CONFIG.dpi;
+
+  return labels.map(label => {
+    const lines = [
+      '^XA',
+      '^CI28',
+      `^PW${width}`,
+      `^LL${height}`,
+      `^FO30,30^A0N,50,50^FD${zplText(label.serviceType)}^FS`,
+      `^FO30,40^A0N,30,30^FB752,1,0,R^FDPIECE ${label.piece} OF ${label.totalPieces}^FS`,
+      '^FO30,95^GB752,3,3^FS',
+      '^FO30,110^A0N,22,22^FDFROM^FS',
+      `^FO30,140^A0N,24,24^FB752,6,4^FD${label.from.map(zplText).join('\\&')}^FS`,
+      '^FO30,310^GB752,3,3^FS',
+      '^FO30,325^A0N,22,22^FDSHIP TO^FS',
+      `^FO30,355^A0N,36,36^FB752,6,6^FD${label.to.map(zplText).join('\\&')}^FS`,
+      '^FO30,610^GB752,3,3^FS',
+      `^FO30,630^A0N,26,26^FDShipment: ${zplText(label.shipmentId)}^FS`,
+      `^FO30,665^A0N,26,26^FDWeight: ${zplText(formatWeight(label.weight))}^FS`,
+      `^FO30,700^A0N,26,26^FDPriority: ${zplText(String(label.priority || '').toUpperCase())}^FS`
+    ];
+
+    if (label.item) {
+      lines.push(`^FO30,735^A0N,26,26^FB500,1,0^FDItem: ${zplText(label.item)}^FS`);
+    }
+
+    lines.push(`^FO560,620^BQN,2,5^FDQA,${zplText(label.trackingUrl)}^FS`);
+
+    if (label.flags.length > 0) {
+      lines.push('^FO30,880^GB752,60,60^FS');
+      lines.push(`^FO30,895^A0N,30,30^FR^FB752,1,0,C^FD${label.flags.map(zplText).join(' | ')}^FS`);
+    }
+
+    lines.push(`^FO80,970^BY3^BCN,160,Y,N,N^FD${zplText(label.trackingNumber)}^FS`);
+    lines.push('^XZ');
+
+    return lines.join('\n');
+  }).join('\n');
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// PNG of a single label at printer resolution
+const renderPng = async (label) => {
+  const width = LABEL_CONFIG.widthInches * LABEL_CONFIG.dpi;
+  const height = LABEL_CONFIG.heightInches * LABEL_CONFIG.dpi;
+  const { barcode, qrCode } = await renderCodes(label);
+
+  const textLines = (lines, x, y, size, lineHeight, weight = 'normal') => lines
+    .map((line, index) => `<text x="${x}" y="${y + index * lineHeight}" font-size="${size}" font-weight="${weight}">${escapeXml(line)}</text>`)
+    .join('');
+
+  const details = [
+    `Shipment: ${label.shipmentId}`,
+    `Weight: ${formatWeight(label.weight)}`,
+    `Priority: ${String(label.priority || '').toUpperCase()}`,
+    label.item ? `Item: ${label.item}` : null
+  ].filter(Boolean);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif">
+  <rect width="100%" height="100%" fill="white"/>
+  <text x="30" y="75" font-size="50" font-weight="bold">${escapeXml(label.serviceType)}</text>
+  <text x="${width - 30}" y="70" font-size="30" font-weight="bold" text-anchor="end">PIECE ${label.piece} OF ${label.totalPieces}</text>
+  <rect x="30" y="95" width="${width - 60}" height="3"/>
+  <text x="30" y="130" font-size="22" font-weight="bold">FROM</text>
+  ${textLines(label.from, 30, 162, 24, 28)}
+  <rect x="30" y="310" width="${width - 60}" height="3"/>
+  <text x="30" y="345" font-size="22" font-weight="bold">SHIP TO</text>
+  ${textLines(label.to, 30, 390, 36, 42, 'bold')}
+  <rect x="30" y="610" width="${width - 60}" height="3"/>
+  ${textLines(details, 30, 655, 26, 35)}
+  <image x="${width - 260}" y="625" width="230" height="230" href="data:image/png;base64,${qrCode.toString('base64')}"/>
+  ${label.flags.length > 0 ? `<rect x="30" y="880" width="${width - 60}" height="60"/>
+  <text x="${width / 2}" y="922" font-size="30" font-weight="bold" fill="white" text-anchor="middle">${escapeXml(label.flags.join('  |  '))}</text>` : ''}
+  <image x="30" y="970" width="${width - 60}" height="210" preserveAspectRatio="xMidYMid meet" href="data:image/png;base64,${barcode.toString('base64')}"/>
+</svg>`;
+
+  const resvg = new Resvg(svg, {
+    font: {
+      loadSystemFonts: true,
+      fontFiles: LABEL_CONFIG.fontFile ? [LABEL_CONFIG.fontFile] : [],
+      defaultFontFamily: 'sans-serif'
+    }
+  });
+  return resvg.render().asPng();
+};
+
+module.exports = {
+  LABEL_FORMATS,
+  getTrackingUrl,
+  getHandlingFlags,
+  buildLabels,
+  renderPdf,
+  renderZpl,
+  renderPng
+};
@@ -0,0 +1,52 @@
+const ErrorResponse = require('./errorResponse');
+
+// Outbound notifications to consignees and users.
+// No SMS or email provider is bundled. Until one is registered with setNotificationTransport()
+// nothing is sent, and features that depend on reaching the consignee (delivery codes) are refused.
+// Messages are never logged: they can carry one-time codes.
+let transport = null;
+
+// Register the transport; it receives { channel: 'sms' | 'email', to, subject, message }
+const setNotificationTransport = (newTransport) => {
+  transport = newTransport || null;
+};
+
+const hasNotificationTransport = () => transport !== null;
+
+// Send a message over every channel the recipient can be reached on.
+// Returns the channels that were used.
+// Throws a 503 ErrorResponse when no transport is registered.
+const sendNotification = async ({ phone, email }, { subject, message }) => {
+  if (!transport) {
+    throw new ErrorResponse('No SMS or email provider is configured', 503);
+  }
+
+  const sentVia = [];
+
+  if (phone) {
+    await transport({ channel: 'sms', to: phone, message });
+    sentVia.push('sms');
+  }
+  if (email) {
+    await transport({ channel: 'email', to: email, subject, message });
+    sentVia.push('email');
+  }
+
+  return sentVia;
+};
+
+// Send the consignee the one-time code they give the driver at the door
+const sendDeliveryCode = (shipment, code) => {
+  const { phone, email } = shipment.deliveryAddress || {};
+  return sendNotification({ phone, email }, {
+    subject: `Your delivery code for shipment ${shipment.trackingNumber}`,
+    message: `Shipment ${shipment.trackingNumber} is out for delivery. Give the driver this code to receive it: ${code}`
+  });
+};
+
+module.exports = {
+  setNotificationTransport,
+  hasNotificationTransport,
+  sendNotification,
+  sendDeliveryCode
+};
@@ -0,0 +1,178 @@
+const { hasCoordinates, haversineDistance } = require('./geo');
+
+// Default tariff used when pricing shipments server-side
+const PRICING_CONFIG = {
+  currency: 'USD',
+  baseRates: {
+    standard: 15,
+    express: 25,
+    overnight: 35,
+    same_day: 45
+  },
+  perKmRate: 0.5,
+  perKgRate: 0.8,
+  // Volumetric divisor: cm³ per chargeable kg
+  volumetricDivisor: 5000,
+  // Fallback distances (km) when pickup/delivery coordinates are missing
+  estimatedDistances: {
+    sameCity: 15,
+    sameState: 150,
+    sameCountry: 600,
+    international: 2000
+  },
+  // Share of the base + distance + weight subtotal added for priority
+  urgencyMultipliers: {
+    low: 0,
+    medium: 0,
+    high: 0.15,
+    urgent: 0.3
+  },
+  specialHandling: {
+    hazardousMaterial: 50,
+    temperatureControlled: 35,
+    signatureRequired: 5,
+    ageVerificationRequired: 5,
+    fragile: 10
+  }
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Convert item dimensions to cubic centimetres
+const calculateItemVolume = (item) => {
+  const dimensions = item.dimensions;
+  if (!dimensions || !dimensions.length || !dimensions.width || !dimensions.height) return 0;
+
+  const factor = dimensions.unit === 'inch' ? 2.54 : 1;
+  return (dimensions.length * factor) * (dimensions.width * factor) * (dimensions.height * factor);
+};
+
+// Total volume of all items in cubic metres
+const calculateVolume = (items = []) => {
+  const cubicCentimetres = items.reduce((sum, item) => sum + calculateItemVolume(item) * (item.quantity || 1), 0);
+  return cubicCentimetres / 1000000;
+};
+
+// Distance between pickup and delivery, estimated from the addresses when coordinates are missing
+const estimateDistance = (pickupAddress = {}, deliveryAddress = {}) => {
+  if (hasCoordinates(pickupAddress.coordinates) && hasCoordinates(deliveryAddress.coordinates)) {
+    return { distanceKm: haversineDistance(pickupAddress.coordinates, deliveryAddress.coordinates), estimated: false };
+  }
+
+  const same = (field) => pickupAddress[field] && deliveryAddress[field] &&
+    String(pickupAddress[field]).trim().toLowerCase() === String(deliveryAddress[field]).trim().toLowerCase();
+
+  const { estimatedDistances } = PRICING_CONFIG;
+  let distanceKm = estimatedDistances.international;
+
+  if (same('country') || (!pickupAddress.country && !deliveryAddress.country)) {
+    distanceKm = estimatedDistances.sameCountry;
+    if (same('state')) {
+      distanceKm = same('city') ? estimatedDistances.sameCity : estimatedDistances.sameState;
+    }
+  }
+
+  return { distanceKm, estimated: true };
+};
+
+// Distance along a multi-stop route: the sum of the distances between consecutive stops
+const estimateRouteDistance = (stops) => stops.slice(1).reduce((route, stop, index) => {
+  const { distanceKm, estimated } = estimateDistance(stops[index].address, stop.address);
+  return { distanceKm: route.distanceKm + distanceKm, estimated: route.estimated || estimated };
+}, { distanceKm: 0, estimated: false });
+
+// Calculate the pricing subdocument for a shipment from its contents and route.
+// Multi-stop shipments are charged for the distance between each pair of consecutive stops.
+// When the client has an active rate card its lane, weight-break and service-type
+// rates take precedence over the default tariff.
+const calculateShipmentPricing = (shipmentData, rateCard = null) => {
+  const {
+    items = [],
+    serviceType = 'standard',
+    priority = 'medium',
+    requirements = {},
+    pickupAddress,
+    deliveryAddress,
+    stops
+  } = shipmentData;
+
+  const config = PRICING_CONFIG;
+
+  const actualWeight = items.reduce((sum, item) => sum + (item.weight || 0) * (item.quantity || 1), 0);
+  const volumetricWeight = (calculateVolume(items) * 1000000) / config.volumetricDivisor;
+  const chargeableWeight = Math.max(actualWeight, volumetricWeight);
+
+  const { distanceKm, estimated } = stops?.length > 1
+    ? estimateRouteDistance(stops)
+    : estimateDistance(pickupAddress, deliveryAddress);
+
+  const lane = rateCard ? rateCard.matchLane(pickupAddress, deliveryAddress) : null;
+  const weightBreak = rateCard ? rateCard.matchWeightBreak(chargeableWeight) : null;
+  const serviceRate = rateCard ? rateCard.matchServiceType(serviceType) : null;
+  const multiplier = serviceRate?.multiplier ?? 1;
+
+  const baseRate = (lane?.baseRate ?? serviceRate?.baseRate ?? config.baseRates[serviceType] ?? config.baseRates.standard) * multiplier;
+  const distanceRate = distanceKm * (lane?.perKmRate ?? config.perKmRate) * multiplier;
+  const weightRate = chargeableWeight * (weightBreak?.ratePerKg ?? config.perKgRate) * multiplier;
+  const urgencyRate = (baseRate + distanceRate + weightRate) * (config.urgencyMultipliers[priority] || 0);
+
+  let specialHandlingRate = 0;
+  if (requirements.hazardousMaterial) specialHandlingRate += config.specialHandling.hazardousMaterial;
+  if (requirements.temperatureControlled) specialHandlingRate += config.specialHandling.temperatureControlled;
+  if (requirements.signatureRequired) specialHandlingRate += config.specialHandling.signatureRequired;
+  if (requirements.ageVerificationRequired) specialHandlingRate += config.specialHandling.ageVerificationRequired;
+  if (items.some(item => item.isFragile)) specialHandlingRate += config.specialHandling.fragile;
+
+  const pricing = {
+    baseRate: roundCurrency(baseRate),
+    distanceRate: roundCurrency(distanceRate),
+    weightRate: roundCurrency(weightRate),
+    urgencyRate: roundCurrency(urgencyRate),
+    specialHandlingRate: roundCurrency(specialHandlingRate),
+    currency: rateCard?.currency || config.currency,
+    distanceKm: roundCurrency(distanceKm),
+    distanceEstimated: estimated,
+    chargeableWeight: roundCurrency(chargeableWeight),
+    rateCard: rateCard ? rateCard._id : undefined
+  };
+
+  pricing.totalAmount = roundCurrency(
+    pricing.baseRate + pricing.distanceRate + pricing.weightRate + pricing.urgencyRate + pricing.specialHandlingRate
+  );
+  pricing.calculatedAmount = pricing.totalAmount;
+  pricing.calculatedAt = new Date();
+
+  return pricing;
+};
+
+// Turn a pricing subdocument into Payment charge lines that add up to its totalAmount.
+// Overridden or otherwise adjusted prices get an adjustment line for the difference.
+const buildPaymentCharges = (pricing) => {
+  const lines = [
+    { description: 'Base rate', type: 'base_rate', amount: pricing.baseRate },
+    { description: `Distance (${pricing.distanceKm} km)`, type: 'distance', amount: pricing.distanceRate },
+    { description: `Weight (${pricing.chargeableWeight} kg)`, type: 'weight', amount: pricing.weightRate },
+    { description: 'Priority surcharge', type: 'urgency', amount: pricing.urgencyRate },
+    { description: 'Special handling', type: 'special_handling', amount: pricing.specialHandlingRate }
+  ].filter(line => line.amount > 0);
+
+  const adjustment = roundCurrency(pricing.totalAmount - lines.reduce((total, line) => total + line.amount, 0));
+  if (adjustment !== 0) {
+    lines.push({
+      description: pricing.override?.isOverridden ? `Price adjustment: ${pricing.override.reason}` : 'Price adjustment',
+      type: 'other',
+      amount: adjustment
+    });
+  }
+
+  return lines;
+};
+
+module.exports = {
+  PRICING_CONFIG,
+  roundCurrency,
+  calculateVolume,
+  estimateDistance,
+  calculateShipmentPricing,
+  buildPaymentCharges
+};
@@ -0,0 +1,169 @@
+const Shipment = require('../models/Shipment');
+const Driver = require('../models/Driver');
+const Client = require('../models/Client');
+const ErrorResponse = require('./errorResponse');
+
+// Two-way ratings on delivered shipments. The client rates the driver (rating.clientRating) and the
+// driver rates the client (rating.driverRating); each feeds the other party's running average.
+const RATING_CONFIG = {
+  windowDays: parseInt(process.env.RATING_WINDOW_DAYS, 10) || 14,
+  // Ratings at or below this score that come with feedback wait for an admin to review them
+  moderationThreshold: 2
+};
+
+// Who rates whom, keyed by the user type giving the rating
+const RATING_SIDES = {
+  client: {
+    path: 'rating.clientRating',
+    ratedField: 'driver',
+    RatedModel: Driver,
+    averagePath: 'rating'
+  },
+  driver: {
+    path: 'rating.driverRating',
+    ratedField: 'client',
+    RatedModel: Client,
+    averagePath: 'statistics.rating'
+  }
+};
+
+// Add (delta 1) or take back (delta -1) one score from a running average in a single
+// pipeline update, so concurrent ratings never read a stale average
+const updateRunningAverage = (Model, id, averagePath, score, delta) => {
+  const average = { $ifNull: [`$${averagePath}.average`, 0] };
+  const count = { $ifNull: [`$${averagePath}.count`, 0] };
+  const newCount = { $max: [{ $add: [count, delta] }, 0] };
+
+  return Model.updateOne({ _id: id }, [{
+    $set: {
+      [`${averagePath}.average`]: {
+        $cond: [
+          { $gt: [newCount, 0] },
+          { $divide: [{ $add: [{ $multiply: [average, count] }, score * delta] }, newCount] },
+          0
+        ]
+      },
+      [`${averagePath}.count`]: newCount
+    }
+  }]);
+};
+
+// Record a rating on a delivered shipment and update the rated party's average.
+// Throws a 400 ErrorResponse when the shipment cannot be rated.
+const submitRating = async (shipment, ratedBy, { rating, feedback }) => {
+  const side = RATING_SIDES[ratedBy];
+  const ratedId = shipment[side.ratedField];
+
+  if (shipment.status !== 'delivered' || !shipment.actualDeliveryDate) {
+    throw new ErrorResponse('Only delivered shipments can be rated', 400);
+  }
+  if (!ratedId) {
+    throw new ErrorResponse(`Shipment has no ${side.ratedField} to rate`, 400);
+  }
+
+  const closesAt = new Date(shipment.actualDeliveryDate.getTime() + RATING_CONFIG.windowDays * 24 * 60 * 60 * 1000);
+  if (new Date() > closesAt) {
+    throw new ErrorResponse(`Ratings close ${RATING_CONFIG.windowDays} days after delivery`, 400);
+  }
+
+  const needsReview = rating <= RATING_CONFIG.moderationThreshold && !!feedback;
+  const entry = {
+    rating,
+    feedback,
+    date: new Date(),
+    moderation: { status: needsReview ? 'pending' : 'not_required' }
+  };
+
+  // Matched on the rating being unset so a second submission cannot slip in
+  const updated = await Shipment.findOneAndUpdate(
+    { _id: shipment._id, [`${side.path}.rating`]: null },
+    { $set: { [side.path]: entry } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ErrorResponse('You have already rated this shipment', 400);
+  }
+
+  await updateRunningAverage(side.RatedModel, ratedId, side.averagePath, rating, 1);
+
+  return updated.get(side.path);
+};
+
+// Approve a held rating, or remove it and take it back out of the rated party's average
+const moderateRating = async (shipmentId, ratedBy, { status, notes, adminId }) => {
+  const side = RATING_SIDES[ratedBy];
+
+  const updated = await Shipment.findOneAndUpdate(
+    { _id: shipmentId, [`${side.path}.moderation.status`]: 'pending' },
+    {
+      $set: {
+        [`${side.path}.moderation.status`]: status,
+        [`${side.path}.moderation.reviewedBy`]: adminId,
+        [`${side.path}.moderation.reviewedAt`]: new Date(),
+        [`${side.path}.moderation.notes`]: notes
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ErrorResponse('No rating awaiting review on this shipment', 404);
+  }
+
+  if (status === 'removed') {
+    await updateRunningAverage(side.RatedModel, updated[side.ratedField], side.averagePath, updated.get(`${side.path}.rating`), -1);
+  }
+
+  return updated.get(side.path);
+};
+
+// Ratings waiting for review, oldest delivery first; paged and counted by shipment
+const buildModerationQueue = async ({ ratedBy, page = 1, limit = 20 }) => {
+  const sides = ratedBy ? [ratedBy] : Object.keys(RATING_SIDES);
+  const filter = {
+    $or: sides.map(side => ({ [`${RATING_SIDES[side].path}.moderation.status`]: 'pending' }))
+  };
+
+  const [shipments, total] = await Promise.all([
+    Shipment.find(filter)
+      .select('shipmentId trackingNumber client driver actualDeliveryDate rating')
+      .populate('client', 'companyName')
+      .populate('driver', 'firstName lastName')
+      .sort({ actualDeliveryDate: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Shipment.countDocuments(filter)
+  ]);
+
+  // One row per held rating; a shipment can have both sides waiting
+  const ratings = [];
+  shipments.forEach(shipment => {
+    sides.forEach(side => {
+      const entry = shipment.get(RATING_SIDES[side].path);
+      if (entry?.moderation?.status !== 'pending') return;
+      ratings.push({
+        shipment: {
+          _id: shipment._id,
+          shipmentId: shipment.shipmentId,
+          trackingNumber: shipment.trackingNumber,
+          actualDeliveryDate: shipment.actualDeliveryDate
+        },
+        ratedBy: side,
+        client: shipment.client,
+        driver: shipment.driver,
+        rating: entry.rating,
+        feedback: entry.feedback,
+        date: entry.date
+      });
+    });
+  });
+
+  return { ratings, total };
+};
+
+module.exports = {
+  RATING_CONFIG,
+  RATING_SIDES,
+  submitRating,
+  moderateRating,
+  buildModerationQueue
+};
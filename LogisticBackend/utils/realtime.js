@@ -0,0 +1,166 @@
+const { eventBus } = require('./events');
+
+// Keep idle connections open through proxies that drop silent streams
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.SSE_HEARTBEAT_SECONDS, 10) * 1000 || 25000;
+
+// Limits on unauthenticated tracking streams
+const PUBLIC_STREAM_LIMITS = {
+  perChannel: parseInt(process.env.SSE_MAX_TRACKING_SUBSCRIBERS, 10) || 20,
+  perIp: parseInt(process.env.SSE_MAX_PUBLIC_STREAMS_PER_IP, 10) || 5
+};
+
+// Shipment events relayed to live subscribers
+const STREAMED_EVENT_TYPES = [
+  'shipment.created',
+  'shipment.status_changed',
+  'shipment.location_updated',
+  'shipment.stop_updated',
+  'shipment.likely_late',
+  'shipment.document_added',
+  'shipment.photo_added'
+];
+
+// Events only admins see, streamed on the dispatch channel
+const DISPATCH_EVENT_TYPES = [
+  'alert.raised',
+  'shipment.sla_breached',
+  'shipment.issue_reported',
+  'shipment.issue_resolved'
+];
+
+// Driver GPS pings; never relayed to public tracking subscribers
+const PRIVATE_EVENT_TYPES = ['shipment.location_updated'];
+
+// channel name -> Set of open responses
+const channels = new Map();
+
+// IP -> number of open public streams
+const publicStreamsByIp = new Map();
+
+const channelNames = {
+  tracking: (trackingNumber) => `tracking:${trackingNumber}`,
+  client: (clientId) => `client:${clientId}`,
+  dispatch: () => 'dispatch'
+};
+
+// Write a single Server-Sent Event frame
+const writeEvent = (res, event, data, id) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Public tracking subscribers only see what the public tracking endpoint exposes:
+// a place name at most, never coordinates
+const toPublicTrackingData = (event) => ({
+  trackingNumber: event.data.trackingNumber,
+  status: event.data.status,
+  previousStatus: event.data.previousStatus,
+  location: event.data.location?.name ? { name: event.data.location.name } : undefined,
+  stop: event.data.stop,
+  eta: event.data.eta,
+  timestamp: event.occurredAt
+});
+
+// Why a public stream cannot be opened on the channel from this IP, or null when it can
+const getPublicSubscribeError = (channel, ip) => {
+  if ((channels.get(channel)?.size || 0) >= PUBLIC_STREAM_LIMITS.perChannel) {
+    return 'Too many open streams for this shipment';
+  }
+  if ((publicStreamsByIp.get(ip) || 0) >= PUBLIC_STREAM_LIMITS.perIp) {
+    return 'Too many open tracking streams from this address';
+  }
+  return null;
+};
+
+// Count a public stream against its IP until the connection closes
+const trackPublicStream = (req) => {
+  const ip = req.ip;
+  publicStreamsByIp.set(ip, (publicStreamsByIp.get(ip) || 0) + 1);
+  req.on('close', () => {
+    const remaining = (publicStreamsByIp.get(ip) || 1) - 1;
+    if (remaining > 0) {
+      publicStreamsByIp.set(ip, remaining);
+    } else {
+      publicStreamsByIp.delete(ip);
+    }
+  });
+};
+
+// Open an event stream on the response and register it on the given channel
+const subscribe = (req, res, channel, initialData) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  if (!channels.has(channel)) channels.set(channel, new Set());
+  channels.get(channel).add(res);
+
+  writeEvent(res, 'ready', { channel, ...initialData });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const subscribers = channels.get(channel);
+    if (subscribers) {
+      subscribers.delete(res);
+      if (subscribers.size === 0) channels.delete(channel);
+    }
+  });
+};
+
+// Send an event to every subscriber on a channel
+const broadcast = (channel, event, data, id) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+
+  subscribers.forEach(res => {
+    try {
+      writeEvent(res, event, data, id);
+    } catch (error) {
+      console.error(`Realtime write error on ${channel}:`, error);
+    }
+  });
+};
+
+// Number of open streams, for health reporting
+const getSubscriberCount = () => {
+  let count = 0;
+  channels.forEach(subscribers => { count += subscribers.size; });
+  return count;
+};
+
+eventBus.on('event', (event) => {
+  if (DISPATCH_EVENT_TYPES.includes(event.type)) {
+    broadcast(channelNames.dispatch(), event.type, { ...event.data, timestamp: event.occurredAt }, event.id);
+    return;
+  }
+  if (!STREAMED_EVENT_TYPES.includes(event.type)) return;
+
+  const { trackingNumber, client } = event.data;
+  const payload = { ...event.data, timestamp: event.occurredAt };
+
+  if (trackingNumber && !PRIVATE_EVENT_TYPES.includes(event.type)) {
+    broadcast(channelNames.tracking(trackingNumber), event.type, toPublicTrackingData(event), event.id);
+  }
+  if (client) {
+    broadcast(channelNames.client(client), event.type, payload, event.id);
+  }
+  broadcast(channelNames.dispatch(), event.type, payload, event.id);
+});
+
+module.exports = {
+  PUBLIC_STREAM_LIMITS,
+  channelNames,
+  getPublicSubscribeError,
+  trackPublicStream,
+  subscribe,
+  broadcast,
+  getSubscriberCount
+};
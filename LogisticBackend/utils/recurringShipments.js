@@ -0,0 +1,114 @@
+const Shipment = require('../models/Shipment');
+const RateCard = require('../models/RateCard');
+const RecurringShipment = require('../models/RecurringShipment');
+const { validateShipmentData, prepareShipmentData } = require('./shipmentBuilder');
+const { registerJob } = require('./jobs');
+
+const RECURRING_CONFIG = {
+  intervalMs: (parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_SECONDS, 10) || 60) * 1000,
+  batchSize: 50,
+  maxOccurrencesPerRun: 10 // per definition, so one busy schedule cannot hold up the rest
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fields of a shipment request kept on a recurring definition
+const RECURRING_SHIPMENT_FIELDS = ['description', 'items', 'pickupAddress', 'deliveryAddress', 'stops', 'serviceType', 'priority', 'pickupTimeWindow', 'deliveryTimeWindow', 'requirements'];
+
+// Request body for one occurrence: the stored shipment plus its pickup and delivery dates
+const getOccurrenceData = (shipmentData, scheduledFor, deliveryOffsetHours) => ({
+  ...shipmentData,
+  requestedPickupDate: scheduledFor.toISOString(),
+  requestedDeliveryDate: new Date(scheduledFor.getTime() + deliveryOffsetHours * HOUR_MS).toISOString()
+});
+
+// Check a shipment body against the first occurrence it would be used for.
+// Returns the fields to store and any validation errors.
+const validateRecurringShipmentData = async (data, firstOccurrence, deliveryOffsetHours) => {
+  const shipmentData = RECURRING_SHIPMENT_FIELDS.reduce((picked, field) => {
+    if (data[field] !== undefined) picked[field] = data[field];
+    return picked;
+  }, {});
+
+  const occurrenceData = getOccurrenceData(shipmentData, firstOccurrence, deliveryOffsetHours);
+  const errors = await validateShipmentData(occurrenceData);
+  if (errors.length === 0) {
+    // Throws a 400 ErrorResponse for dates or pricing the shipment could not be created with
+    prepareShipmentData(occurrenceData);
+  }
+
+  return { shipmentData, errors };
+};
+
+// Create the shipment for one occurrence; returns null when it already exists
+const createOccurrence = async (definition, scheduledFor) => {
+  const existing = await Shipment.exists({ recurringShipment: definition._id, recurringOccurrence: scheduledFor });
+  if (existing) return null;
+
+  const rateCard = await RateCard.findActiveForClient(definition.client);
+  const shipmentData = prepareShipmentData(
+    getOccurrenceData(definition.shipmentData, scheduledFor, definition.deliveryOffsetHours),
+    { rateCard }
+  );
+
+  const shipment = new Shipment({
+    client: definition.client,
+    ...shipmentData,
+    recurringShipment: definition._id,
+    recurringOccurrence: scheduledFor
+  });
+  await shipment.save();
+  return shipment;
+};
+
+// Create shipments for every active definition whose next occurrence is within its lead time
+const processRecurringShipments = async () => {
+  const now = new Date();
+  const definitions = await RecurringShipment.find({
+    status: 'active',
+    nextRunAt: { $lte: now }
+  })
+    .sort({ nextRunAt: 1 })
+    .limit(RECURRING_CONFIG.batchSize);
+
+  for (const definition of definitions) {
+    for (let i = 0; i < RECURRING_CONFIG.maxOccurrencesPerRun && definition.status === 'active' && definition.nextRunAt <= now; i++) {
+      const scheduledFor = definition.nextOccurrenceAt;
+
+      // Occurrences whose pickup time has already passed (e.g. while the scheduler was stopped) are not back-filled
+      if (scheduledFor > now) {
+        try {
+          if (await createOccurrence(definition, scheduledFor)) {
+            definition.shipmentsCreated += 1;
+          }
+          definition.lastError = undefined;
+          definition.lastErrorAt = undefined;
+        } catch (error) {
+          // Leave the occurrence pending so the next run tries again
+          console.error(`Recurring shipment ${definition.recurringId} failed for ${scheduledFor.toISOString()}:`, error);
+          definition.lastError = error.message;
+          definition.lastErrorAt = now;
+          break;
+        }
+      }
+
+      definition.lastOccurrenceAt = scheduledFor;
+      definition.scheduleNext(scheduledFor);
+    }
+
+    await definition.save();
+  }
+};
+
+// Register the scheduler with the job runner
+const startRecurringScheduler = () => {
+  registerJob('recurring-shipments', RECURRING_CONFIG.intervalMs, processRecurringShipments);
+};
+
+module.exports = {
+  RECURRING_CONFIG,
+  validateRecurringShipmentData,
+  createOccurrence,
+  processRecurringShipments,
+  startRecurringScheduler
+};
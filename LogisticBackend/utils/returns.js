@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Shipment = require('../models/Shipment');
+const Client = require('../models/Client');
+const { prepareShipmentData } = require('./shipmentBuilder');
+
+// Reverse logistics. A return is a new shipment from the original delivery address back to the
+// original pickup address, authorised with an RMA number and charged by reason.
+
+// Statuses a shipment can be returned from
+const RETURNABLE_STATUSES = ['delivered', 'failed', 'returned'];
+
+// Who pays for the return movement, by reason; admins may override it per return
+const RETURN_CHARGE_POLICY = {
+  refused_by_consignee: 'consignee',
+  no_longer_needed: 'consignee',
+  undeliverable: 'client',
+  damaged: 'client',
+  wrong_item: 'client',
+  not_as_described: 'client',
+  other: 'client'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const generateRmaNumber = () =>
+  `RMA${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`.toUpperCase();
+
+// An address of the original without its stored GeoJSON point (rebuilt on save)
+const withoutLocation = ({ location, _id, ...address } = {}) => address;
+
+const hasWindow = (window) => (window?.start ? window : undefined);
+
+// Shipment data for the return of a shipment: addresses and time windows swapped, same items and
+// service, priced afresh. Pickup defaults to tomorrow and transit to the original's planned duration.
+const buildReturnShipmentData = (original, { requestedPickupDate, requestedDeliveryDate, rateCard = null }) => {
+  const data = original.toObject();
+
+  const pickupDate = requestedPickupDate ? new Date(requestedPickupDate) : new Date(Date.now() + DAY_MS);
+  const transitMs = Math.max(data.requestedDeliveryDate - data.requestedPickupDate, DAY_MS);
+  const deliveryDate = requestedDeliveryDate ? new Date(requestedDeliveryDate) : new Date(pickupDate.getTime() + transitMs);
+
+  return prepareShipmentData({
+    description: `Return of ${data.shipmentId}: ${data.description}`.slice(0, 500),
+    items: data.items.map(({ _id, ...item }) => item),
+    pickupAddress: withoutLocation(data.deliveryAddress),
+    deliveryAddress: withoutLocation(data.pickupAddress),
+    serviceType: data.serviceType,
+    priority: data.priority,
+    requestedPickupDate: pickupDate,
+    requestedDeliveryDate: deliveryDate,
+    pickupTimeWindow: hasWindow(data.deliveryTimeWindow),
+    deliveryTimeWindow: hasWindow(data.pickupTimeWindow),
+    requirements: data.requirements
+  }, { rateCard });
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Return rates of shipments created in a period, overall and per client, with the reasons given
+const buildReturnsReport = async ({ startDate, endDate, client }) => {
+  const match = {
+    // Shipments stored before returns existed have no direction
+    direction: { $ne: 'return' },
+    createdAt: { $gte: startDate, $lte: endDate }
+  };
+  if (client) {
+    match.client = new mongoose.Types.ObjectId(client);
+  }
+
+  const returned = { $cond: [{ $ne: [{ $ifNull: ['$returnShipment', null] }, null] }, 1, 0] };
+
+  const [result] = await Shipment.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: [
+          { $group: { _id: null, shipments: { $sum: 1 }, returns: { $sum: returned } } }
+        ],
+        reasons: [
+          { $match: { returnShipment: { $ne: null } } },
+          { $group: { _id: '$rma.reason', returns: { $sum: 1 } } },
+          { $sort: { returns: -1 } }
+        ],
+        clients: [
+          {
+            $group: {
+              _id: '$client',
+              shipments: { $sum: 1 },
+              returns: { $sum: returned },
+              chargedToConsignee: { $sum: { $cond: [{ $eq: ['$rma.chargeTo', 'consignee'] }, 1, 0] } },
+              reasons: { $push: '$rma.reason' }
+            }
+          },
+          { $sort: { returns: -1, shipments: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const withRate = (row) => ({
+    ...row,
+    returnRate: row.shipments > 0 ? round(row.returns / row.shipments) : null
+  });
+
+  const countReasons = (reasons) => reasons.filter(Boolean).reduce((counts, reason) => {
+    counts[reason] = (counts[reason] || 0) + 1;
+    return counts;
+  }, {});
+
+  const { _id, ...overall } = result.overall[0] || { shipments: 0, returns: 0 };
+
+  const clients = await Client.find({ _id: { $in: result.clients.map(row => row._id) } }).select('companyName');
+  const names = new Map(clients.map(entry => [entry._id.toString(), entry.companyName]));
+
+  return {
+    overall: withRate(overall),
+    reasons: result.reasons.map(({ _id: reason, returns }) => ({ reason, returns })),
+    clients: result.clients.map(({ _id: clientId, reasons, ...row }) => ({
+      client: clientId,
+      companyName: names.get(String(clientId)) || null,
+      ...withRate(row),
+      reasons: countReasons(reasons)
+    }))
+  };
+};
+
+module.exports = {
+  RETURNABLE_STATUSES,
+  RETURN_CHARGE_POLICY,
+  generateRmaNumber,
+  buildReturnShipmentData,
+  buildReturnsReport
+};
@@ -0,0 +1,362 @@
+const Shipment = require('../models/Shipment');
+const { hasCoordinates, haversineDistance } = require('./geo');
+const { calculateVolume } = require('./pricing');
+const { ACTIVE_SHIPMENT_STATUSES } = require('./dispatch');
+
+// Daily route planning for one driver: every pickup and delivery the driver still has to do is
+// ordered so that each pickup comes before its delivery, the vehicle is never loaded beyond its
+// capacity and time windows are met where possible. Distances are straight-line (haversine), so
+// ETAs are estimates.
+const ROUTE_CONFIG = {
+  averageSpeedKmh: parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 40,
+  serviceMinutes: parseInt(process.env.ROUTE_SERVICE_MINUTES, 10) || 10, // time spent at each stop
+  dayStart: '08:00', // UTC, when a driver's day starts if the route is planned ahead
+  maxShipments: 50,
+  // Cost of arriving late, in km of extra driving per minute, so windows outweigh distance
+  latePenaltyPerMinute: 10,
+  overloadPenalty: 1000000,
+  // The improvement step is O(passes * stops^3) and runs on the request thread, so it is only
+  // tried on short routes and stops when its time budget is spent, keeping the best order so far
+  maxImprovementPasses: 20,
+  maxOptimisedStops: 40, // longer routes keep the greedy order
+  improvementBudgetMs: 150
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Minutes after midnight for an "HH:MM" string, or null
+const parseTime = (text) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(text || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+// Absolute start/end of a time window on the planned day; open ends stay null
+const toWindow = (timeWindow, dayStart) => {
+  const start = parseTime(timeWindow?.start);
+  const end = parseTime(timeWindow?.end);
+  return {
+    start: start != null ? new Date(dayStart.getTime() + start * MINUTE_MS) : null,
+    end: end != null ? new Date(dayStart.getTime() + end * MINUTE_MS) : null
+  };
+};
+
+// Weight and volume of item quantities
+const measureItems = (items, entries) => entries.reduce((load, { itemIndex, quantity }) => {
+  const item = items[itemIndex];
+  if (!item) return load;
+  return {
+    weight: load.weight + (item.weight || 0) * quantity,
+    volume: load.volume + calculateVolume([{ ...item, quantity }])
+  };
+}, { weight: 0, volume: 0 });
+
+const scaleLoad = (load, sign) => ({ weight: load.weight * sign, volume: load.volume * sign });
+
+// Stops of one single-destination shipment, with the load each adds (+) or removes (-)
+const getShipmentNodes = (shipment, dayStart) => {
+  const load = { weight: shipment.totalWeight || 0, volume: calculateVolume(shipment.items) };
+  const onBoard = shipment.status !== 'assigned';
+  const nodes = [];
+
+  if (!onBoard) {
+    nodes.push({
+      type: 'pickup',
+      address: shipment.pickupAddress,
+      window: toWindow(shipment.pickupTimeWindow, dayStart),
+      timeWindow: shipment.pickupTimeWindow,
+      load
+    });
+  }
+  nodes.push({
+    type: 'delivery',
+    address: shipment.deliveryAddress,
+    window: toWindow(shipment.deliveryTimeWindow, dayStart),
+    timeWindow: shipment.deliveryTimeWindow,
+    load: scaleLoad(load, -1)
+  });
+
+  return { nodes, onBoard: onBoard ? load : { weight: 0, volume: 0 } };
+};
+
+// Open stops of a multi-stop shipment up to where another driver takes over
+const getMultiStopNodes = (shipment, driverId, dayStart) => {
+  const items = shipment.items.map(item => item.toObject ? item.toObject() : item);
+  const listsItems = shipment.stops.some(stop => stop.items.length > 0);
+  const whole = measureItems(items, items.map((item, itemIndex) => ({ itemIndex, quantity: item.quantity })));
+  const lastIndex = shipment.stops.length - 1;
+
+  // Stops that do not list items: the whole shipment is loaded at the first stop and unloaded at the last
+  const stopLoad = (stop, index) => {
+    const sign = stop.type === 'pickup' ? 1 : stop.type === 'delivery' ? -1 : 0;
+    if (listsItems) return scaleLoad(measureItems(items, stop.items), sign);
+    if (index === 0) return whole;
+    if (index === lastIndex) return scaleLoad(whole, -1);
+    return { weight: 0, volume: 0 };
+  };
+
+  const onBoard = { weight: 0, volume: 0 };
+  shipment.stops.forEach((stop, index) => {
+    if (stop.status === 'completed') {
+      const load = stopLoad(stop, index);
+      onBoard.weight += load.weight;
+      onBoard.volume += load.volume;
+    }
+  });
+
+  // Follow the legs from the current one while this driver is the one driving them
+  let lastStop = -1;
+  let legDriver = shipment.driver;
+  for (const leg of shipment.legs) {
+    if (leg.status === 'completed') continue;
+    legDriver = leg.driver || legDriver;
+    if (!legDriver || legDriver.toString() !== driverId.toString()) break;
+    lastStop = leg.toStop;
+  }
+
+  const nodes = shipment.stops
+    .map((stop, index) => ({ stop, index }))
+    .filter(({ stop, index }) => index <= lastStop && ['pending', 'arrived'].includes(stop.status))
+    .map(({ stop, index }) => ({
+      type: stop.type,
+      stopIndex: index,
+      address: stop.address,
+      window: toWindow(stop.timeWindow, dayStart),
+      timeWindow: stop.timeWindow,
+      load: stopLoad(stop, index)
+    }));
+
+  return { nodes, onBoard };
+};
+
+// Drive from the state after the previous stop to the next one
+const visitStop = (state, node, capacity) => {
+  const config = ROUTE_CONFIG;
+  const legKm = state.position ? haversineDistance(state.position, node.address.coordinates) : 0;
+  const arrival = state.time + (legKm / config.averageSpeedKmh) * 60 * MINUTE_MS;
+  const serviceStart = node.window.start ? Math.max(arrival, node.window.start.getTime()) : arrival;
+  const late = node.window.end && serviceStart > node.window.end.getTime()
+    ? (serviceStart - node.window.end.getTime()) / MINUTE_MS
+    : 0;
+
+  const load = { weight: state.load.weight + node.load.weight, volume: state.load.volume + node.load.volume };
+  const overWeight = capacity.weight != null ? Math.max(0, load.weight - capacity.weight) : 0;
+  const overVolume = capacity.volume != null ? Math.max(0, load.volume - capacity.volume) : 0;
+  const departure = serviceStart + config.serviceMinutes * MINUTE_MS;
+
+  return {
+    position: node.address.coordinates,
+    time: departure,
+    load,
+    distanceKm: state.distanceKm + legKm,
+    lateMinutes: state.lateMinutes + late,
+    cost: state.cost + legKm + late * config.latePenaltyPerMinute + (overWeight + overVolume) * config.overloadPenalty,
+    stop: {
+      node,
+      distanceKm: legKm,
+      arrival: new Date(arrival),
+      waitMinutes: (serviceStart - arrival) / MINUTE_MS,
+      lateMinutes: late,
+      departure: new Date(departure),
+      load,
+      overCapacity: overWeight > 0 || overVolume > 0
+    }
+  };
+};
+
+const initialState = ({ start, startAt, initialLoad }) => ({
+  position: start,
+  time: startAt.getTime(),
+  load: { ...initialLoad },
+  distanceKm: 0,
+  lateMinutes: 0,
+  cost: 0
+});
+
+// Walk a stop order from the start position and time.
+// Returns the timed stops and the cost used to compare orders.
+const simulateRoute = (order, options) => {
+  const stops = [];
+  let state = initialState(options);
+  order.forEach(node => {
+    state = visitStop(state, node, options.capacity);
+    stops.push(state.stop);
+  });
+
+  return {
+    stops,
+    distanceKm: state.distanceKm,
+    lateMinutes: state.lateMinutes,
+    finishAt: new Date(state.time),
+    cost: state.cost
+  };
+};
+
+// Every node comes after the earlier nodes of the same shipment
+const respectsPrecedence = (order) => {
+  const reached = new Map();
+  return order.every(node => {
+    const previous = reached.get(node.chain) ?? -1;
+    if (node.position !== previous + 1) return false;
+    reached.set(node.chain, node.position);
+    return true;
+  });
+};
+
+// Order the nodes: build greedily (cheapest next stop, where going over capacity is very expensive),
+// then move single stops to better positions until no move lowers the cost or the time budget runs out
+const solveRoute = (nodes, options) => {
+  const remaining = [...nodes];
+  const reached = new Map();
+  let order = [];
+  let state = initialState(options);
+
+  while (remaining.length > 0) {
+    let best = null;
+    remaining
+      .filter(node => node.position === (reached.get(node.chain) ?? -1) + 1)
+      .forEach(node => {
+        const next = visitStop(state, node, options.capacity);
+        if (!best || next.cost < best.state.cost) {
+          best = { node, state: next };
+        }
+      });
+
+    order.push(best.node);
+    reached.set(best.node.chain, best.node.position);
+    remaining.splice(remaining.indexOf(best.node), 1);
+    state = best.state;
+  }
+
+  let current = simulateRoute(order, options);
+  const passes = order.length <= ROUTE_CONFIG.maxOptimisedStops ? ROUTE_CONFIG.maxImprovementPasses : 0;
+  const deadline = Date.now() + ROUTE_CONFIG.improvementBudgetMs;
+  for (let pass = 0, improved = true; improved && pass < passes; pass++) {
+    improved = false;
+    for (let from = 0; from < order.length && Date.now() < deadline; from++) {
+      for (let to = 0; to < order.length; to++) {
+        if (to === from) continue;
+        const candidate = [...order];
+        const [node] = candidate.splice(from, 1);
+        candidate.splice(to, 0, node);
+        if (!respectsPrecedence(candidate)) continue;
+
+        const result = simulateRoute(candidate, options);
+        if (result.cost < current.cost - 1e-9) {
+          order = candidate;
+          current = result;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return current;
+};
+
+// Midnight (UTC) of a YYYY-MM-DD date, defaulting to today
+const startOfPlanDay = (date, now) => {
+  const day = date ? new Date(date) : now;
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+// Plan the driver's stops for a day: shipments assigned to them (or already on board) whose requested
+// pickup is on or before that day. Shipments with an address without coordinates are left out of the
+// route and listed as unplanned.
+const planDriverRoute = async (driver, { date, now = new Date() } = {}) => {
+  const dayStart = startOfPlanDay(date, now);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * MINUTE_MS - 1);
+  const isToday = dayStart.getTime() === startOfPlanDay(null, now).getTime();
+  const defaultStart = new Date(dayStart.getTime() + parseTime(ROUTE_CONFIG.dayStart) * MINUTE_MS);
+  const startAt = isToday && now > defaultStart ? now : defaultStart;
+
+  const shipments = await Shipment.find({
+    driver: driver._id,
+    status: { $in: ACTIVE_SHIPMENT_STATUSES },
+    requestedPickupDate: { $lte: dayEnd }
+  })
+    .sort({ requestedPickupDate: 1 })
+    .limit(ROUTE_CONFIG.maxShipments)
+    .select('shipmentId trackingNumber status priority items totalWeight pickupAddress deliveryAddress pickupTimeWindow deliveryTimeWindow stops legs driver requestedPickupDate requestedDeliveryDate');
+
+  const capacity = {
+    weight: driver.vehicle?.capacity?.weight ?? null,
+    volume: driver.vehicle?.capacity?.volume ?? null
+  };
+  const initialLoad = { weight: 0, volume: 0 };
+  const nodes = [];
+  const unplanned = [];
+
+  shipments.forEach((shipment, chain) => {
+    const { nodes: shipmentNodes, onBoard } = shipment.stops.length > 0
+      ? getMultiStopNodes(shipment, driver._id, dayStart)
+      : getShipmentNodes(shipment, dayStart);
+
+    initialLoad.weight += onBoard.weight;
+    initialLoad.volume += onBoard.volume;
+
+    if (shipmentNodes.some(node => !hasCoordinates(node.address?.coordinates))) {
+      unplanned.push({ shipment: shipment._id, shipmentId: shipment.shipmentId, reason: 'An address has no coordinates' });
+      return;
+    }
+
+    const pickedUp = shipmentNodes.filter(node => node.load.weight > 0 || node.load.volume > 0);
+    const largest = pickedUp.reduce((max, node) => Math.max(max, node.load.weight), 0);
+    if (capacity.weight != null && largest > capacity.weight) {
+      unplanned.push({ shipment: shipment._id, shipmentId: shipment.shipmentId, reason: 'Exceeds the vehicle capacity' });
+      return;
+    }
+
+    shipmentNodes.forEach((node, position) => nodes.push({ ...node, chain, position, shipment }));
+  });
+
+  const start = hasCoordinates(driver.currentLocation) ? driver.currentLocation : null;
+  const options = { start, startAt, initialLoad, capacity };
+  const route = solveRoute(nodes, options);
+
+  return {
+    date: dayStart.toISOString().slice(0, 10),
+    startAt,
+    startLocation: start ? { latitude: start.latitude, longitude: start.longitude } : null,
+    finishAt: route.stops.length > 0 ? route.finishAt : startAt,
+    totalDistanceKm: round(route.distanceKm),
+    totalLateMinutes: Math.round(route.lateMinutes),
+    capacity,
+    stops: route.stops.map((stop, index) => ({
+      sequence: index + 1,
+      type: stop.node.type,
+      stopIndex: stop.node.stopIndex,
+      shipment: stop.node.shipment._id,
+      shipmentId: stop.node.shipment.shipmentId,
+      trackingNumber: stop.node.shipment.trackingNumber,
+      priority: stop.node.shipment.priority,
+      address: {
+        name: stop.node.address.name,
+        street: stop.node.address.street,
+        city: stop.node.address.city,
+        state: stop.node.address.state,
+        zipCode: stop.node.address.zipCode,
+        coordinates: {
+          latitude: stop.node.address.coordinates.latitude,
+          longitude: stop.node.address.coordinates.longitude
+        }
+      },
+      timeWindow: stop.node.timeWindow?.start || stop.node.timeWindow?.end ? stop.node.timeWindow : undefined,
+      distanceFromPreviousKm: round(stop.distanceKm),
+      eta: stop.arrival,
+      waitMinutes: Math.round(stop.waitMinutes),
+      lateMinutes: Math.round(stop.lateMinutes),
+      departAt: stop.departure,
+      loadAfter: { weight: round(stop.load.weight), volume: round(stop.load.volume, 3) },
+      overCapacity: stop.overCapacity
+    })),
+    unplanned
+  };
+};
+
+module.exports = {
+  ROUTE_CONFIG,
+  solveRoute,
+  planDriverRoute
+};
@@ -0,0 +1,215 @@
+const ErrorResponse = require('./errorResponse');
+
+// Recurrence rules for standing orders. Two notations are accepted, both evaluated in UTC:
+//   cron:  "minute hour day-of-month month day-of-week", e.g. "0 9 * * 1-5"
+//   RRULE: a subset of RFC 5545, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;BYHOUR=9;BYMINUTE=30"
+//          with FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY, BYHOUR, BYMINUTE, COUNT and UNTIL.
+//          BYHOUR/BYMINUTE default to the time of day of the start date.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_KEYS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYHOUR', 'BYMINUTE', 'COUNT', 'UNTIL'];
+
+// How far ahead to look for the next occurrence before giving up (e.g. "0 9 30 2 *")
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const invalid = (message) => new ErrorResponse(`Invalid schedule: ${message}`, 400);
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Monday of the date's week (RRULE weeks start on Monday)
+const startOfWeek = (date) => new Date(startOfDay(date).getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+
+// Minutes after midnight for every hour/minute combination, in order
+const timesOfDay = (hours, minutes) => hours.flatMap(hour => minutes.map(minute => hour * 60 + minute));
+
+const sortedUnique = (values) => [...new Set(values)].sort((a, b) => a - b);
+
+// Parse one cron field ("*", "1-5", "*/15", "1,15,30") into the values it allows
+const parseCronField = (text, { name, min, max }) => {
+  const values = [];
+
+  text.split(',').forEach(part => {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw invalid(`"${part}" is not a valid ${name}`);
+    }
+
+    const step = match[3] ? parseInt(match[3], 10) : 1;
+    let from = min;
+    let to = max;
+    if (match[1] !== undefined) {
+      from = parseInt(match[1], 10);
+      to = match[2] !== undefined ? parseInt(match[2], 10) : (match[3] ? max : from);
+    }
+    if (from < min || to > max || from > to || step < 1) {
+      throw invalid(`${name} must be between ${min} and ${max}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.push(value);
+    }
+  });
+
+  return sortedUnique(values);
+};
+
+const parseCron = (expression) => {
+  const fields = expression.split(/\s+/);
+  if (fields.length !== 5) {
+    throw invalid('cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, monthDays, months, weekDays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  const days = new Set(weekDays.map(day => day % 7));
+
+  // As in cron, when both day fields are restricted a day matching either one counts
+  const eitherDay = !fields[2].startsWith('*') && !fields[4].startsWith('*');
+
+  return {
+    type: 'cron',
+    times: timesOfDay(hours, minutes),
+    count: null,
+    until: null,
+    matchesDay: (day) => {
+      if (!months.includes(day.getUTCMonth() + 1)) return false;
+      const monthDayMatches = monthDays.includes(day.getUTCDate());
+      const weekDayMatches = days.has(day.getUTCDay());
+      return eitherDay ? monthDayMatches || weekDayMatches : monthDayMatches && weekDayMatches;
+    }
+  };
+};
+
+const parseNumberList = (text, min, max, key) => sortedUnique(text.split(',').map(part => {
+  const value = Number(part);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalid(`${key} values must be between ${min} and ${max}`);
+  }
+  return value;
+}));
+
+// UNTIL is either a date (20261231) or a UTC date-time (20261231T170000Z)
+const parseUntil = (text) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(text);
+  if (!match) {
+    throw invalid('UNTIL must look like 20261231 or 20261231T170000Z');
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+const parseRrule = (expression, startDate) => {
+  const parts = {};
+  expression.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || !value) {
+      throw invalid(`"${part}" is not a KEY=VALUE pair`);
+    }
+    if (!RRULE_KEYS.includes(key.toUpperCase())) {
+      throw invalid(`${key} is not supported (use ${RRULE_KEYS.join(', ')})`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  });
+
+  const frequency = parts.FREQ;
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(frequency)) {
+    throw invalid('FREQ must be DAILY, WEEKLY or MONTHLY');
+  }
+
+  const interval = parts.INTERVAL ? parseNumberList(parts.INTERVAL, 1, 366, 'INTERVAL')[0] : 1;
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',').map(day => {
+    const index = WEEKDAYS.indexOf(day);
+    if (index === -1) {
+      throw invalid(`BYDAY values must be one of ${WEEKDAYS.join(', ')}`);
+    }
+    return index;
+  }) : null;
+  const byMonthDay = parts.BYMONTHDAY ? parseNumberList(parts.BYMONTHDAY, 1, 31, 'BYMONTHDAY') : null;
+  const hours = parts.BYHOUR ? parseNumberList(parts.BYHOUR, 0, 23, 'BYHOUR') : [startDate.getUTCHours()];
+  const minutes = parts.BYMINUTE ? parseNumberList(parts.BYMINUTE, 0, 59, 'BYMINUTE') : [startDate.getUTCMinutes()];
+
+  const anchor = startOfDay(startDate);
+  const anchorWeek = startOfWeek(anchor);
+
+  const matchesDay = (day) => {
+    if (day < anchor) return false;
+
+    if (frequency === 'DAILY') {
+      return Math.round((day - anchor) / DAY_MS) % interval === 0 &&
+        (!byDay || byDay.includes(day.getUTCDay()));
+    }
+
+    if (frequency === 'WEEKLY') {
+      return Math.round((startOfWeek(day) - anchorWeek) / (7 * DAY_MS)) % interval === 0 &&
+        (byDay || [anchor.getUTCDay()]).includes(day.getUTCDay());
+    }
+
+    // MONTHLY: on BYMONTHDAY, on BYDAY weekdays, or on the start date's day of month
+    const months = (day.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + day.getUTCMonth() - anchor.getUTCMonth();
+    if (months % interval !== 0) return false;
+    if (byDay && !byDay.includes(day.getUTCDay())) return false;
+    if (byMonthDay) return byMonthDay.includes(day.getUTCDate());
+    return byDay ? true : day.getUTCDate() === anchor.getUTCDate();
+  };
+
+  return {
+    type: 'rrule',
+    times: timesOfDay(hours, minutes),
+    count: parts.COUNT ? parseNumberList(parts.COUNT, 1, 10000, 'COUNT')[0] : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+    matchesDay
+  };
+};
+
+// Parse a cron or RRULE expression; throws a 400 ErrorResponse when it is not valid
+const parseSchedule = (expression, startDate = new Date()) => {
+  const text = String(expression || '').trim();
+  if (!text) {
+    throw invalid('expression is required');
+  }
+  return /FREQ=/i.test(text) ? parseRrule(text, startDate) : parseCron(text);
+};
+
+// Occurrences of a parsed schedule, in order: on or after startDate, strictly after `after`
+// and no later than `until` (or the rule's own UNTIL/COUNT)
+const getOccurrences = (schedule, { startDate, after = null, until = null, limit = 1 }) => {
+  const results = [];
+  const end = [until, schedule.until].filter(Boolean).sort((a, b) => a - b)[0] || null;
+
+  // COUNT is measured from the start, so the search must begin there
+  const searchFrom = schedule.count || !after || after < startDate ? startDate : after;
+  let counted = 0;
+
+  for (let i = 0, day = startOfDay(searchFrom); i < MAX_SEARCH_DAYS; i++, day = new Date(day.getTime() + DAY_MS)) {
+    if (end && day > end) break;
+    if (!schedule.matchesDay(day)) continue;
+
+    for (const minuteOfDay of schedule.times) {
+      const occurrence = new Date(day.getTime() + minuteOfDay * 60 * 1000);
+      if (occurrence < startDate) continue;
+      if (end && occurrence > end) return results;
+
+      counted++;
+      if (schedule.count && counted > schedule.count) return results;
+      if (after && occurrence <= after) continue;
+
+      results.push(occurrence);
+      if (results.length >= limit) return results;
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  parseSchedule,
+  getOccurrences
+};
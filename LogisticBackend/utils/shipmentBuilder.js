@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Client = require('../models/Client');
+const ShipmentTemplate = require('../models/ShipmentTemplate');
+const ErrorResponse = require('./errorResponse');
+const { calculateShipmentPricing, roundCurrency } = require('./pricing');
+const { hasNotificationTransport } = require('./notifications');
+
+// Most stops a multi-stop shipment may have
+const MAX_STOPS = 25;
+
+// Single-destination shipments send pickupAddress/deliveryAddress; multi-stop shipments send stops instead
+const withoutStops = (chain) => chain.if(body('stops').not().exists());
+
+// Validation rules shared by shipment creation and quoting
+const shipmentValidationRules = [
+  body('description').trim().isLength({ min: 10, max: 500 }).withMessage('Description must be between 10 and 500 characters'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.name').trim().notEmpty().withMessage('Item name is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Item quantity must be at least 1'),
+  body('items.*.weight').isFloat({ min: 0.1 }).withMessage('Item weight must be at least 0.1 kg'),
+  body('items.*.category').isIn(['Electronics', 'Clothing', 'Food', 'Documents', 'Machinery', 'Chemicals', 'Other']).withMessage('Valid item category is required'),
+  withoutStops(body('pickupAddress.street')).trim().notEmpty().withMessage('Pickup street address is required'),
+  withoutStops(body('pickupAddress.city')).trim().notEmpty().withMessage('Pickup city is required'),
+  withoutStops(body('pickupAddress.state')).trim().notEmpty().withMessage('Pickup state is required'),
+  withoutStops(body('pickupAddress.zipCode')).trim().notEmpty().withMessage('Pickup zip code is required'),
+  withoutStops(body('deliveryAddress.street')).trim().notEmpty().withMessage('Delivery street address is required'),
+  withoutStops(body('deliveryAddress.city')).trim().notEmpty().withMessage('Delivery city is required'),
+  withoutStops(body('deliveryAddress.state')).trim().notEmpty().withMessage('Delivery state is required'),
+  withoutStops(body('deliveryAddress.zipCode')).trim().notEmpty().withMessage('Delivery zip code is required'),
+  body('deliveryAddress.email').optional().trim().isEmail().withMessage('Delivery contact email must be valid'),
+  body('stops').optional().isArray({ min: 2, max: MAX_STOPS }).withMessage(`Stops must be a list of 2 to ${MAX_STOPS} stops`),
+  body('stops.*.type').isIn(['pickup', 'hub', 'delivery']).withMessage('Stop type must be pickup, hub or delivery'),
+  body('stops.*.address.street').trim().notEmpty().withMessage('Stop street address is required'),
+  body('stops.*.address.city').trim().notEmpty().withMessage('Stop city is required'),
+  body('stops.*.address.state').trim().notEmpty().withMessage('Stop state is required'),
+  body('stops.*.address.zipCode').trim().notEmpty().withMessage('Stop zip code is required'),
+  body('stops.*.address.email').optional().trim().isEmail().withMessage('Stop contact email must be valid'),
+  body('stops.*.items').optional().isArray().withMessage('Stop items must be a list'),
+  body('stops.*.items.*.itemIndex').isInt({ min: 0 }).withMessage('Stop item index must refer to an item'),
+  body('stops.*.items.*.quantity').isInt({ min: 1 }).withMessage('Stop item quantity must be at least 1'),
+  body(['stops.*.timeWindow.start', 'stops.*.timeWindow.end']).optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Stop time windows must use HH:MM'),
+  body('requestedPickupDate').isISO8601().withMessage('Valid pickup date is required'),
+  body('requestedDeliveryDate').isISO8601().withMessage('Valid delivery date is required'),
+  body('serviceType').isIn(['standard', 'express', 'overnight', 'same_day']).withMessage('Valid service type is required'),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Valid priority is required'),
+  body('cod.amount').optional().isFloat({ min: 0 }).withMessage('Cash on delivery amount cannot be negative')
+];
+
+// Run the shipment validation rules against a request body built outside a request
+// (import rows, recurring shipment occurrences)
+const validateShipmentData = async (data) => {
+  const req = { body: data };
+  await Promise.all(shipmentValidationRules.map(rule => rule.run(req)));
+  return validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+};
+
+// Hash of every field that affects the price, used to check a shipment still matches its quote
+const getPricingFingerprint = (shipmentData) => {
+  const address = (addr = {}) => ({
+    city: addr.city,
+    state: addr.state,
+    zipCode: addr.zipCode,
+    country: addr.country,
+    latitude: addr.coordinates?.latitude,
+    longitude: addr.coordinates?.longitude
+  });
+
+  const normalized = {
+    items: (shipmentData.items || []).map(item => ({
+      quantity: Number(item.quantity),
+      weight: Number(item.weight),
+      isFragile: !!item.isFragile,
+      length: item.dimensions?.length,
+      width: item.dimensions?.width,
+      height: item.dimensions?.height,
+      unit: item.dimensions?.unit
+    })),
+    serviceType: shipmentData.serviceType,
+    priority: shipmentData.priority || 'medium',
+    requirements: {
+      hazardousMaterial: !!shipmentData.requirements?.hazardousMaterial,
+      temperatureControlled: !!shipmentData.requirements?.temperatureControlled,
+      signatureRequired: !!shipmentData.requirements?.signatureRequired,
+      ageVerificationRequired: !!shipmentData.requirements?.ageVerificationRequired
+    },
+    pickupAddress: address(shipmentData.pickupAddress),
+    deliveryAddress: address(shipmentData.deliveryAddress),
+    stops: shipmentData.stops?.map(stop => ({ type: stop.type, address: address(stop.address) }))
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+};
+
+// Check the order and item quantities of validated stops and build the legs between them.
+// The first stop is the shipment's pickupAddress and the last its deliveryAddress.
+const prepareStops = (stops, items) => {
+  if (stops[0].type !== 'pickup') {
+    throw new ErrorResponse('The first stop must be a pickup', 400);
+  }
+  if (stops[stops.length - 1].type !== 'delivery') {
+    throw new ErrorResponse('The last stop must be a delivery', 400);
+  }
+
+  // Quantities collected and dropped per item cannot exceed what the shipment carries
+  ['pickup', 'delivery'].forEach(type => {
+    const totals = new Map();
+    stops.filter(stop => stop.type === type).forEach(stop => {
+      (stop.items || []).forEach(({ itemIndex, quantity }) => {
+        const index = Number(itemIndex);
+        if (index >= items.length) {
+          throw new ErrorResponse(`Stop item index ${index} does not match an item`, 400);
+        }
+        totals.set(index, (totals.get(index) || 0) + Number(quantity));
+      });
+    });
+    totals.forEach((total, index) => {
+      if (total > items[index].quantity) {
+        throw new ErrorResponse(`Stops ${type === 'pickup' ? 'collect' : 'drop'} ${total} of "${items[index].name}" but the shipment carries ${items[index].quantity}`, 400);
+      }
+    });
+  });
+
+  const preparedStops = stops.map(({ type, address, items: stopItems = [], timeWindow }) => ({
+    type,
+    address: { country: 'US', ...address },
+    items: stopItems.map(({ itemIndex, quantity }) => ({ itemIndex: Number(itemIndex), quantity: Number(quantity) })),
+    timeWindow
+  }));
+
+  return {
+    stops: preparedStops,
+    legs: preparedStops.slice(1).map((stop, index) => ({ fromStop: index, toStop: index + 1 })),
+    pickupAddress: preparedStops[0].address,
+    deliveryAddress: preparedStops[preparedStops.length - 1].address
+  };
+};
+
+// Check dates, compute totals and price a validated request body.
+// Returns the fields needed to create a Shipment (without the client).
+const prepareShipmentData = (data, { rateCard = null } = {}) => {
+  const {
+    description,
+    items,
+    pickupAddress,
+    deliveryAddress,
+    serviceType,
+    priority,
+    requestedPickupDate,
+    requestedDeliveryDate,
+    pickupTimeWindow,
+    deliveryTimeWindow,
+    requirements,
+    stops,
+    cod
+  } = data;
+
+  const isMultiStop = Array.isArray(stops) && stops.length > 0;
+  const route = isMultiStop
+    ? prepareStops(stops, items)
+    : { pickupAddress, deliveryAddress };
+
+  // The code has to reach the consignee, or the shipment could never be delivered
+  if (requirements?.deliveryCodeRequired && !hasNotificationTransport()) {
+    throw new ErrorResponse('Delivery codes cannot be required: no SMS or email provider is configured', 400);
+  }
+
+  // Cash on delivery is collected by the driver at the single delivery address
+  const codAmount = cod?.amount ? roundCurrency(parseFloat(cod.amount)) : 0;
+  if (codAmount > 0 && isMultiStop) {
+    throw new ErrorResponse('Cash on delivery is not available for multi-stop shipments', 400);
+  }
+
+  // Validate dates
+  const pickupDate = new Date(requestedPickupDate);
+  const deliveryDate = new Date(requestedDeliveryDate);
+  const now = new Date();
+
+  if (pickupDate < now) {
+    throw new ErrorResponse('Pickup date cannot be in the past', 400);
+  }
+
+  if (deliveryDate <= pickupDate) {
+    throw new ErrorResponse('Delivery date must be after pickup date', 400);
+  }
+
+  // Calculate total weight and value
+  let totalWeight = 0;
+  let totalValue = 0;
+
+  items.forEach(item => {
+    totalWeight += item.weight * item.quantity;
+    if (item.value && item.value.amount) {
+      totalValue += item.value.amount * item.quantity;
+    }
+  });
+
+  // Price the shipment server-side; client-supplied pricing is never trusted
+  const pricing = calculateShipmentPricing({
+    items,
+    serviceType,
+    priority,
+    requirements,
+    ...route
+  }, rateCard);
+
+  return {
+    description,
+    items,
+    totalWeight,
+    totalValue,
+    ...route,
+    serviceType,
+    priority: priority || 'medium',
+    requestedPickupDate,
+    requestedDeliveryDate,
+    pickupTimeWindow,
+    deliveryTimeWindow,
+    pricing,
+    requirements,
+    ...(codAmount > 0 && { cod: { amount: codAmount, currency: pricing.currency, status: 'pending' } })
+  };
+};
+
+// Copy the fields a shipment needs from an address book entry
+const toShipmentAddress = (address) => {
+  const { name, contactPerson, phone, email, street, city, state, zipCode, country, coordinates, specialInstructions } = address.toObject();
+  return { name, contactPerson, phone, email, street, city, state, zipCode, country, coordinates, specialInstructions };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Fill a request body from a saved template (templateId) and address book entries
+// (pickupAddressId / deliveryAddressId, or "default" for the default address of that type).
+// Fields sent in the request take precedence over the template and address book.
+const applyShipmentReferences = async (data, clientId) => {
+  const { templateId, pickupAddressId, deliveryAddressId } = data;
+  if (!templateId && !pickupAddressId && !deliveryAddressId) {
+    return { data, template: null };
+  }
+
+  let template = null;
+  if (templateId) {
+    template = mongoose.isValidObjectId(templateId)
+      ? await ShipmentTemplate.findOne({ _id: templateId, client: clientId })
+      : null;
+    if (!template) {
+      throw new ErrorResponse('Shipment template not found', 404);
+    }
+  }
+
+  const client = await Client.findById(clientId).select('addresses');
+  if (!client) {
+    throw new ErrorResponse('Client not found', 404);
+  }
+
+  const resolveAddress = (addressId, type) => {
+    if (!addressId) return null;
+    const address = addressId === 'default'
+      ? client.getDefaultAddress(type)
+      : mongoose.isValidObjectId(addressId) && client.addresses.id(addressId);
+    if (!address) {
+      throw new ErrorResponse(`${type === 'pickup' ? 'Pickup' : 'Delivery'} address not found in the address book`, 400);
+    }
+    return toShipmentAddress(address);
+  };
+
+  // The template's lane is only used when the request gives no street address of its own
+  const pickupAddress = resolveAddress(pickupAddressId || (!data.pickupAddress?.street && template?.pickupAddressId), 'pickup');
+  const deliveryAddress = resolveAddress(deliveryAddressId || (!data.deliveryAddress?.street && template?.deliveryAddressId), 'delivery');
+
+  const templateData = template ? template.toShipmentData() : {};
+  const resolved = { ...templateData, ...data };
+
+  if (isPlainObject(templateData.requirements) && isPlainObject(data.requirements)) {
+    resolved.requirements = { ...templateData.requirements, ...data.requirements };
+  }
+  if (pickupAddress) {
+    resolved.pickupAddress = { ...pickupAddress, ...(isPlainObject(data.pickupAddress) ? data.pickupAddress : {}) };
+  }
+  if (deliveryAddress) {
+    resolved.deliveryAddress = { ...deliveryAddress, ...(isPlainObject(data.deliveryAddress) ? data.deliveryAddress : {}) };
+  }
+
+  return { data: resolved, template };
+};
+
+module.exports = {
+  MAX_STOPS,
+  shipmentValidationRules,
+  validateShipmentData,
+  applyShipmentReferences,
+  getPricingFingerprint,
+  prepareShipmentData
+};
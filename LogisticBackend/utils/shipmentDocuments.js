@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { getHandlingFlags } = require('./labels');
+
+// Generated documents are stored with the other shipment uploads
+const DOCUMENTS_DIR = path.join(__dirname, '../uploads/shipments/documents');
+
+// Each generated document is stored on the shipment under this document type
+const DOCUMENT_TYPES = {
+  bol: {
+    documentType: 'pickup_receipt',
+    prefix: 'BOL',
+    title: 'BILL OF LADING',
+    signatureBlocks: ['Shipper', 'Carrier (Driver)'],
+    termsAndConditions: 'Received, subject to the carrier\'s standard terms and conditions, the goods described above in apparent good order and condition, except as noted.'
+  },
+  delivery_note: {
+    documentType: 'delivery_receipt',
+    prefix: 'DN',
+    title: 'DELIVERY NOTE',
+    signatureBlocks: ['Received by (Consignee)', 'Driver'],
+    termsAndConditions: 'Goods received in good order and condition unless otherwise noted. Claims for damage or shortage must be reported within 48 hours of delivery.'
+  }
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+const formatAddress = (address = {}) => [
+  address.name,
+  address.contactPerson ? `Attn: ${address.contactPerson}` : null,
+  address.street,
+  [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+  address.country,
+  address.phone ? `Tel: ${address.phone}` : null
+].filter(Boolean).join('\n');
+
+const formatDimensions = (dimensions) => {
+  if (!dimensions?.length || !dimensions?.width || !dimensions?.height) return '-';
+  return `${dimensions.length}x${dimensions.width}x${dimensions.height} ${dimensions.unit || 'cm'}`;
+};
+
+// Render a bill of lading or delivery note as a PDF buffer
+const renderShipmentDocument = (shipment, type, template = null) => {
+  const defaults = DOCUMENT_TYPES[type];
+  const layout = {
+    title: template?.title || defaults.title,
+    headerLines: template?.headerLines?.length ? template.headerLines : ['Logistics Management System'],
+    footerText: template?.footerText,
+    termsAndConditions: template?.termsAndConditions || defaults.termsAndConditions,
+    signatureBlocks: template?.signatureBlocks?.length ? template.signatureBlocks : defaults.signatureBlocks,
+    showItemValues: template?.showItemValues ?? false,
+    showInsurance: template?.showInsurance ?? true
+  };
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Header: company details and document title
+  doc.font('Helvetica-Bold').fontSize(12).text(layout.headerLines[0], left, 40, { width: width / 2 });
+  doc.font('Helvetica').fontSize(8).text(layout.headerLines.slice(1).join('\n'), { width: width / 2 });
+  doc.font('Helvetica-Bold').fontSize(16).text(layout.title, left + width / 2, 40, { width: width / 2, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`No: ${defaults.prefix}-${shipment.shipmentId}`, { width: width / 2, align: 'right' })
+    .text(`Date: ${formatDate(new Date())}`, { width: width / 2, align: 'right' })
+    .text(`Tracking: ${shipment.trackingNumber}`, { width: width / 2, align: 'right' });
+
+  // Shipper and consignee
+  let y = 130;
+  doc.moveTo(left, y - 6).lineTo(left + width, y - 6).stroke();
+  doc.font('Helvetica-Bold').fontSize(9).text('SHIPPER', left, y).text('CONSIGNEE', left + width / 2, y);
+  doc.font('Helvetica').fontSize(9)
+    .text(formatAddress(shipment.pickupAddress), left, y + 14, { width: width / 2 - 10 })
+    .text(formatAddress(shipment.deliveryAddress), left + width / 2, y + 14, { width: width / 2 - 10 });
+
+  // Service details
+  y = 230;
+  doc.moveTo(left, y - 6).lineTo(left + width, y - 6).stroke();
+  const details = [
+    ['Service', String(shipment.serviceType || '').replace('_', ' ')],
+    ['Priority', shipment.priority],
+    ['Pickup date', formatDate(shipment.actualPickupDate || shipment.requestedPickupDate)],
+    [type === 'bol' ? 'Requested delivery' : 'Delivered', formatDate(type === 'bol' ? shipment.requestedDeliveryDate : shipment.actualDeliveryDate)]
+  ];
+  details.forEach(([label, value], index) => {
+    const x = left + (width / 4) * index;
+    doc.font('Helvetica-Bold').fontSize(8).text(label.toUpperCase(), x, y, { width: width / 4 - 5 });
+    doc.font('Helvetica').fontSize(9).text(value || '-', x, y + 11, { width: width / 4 - 5 });
+  });
+
+  // Items table
+  y = 270;
+  const columns = [
+    { header: 'Item', width: 0.30, value: item => item.description ? `${item.name} - ${item.description}` : item.name },
+    { header: 'Qty', width: 0.08, value: item => String(item.quantity) },
+    { header: 'Unit kg', width: 0.10, value: item => String(item.weight) },
+    { header: 'Total kg', width: 0.11, value: item => String(Math.round(item.weight * item.quantity * 100) / 100) },
+    { header: 'Dimensions', width: 0.17, value: item => formatDimensions(item.dimensions) },
+    { header: 'Handling', width: layout.showItemValues ? 0.12 : 0.24, value: item => [item.isFragile ? 'Fragile' : null, item.specialHandling].filter(Boolean).join(', ') || '-' }
+  ];
+  if (layout.showItemValues) {
+    columns.push({ header: 'Value', width: 0.12, value: item => (item.value?.amount ? `${item.value.amount} ${item.value.currency || ''}`.trim() : '-') });
+  }
+
+  const drawRow = (cells, font) => {
+    let x = left;
+    let rowHeight = 0;
+    doc.font(font).fontSize(8);
+    cells.forEach((cell, index) => {
+      const cellWidth = width * columns[index].width - 4;
+      rowHeight = Math.max(rowHeight, doc.heightOfString(cell, { width: cellWidth }));
+    });
+    if (y + rowHeight > doc.page.height - 200) {
+      doc.addPage();
+      y = 40;
+    }
+    cells.forEach((cell, index) => {
+      const cellWidth = width * columns[index].width;
+      doc.text(cell, x, y, { width: cellWidth - 4 });
+      x += cellWidth;
+    });
+    y += rowHeight + 6;
+  };
+
+  doc.moveTo(left, y - 6).lineTo(left + width, y - 6).stroke();
+  drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+  (shipment.items || []).forEach(item => drawRow(columns.map(column => column.value(item)), 'Helvetica'));
+  doc.moveTo(left, y - 2).lineTo(left + width, y - 2).stroke();
+
+  const pieces = (shipment.items || []).reduce((total, item) => total + item.quantity, 0);
+  doc.font('Helvetica-Bold').fontSize(9)
+    .text(`Total pieces: ${pieces}    Total weight: ${shipment.totalWeight} kg`, left, y + 4, { width, align: 'right' });
+  y = doc.y + 12;
+
+  // Requirements, insurance and delivery details
+  const notes = [];
+  const flags = getHandlingFlags(shipment);
+  if (flags.length > 0) {
+    notes.push(`Handling: ${flags.join(', ')}`);
+  }
+  if (layout.showInsurance && shipment.insurance?.isInsured) {
+    notes.push(`Insurance: ${[shipment.insurance.provider, shipment.insurance.policyNumber ? `policy ${shipment.insurance.policyNumber}` : null, shipment.insurance.coverage ? `coverage ${shipment.insurance.coverage}` : null].filter(Boolean).join(', ')}`);
+  }
+  if (shipment.deliveryAddress?.specialInstructions) {
+    notes.push(`Delivery instructions: ${shipment.deliveryAddress.specialInstructions}`);
+  }
+  if (type === 'delivery_note' && shipment.delivery?.recipient?.name) {
+    notes.push(`Received by: ${shipment.delivery.recipient.name}${shipment.delivery.recipient.relationToRecipient ? ` (${shipment.delivery.recipient.relationToRecipient})` : ''}`);
+  }
+  if (type === 'delivery_note' && shipment.delivery?.deliveryNotes) {
+    notes.push(`Delivery notes: ${shipment.delivery.deliveryNotes}`);
+  }
+  if (notes.length > 0) {
+    doc.font('Helvetica').fontSize(9).text(notes.join('\n'), left, y, { width });
+    y = doc.y + 12;
+  }
+
+  // Terms
+  doc.font('Helvetica').fontSize(7).fillColor('#444444').text(layout.termsAndConditions, left, y, { width });
+  doc.fillColor('black');
+  y = doc.y + 30;
+
+  // Signature blocks
+  if (y > doc.page.height - 120) {
+    doc.addPage();
+    y = 60;
+  }
+  const blockWidth = width / layout.signatureBlocks.length;
+  layout.signatureBlocks.forEach((block, index) => {
+    const x = left + blockWidth * index;
+    doc.moveTo(x, y + 30).lineTo(x + blockWidth - 20, y + 30).stroke();
+    doc.font('Helvetica').fontSize(8)
+      .text(block, x, y + 34, { width: blockWidth - 20 })
+      .text('Name / Signature / Date', x, y + 45, { width: blockWidth - 20 });
+  });
+
+  if (layout.footerText) {
+    doc.font('Helvetica').fontSize(7).text(layout.footerText, left, doc.page.height - 60, { width, align: 'center' });
+  }
+
+  doc.end();
+  return finished;
+};
+
+// Write a generated document to the uploads folder and return its path relative to uploads/
+const saveShipmentDocument = async (buffer, shipment, type) => {
+  await fs.promises.mkdir(DOCUMENTS_DIR, { recursive: true });
+  const fileName = `${DOCUMENT_TYPES[type].prefix}_${shipment.shipmentId}_${Date.now()}.pdf`;
+  await fs.promises.writeFile(path.join(DOCUMENTS_DIR, fileName), buffer);
+  return path.relative(path.join(__dirname, '../uploads'), path.join(DOCUMENTS_DIR, fileName));
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  renderShipmentDocument,
+  saveShipmentDocument
+};
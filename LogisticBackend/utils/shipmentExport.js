@@ -0,0 +1,134 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'ndjson'];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const personName = (person) => (person ? [person.firstName, person.lastName].filter(Boolean).join(' ') : null);
+
+// Exportable columns: key -> header and how to read it from a (lean, populated) shipment
+const EXPORT_COLUMNS = {
+  shipmentId: { header: 'Shipment ID', value: s => s.shipmentId },
+  trackingNumber: { header: 'Tracking Number', value: s => s.trackingNumber },
+  status: { header: 'Status', value: s => s.status },
+  priority: { header: 'Priority', value: s => s.priority },
+  serviceType: { header: 'Service Type', value: s => s.serviceType },
+  description: { header: 'Description', value: s => s.description },
+  client: { header: 'Client', value: s => s.client?.companyName },
+  driver: { header: 'Driver', value: s => personName(s.driver) },
+  itemCount: { header: 'Pieces', value: s => (s.items || []).reduce((total, item) => total + item.quantity, 0) },
+  totalWeight: { header: 'Total Weight (kg)', value: s => s.totalWeight },
+  totalValue: { header: 'Total Value', value: s => s.totalValue },
+  pickupName: { header: 'Pickup Name', value: s => s.pickupAddress?.name },
+  pickupStreet: { header: 'Pickup Street', value: s => s.pickupAddress?.street },
+  pickupCity: { header: 'Pickup City', value: s => s.pickupAddress?.city },
+  pickupState: { header: 'Pickup State', value: s => s.pickupAddress?.state },
+  pickupZipCode: { header: 'Pickup Zip Code', value: s => s.pickupAddress?.zipCode },
+  pickupCountry: { header: 'Pickup Country', value: s => s.pickupAddress?.country },
+  deliveryName: { header: 'Delivery Name', value: s => s.deliveryAddress?.name },
+  deliveryStreet: { header: 'Delivery Street', value: s => s.deliveryAddress?.street },
+  deliveryCity: { header: 'Delivery City', value: s => s.deliveryAddress?.city },
+  deliveryState: { header: 'Delivery State', value: s => s.deliveryAddress?.state },
+  deliveryZipCode: { header: 'Delivery Zip Code', value: s => s.deliveryAddress?.zipCode },
+  deliveryCountry: { header: 'Delivery Country', value: s => s.deliveryAddress?.country },
+  stopCount: { header: 'Stops', value: s => s.stops?.length || 0 },
+  requestedPickupDate: { header: 'Requested Pickup', value: s => s.requestedPickupDate },
+  requestedDeliveryDate: { header: 'Requested Delivery', value: s => s.requestedDeliveryDate },
+  actualPickupDate: { header: 'Picked Up', value: s => s.actualPickupDate },
+  actualDeliveryDate: { header: 'Delivered', value: s => s.actualDeliveryDate },
+  totalAmount: { header: 'Total Amount', value: s => s.pricing?.totalAmount },
+  currency: { header: 'Currency', value: s => s.pricing?.currency },
+  createdAt: { header: 'Created', value: s => s.createdAt }
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'shipmentId', 'trackingNumber', 'status', 'priority', 'serviceType', 'client', 'driver',
+  'itemCount', 'totalWeight', 'pickupCity', 'pickupState', 'deliveryCity', 'deliveryState',
+  'requestedPickupDate', 'requestedDeliveryDate', 'actualDeliveryDate', 'totalAmount', 'currency', 'createdAt'
+];
+
+// Quote a CSV field; formula-like values are prefixed so spreadsheets do not execute them
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write to the response, waiting for it to drain when its buffer is full.
+// Rejects if the client goes away so the export stops reading from the database.
+const write = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    return reject(new Error('Client closed the connection'));
+  }
+  if (res.write(chunk)) {
+    return resolve();
+  }
+
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    reject(new Error('Client closed the connection'));
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// Stream every shipment from the cursor to the response in the requested format.
+// Returns the number of rows written.
+const streamShipmentExport = async (cursor, res, { format, columns }) => {
+  const selected = columns.map(key => ({ key, ...EXPORT_COLUMNS[key] }));
+  const toRow = (shipment) => selected.map(column => column.value(shipment) ?? null);
+  let count = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Shipments');
+    worksheet.columns = selected.map(column => ({ header: column.header, key: column.key }));
+
+    for await (const shipment of cursor) {
+      worksheet.addRow(toRow(shipment)).commit();
+      count++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  if (format === 'csv') {
+    await write(res, `${selected.map(column => csvField(column.header)).join(',')}\r\n`);
+  }
+
+  for await (const shipment of cursor) {
+    const values = toRow(shipment);
+    if (format === 'csv') {
+      await write(res, `${values.map(csvField).join(',')}\r\n`);
+    } else {
+      const record = {};
+      selected.forEach((column, index) => { record[column.key] = values[index]; });
+      await write(res, `${JSON.stringify(record)}\n`);
+    }
+    count++;
+  }
+
+  res.end();
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  streamShipmentExport
+};
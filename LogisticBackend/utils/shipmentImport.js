@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const ErrorResponse = require('./errorResponse');
+
+const IMPORT_MODES = ['dry_run', 'all_or_nothing', 'partial'];
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 1000;
+
+// Spreadsheet columns and the shipment fields they fill.
+// Headers are matched ignoring case, spaces, dots and underscores, so
+// "pickupAddress.street", "Pickup Address Street" and "pickup_address_street" all work.
+// Rows sharing a "reference" become one shipment with several items.
+const SHIPMENT_COLUMNS = {
+  reference: 'reference',
+  description: 'description',
+  serviceType: 'serviceType',
+  priority: 'priority',
+  requestedPickupDate: 'requestedPickupDate',
+  requestedDeliveryDate: 'requestedDeliveryDate',
+  'requirements.signatureRequired': 'requirements.signatureRequired',
+  'requirements.ageVerificationRequired': 'requirements.ageVerificationRequired',
+  'requirements.deliveryCodeRequired': 'requirements.deliveryCodeRequired',
+  'requirements.hazardousMaterial': 'requirements.hazardousMaterial',
+  'requirements.hazardClass': 'requirements.hazardClass',
+  'requirements.temperatureControlled': 'requirements.temperatureControlled',
+  'cod.amount': 'cod.amount'
+};
+
+['pickupAddress', 'deliveryAddress'].forEach(prefix => {
+  ['name', 'contactPerson', 'phone', 'email', 'street', 'city', 'state', 'zipCode', 'country', 'specialInstructions'].forEach(field => {
+    SHIPMENT_COLUMNS[`${prefix}.${field}`] = `${prefix}.${field}`;
+  });
+  SHIPMENT_COLUMNS[`${prefix}.latitude`] = `${prefix}.coordinates.latitude`;
+  SHIPMENT_COLUMNS[`${prefix}.longitude`] = `${prefix}.coordinates.longitude`;
+});
+
+const ITEM_COLUMNS = {
+  'item.name': 'name',
+  'item.description': 'description',
+  'item.quantity': 'quantity',
+  'item.weight': 'weight',
+  'item.category': 'category',
+  'item.isFragile': 'isFragile',
+  'item.length': 'dimensions.length',
+  'item.width': 'dimensions.width',
+  'item.height': 'dimensions.height',
+  'item.unit': 'dimensions.unit',
+  'item.value': 'value.amount',
+  'item.currency': 'value.currency'
+};
+
+const BOOLEAN_FIELDS = ['requirements.signatureRequired', 'requirements.ageVerificationRequired', 'requirements.deliveryCodeRequired', 'requirements.hazardousMaterial', 'requirements.temperatureControlled', 'isFragile'];
+const NUMBER_FIELDS = ['quantity', 'weight', 'dimensions.length', 'dimensions.width', 'dimensions.height', 'value.amount', 'pickupAddress.coordinates.latitude', 'pickupAddress.coordinates.longitude', 'deliveryAddress.coordinates.latitude', 'deliveryAddress.coordinates.longitude', 'cod.amount'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const COLUMN_LOOKUP = new Map([
+  ...Object.entries(SHIPMENT_COLUMNS).map(([column, field]) => [normalizeHeader(column), { field, isItem: false }]),
+  ...Object.entries(ITEM_COLUMNS).map(([column, field]) => [normalizeHeader(column), { field, isItem: true }])
+]);
+
+const setPath = (target, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let current = target;
+  keys.slice(0, -1).forEach(key => {
+    current[key] = current[key] || {};
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+};
+
+const convertValue = (field, value) => {
+  if (BOOLEAN_FIELDS.includes(field)) {
+    return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+  }
+  if (NUMBER_FIELDS.includes(field)) {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+// Plain value of an ExcelJS cell (formulas, rich text and hyperlinks included)
+const getCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return getCellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+};
+
+// Read a CSV or XLSX file into [{ rowNumber, values: { header: value } }]
+const parseImportFile = async (filePath, originalName) => {
+  const extension = path.extname(originalName).toLowerCase();
+  let headers;
+  let rows = [];
+
+  if (extension === '.csv') {
+    const records = parse(await fs.promises.readFile(filePath), {
+      bom: true,
+      skip_empty_lines: true,
+      relax_column_count: true
+    });
+    [headers = [], ...rows] = records;
+    rows = rows.map((cells, index) => ({ rowNumber: index + 2, cells }));
+  } else if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      throw new ErrorResponse('The workbook has no worksheets', 400);
+    }
+
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      // row.values is 1-based
+      const cells = row.values.slice(1).map(getCellValue);
+      if (rowNumber === 1) {
+        headers = cells;
+      } else if (cells.some(cell => cell !== '')) {
+        rows.push({ rowNumber, cells });
+      }
+    });
+  } else {
+    throw new ErrorResponse('Upload a .csv or .xlsx file', 400);
+  }
+
+  if (!headers || headers.length === 0) {
+    throw new ErrorResponse('The file has no header row', 400);
+  }
+  if (rows.length === 0) {
+    throw new ErrorResponse('The file has no data rows', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ErrorResponse(`Imports are limited to ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  const unknownHeaders = headers.filter(header => header !== '' && !COLUMN_LOOKUP.has(normalizeHeader(header)));
+  if (unknownHeaders.length > 0) {
+    throw new ErrorResponse(`Unknown columns: ${unknownHeaders.join(', ')}`, 400);
+  }
+
+  return rows.map(({ rowNumber, cells }) => ({
+    rowNumber,
+    values: headers.reduce((values, header, index) => {
+      if (header !== '') values[header] = cells[index] ?? '';
+      return values;
+    }, {})
+  }));
+};
+
+// Turn rows into shipment request bodies, grouping rows that share a reference
+const mapRowsToShipments = (rows) => {
+  const groups = new Map();
+
+  rows.forEach(({ rowNumber, values }) => {
+    const shipmentData = {};
+    const item = {};
+
+    Object.entries(values).forEach(([header, rawValue]) => {
+      if (rawValue === '' || rawValue === null || rawValue === undefined) return;
+      const { field, isItem } = COLUMN_LOOKUP.get(normalizeHeader(header));
+      setPath(isItem ? item : shipmentData, field, convertValue(field, rawValue));
+    });
+
+    const key = shipmentData.reference || `row-${rowNumber}`;
+    if (!groups.has(key)) {
+      groups.set(key, { reference: shipmentData.reference || null, rowNumbers: [], data: { ...shipmentData, items: [] } });
+    }
+
+    const group = groups.get(key);
+    group.rowNumbers.push(rowNumber);
+    if (Object.keys(item).length > 0) {
+      group.data.items.push(item);
+    }
+  });
+
+  return Array.from(groups.values()).map(group => {
+    delete group.data.reference;
+    return group;
+  });
+};
+
+module.exports = {
+  IMPORT_MODES,
+  MAX_IMPORT_ROWS,
+  SHIPMENT_COLUMNS,
+  ITEM_COLUMNS,
+  parseImportFile,
+  mapRowsToShipments
+};
@@ -0,0 +1,178 @@
+const Shipment = require('../models/Shipment');
+const SlaPolicy = require('../models/SlaPolicy');
+const Alert = require('../models/Alert');
+const Client = require('../models/Client');
+const Driver = require('../models/Driver');
+const { publishEvent } = require('./events');
+const { registerJob } = require('./jobs');
+
+const SLA_CONFIG = {
+  intervalMs: (parseInt(process.env.SLA_EVALUATOR_INTERVAL_SECONDS, 10) || 300) * 1000,
+  batchSize: 200,
+  // Shipments created before this many days ago are no longer tracked
+  lookbackDays: 30
+};
+
+const SLA_STAGES = ['assignment', 'pickup', 'delivery'];
+
+const STAGE_ALERTS = {
+  assignment: { severity: 'warning', title: 'No driver assigned in time' },
+  pickup: { severity: 'warning', title: 'Pickup overdue' },
+  delivery: { severity: 'critical', title: 'Delivery overdue' }
+};
+
+// Raise an admin alert for one breached stage
+const raiseBreachAlert = async (shipment, breach) => {
+  const { severity, title } = STAGE_ALERTS[breach.stage];
+  const alert = await Alert.create({
+    type: 'sla_breach',
+    severity,
+    title: `${title}: ${shipment.shipmentId}`,
+    message: `Shipment ${shipment.shipmentId} (${shipment.serviceType}) missed its ${breach.stage} target due ${breach.dueAt.toISOString()}`,
+    shipment: shipment._id,
+    client: shipment.client,
+    driver: shipment.driver,
+    data: {
+      stage: breach.stage,
+      dueAt: breach.dueAt,
+      serviceType: shipment.serviceType
+    }
+  });
+
+  publishEvent('alert.raised', {
+    alert: alert._id,
+    type: alert.type,
+    severity: alert.severity,
+    title: alert.title,
+    shipment: shipment._id,
+    shipmentId: shipment.shipmentId
+  });
+
+  return alert;
+};
+
+// Check open shipments against their SLA policies, least recently evaluated first
+const processSlaEvaluation = async () => {
+  const policies = await SlaPolicy.find({ isActive: true });
+  if (policies.length === 0) return;
+
+  const now = new Date();
+  const shipments = await Shipment.find({
+    'sla.closedAt': null,
+    createdAt: { $gte: new Date(now.getTime() - SLA_CONFIG.lookbackDays * 24 * 60 * 60 * 1000) }
+  })
+    .sort({ 'sla.evaluatedAt': 1 })
+    .limit(SLA_CONFIG.batchSize);
+
+  for (const shipment of shipments) {
+    try {
+      const policy = SlaPolicy.matchPolicy(policies, shipment);
+      if (!policy) {
+        // Checked again once a policy covers it
+        await Shipment.updateOne({ _id: shipment._id }, { $set: { 'sla.evaluatedAt': now } });
+        continue;
+      }
+
+      const breaches = shipment.evaluateSla(policy, now);
+      await shipment.save();
+
+      for (const breach of breaches) {
+        await raiseBreachAlert(shipment, breach);
+      }
+    } catch (error) {
+      // One bad shipment must not stop the rest of the batch
+      console.error(`SLA evaluation failed for ${shipment.shipmentId}:`, error);
+    }
+  }
+};
+
+// Register the evaluator with the job runner
+const startSlaEvaluator = () => {
+  registerJob('sla-evaluator', SLA_CONFIG.intervalMs, processSlaEvaluation);
+};
+
+// Group key expressions for the compliance report
+const REPORT_GROUPS = {
+  client: '$client',
+  driver: '$driver',
+  lane: {
+    pickupState: '$pickupAddress.state',
+    deliveryState: '$deliveryAddress.state'
+  }
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// SLA compliance of shipments created in a period, overall and per client, driver and lane
+const buildSlaReport = async ({ startDate, endDate, serviceType, groupBy = Object.keys(REPORT_GROUPS) }) => {
+  const match = {
+    'sla.policy': { $ne: null },
+    createdAt: { $gte: startDate, $lte: endDate }
+  };
+  if (serviceType) {
+    match.serviceType = serviceType;
+  }
+
+  const stageBreached = (stage) => ({
+    $sum: {
+      $cond: [{ $in: [stage, { $ifNull: ['$sla.breaches.stage', []] }] }, 1, 0]
+    }
+  });
+  const compliance = (groupKey) => [
+    {
+      $group: {
+        _id: groupKey,
+        shipments: { $sum: 1 },
+        breached: { $sum: { $cond: ['$sla.breached', 1, 0] } },
+        ...Object.fromEntries(SLA_STAGES.map(stage => [`${stage}Breaches`, stageBreached(stage)]))
+      }
+    },
+    { $sort: { breached: -1, shipments: -1 } }
+  ];
+
+  const facets = { overall: compliance(null) };
+  groupBy.forEach(group => {
+    facets[group] = compliance(REPORT_GROUPS[group]);
+  });
+
+  const [result] = await Shipment.aggregate([
+    { $match: match },
+    { $facet: facets }
+  ]);
+
+  const withRate = (row) => ({
+    ...row,
+    complianceRate: row.shipments > 0 ? round((row.shipments - row.breached) / row.shipments) : null
+  });
+
+  const { _id, ...overall } = result.overall[0] || { shipments: 0, breached: 0 };
+  const report = { overall: withRate(overall) };
+  groupBy.forEach(group => {
+    report[group] = result[group].map(withRate);
+  });
+
+  // Attach names to the client and driver groups
+  if (report.client) {
+    const clients = await Client.find({ _id: { $in: report.client.map(row => row._id) } }).select('companyName');
+    const names = new Map(clients.map(client => [client._id.toString(), client.companyName]));
+    report.client = report.client.map(({ _id, ...row }) => ({ client: _id, companyName: names.get(String(_id)) || null, ...row }));
+  }
+  if (report.driver) {
+    const drivers = await Driver.find({ _id: { $in: report.driver.filter(row => row._id).map(row => row._id) } }).select('firstName lastName');
+    const names = new Map(drivers.map(driver => [driver._id.toString(), driver.fullName]));
+    report.driver = report.driver.map(({ _id, ...row }) => ({ driver: _id, name: _id ? names.get(String(_id)) || null : 'Unassigned', ...row }));
+  }
+  if (report.lane) {
+    report.lane = report.lane.map(({ _id, ...row }) => ({ ..._id, ...row }));
+  }
+
+  return report;
+};
+
+module.exports = {
+  SLA_CONFIG,
+  SLA_STAGES,
+  processSlaEvaluation,
+  startSlaEvaluator,
+  buildSlaReport
+};
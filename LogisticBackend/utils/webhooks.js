@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { eventBus } = require('./events');
+const { registerJob } = require('./jobs');
+const ErrorResponse = require('./errorResponse');
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENT_TYPES = [
+  'shipment.created',
+  'shipment.status_changed',
+  'shipment.assigned',
+  'shipment.delivered',
+  'shipment.cancelled',
+  'shipment.stop_updated',
+  'shipment.likely_late',
+  'shipment.document_added',
+  'shipment.photo_added',
+  'shipment.issue_reported',
+  'shipment.issue_resolved',
+  'shipment.return_authorized',
+  'payment.status_changed',
+  'payment.completed',
+  'payment.failed',
+  'payment.cancelled',
+  'payment.refunded',
+  'dispute.opened'
+];
+
+const WEBHOOK_CONFIG = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  baseDelaySeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  retryIntervalMs: 30 * 1000,
+  batchSize: 50
+};
+
+// Addresses a webhook may never be sent to: loopback, private, link-local (including cloud
+// metadata endpoints), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as the IPv4 address they carry
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Resolve a webhook URL's host and refuse it unless every address it resolves to is public.
+// Throws a 400 ErrorResponse; resolves with the address to connect to.
+const resolveWebhookTarget = async (url) => {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new ErrorResponse(`Webhook host ${host} could not be resolved`, 400);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new ErrorResponse('Webhook URLs must point to a public internet address', 400);
+  }
+  return addresses[0];
+};
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Webhook-Signature: sha256=<hex>
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Delay before the next attempt: base * 2^(attempts - 1), capped at 12 hours
+const getRetryDelayMs = (attemptCount) => {
+  const delaySeconds = WEBHOOK_CONFIG.baseDelaySeconds * 2 ** Math.max(attemptCount - 1, 0);
+  return Math.min(delaySeconds, 12 * 60 * 60) * 1000;
+};
+
+// POST a JSON body to an already resolved address and resolve with the response status.
+// The connection is pinned to that address so the host cannot re-resolve elsewhere; the
+// response body is discarded.
+const postJson = (url, { address, family }, body, headers) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family)),
+      timeout: WEBHOOK_CONFIG.timeoutMs
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve({ statusCode: response.statusCode }));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${WEBHOOK_CONFIG.timeoutMs}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+// Make one delivery attempt and record the outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ error: 'Webhook is no longer active' });
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    // Checked on every attempt: the host may have been re-pointed since the hook was registered
+    const resolved = await resolveWebhookTarget(webhook.url);
+    const response = await postJson(webhook.url, resolved, body, {
+      'User-Agent': 'LogisticsWebhooks/1.0',
+      'X-Webhook-Id': delivery._id.toString(),
+      'X-Webhook-Event': delivery.eventType,
+      'X-Webhook-Timestamp': timestamp.toString(),
+      'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    });
+    attempt.statusCode = response.statusCode;
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      attempt.error = `Endpoint responded with HTTP ${response.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  delivery.attempts.push(attempt);
+  delivery.attemptCount += 1;
+
+  const now = new Date();
+  let webhookUpdate;
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = now;
+    webhookUpdate = { $set: { consecutiveFailures: 0, lastDeliveryAt: now, lastSuccessAt: now } };
+  } else {
+    if (delivery.attemptCount >= WEBHOOK_CONFIG.maxAttempts) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(now.getTime() + getRetryDelayMs(delivery.attemptCount));
+    }
+    webhookUpdate = { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: now, lastFailureAt: now } };
+  }
+
+  await Promise.all([
+    delivery.save(),
+    Webhook.updateOne({ _id: webhook._id }, webhookUpdate)
+  ]);
+
+  return delivery;
+};
+
+// Claim a pending delivery so concurrent workers do not send it twice
+const claimDelivery = (deliveryId) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_CONFIG.timeoutMs * 2) } },
+    { new: true }
+  );
+};
+
+// Claim and attempt a delivery, logging rather than throwing on failure
+const dispatchDelivery = async (deliveryId) => {
+  try {
+    const delivery = await claimDelivery(deliveryId);
+    if (delivery) await attemptDelivery(delivery);
+  } catch (error) {
+    console.error(`Webhook delivery ${deliveryId} error:`, error);
+  }
+};
+
+// Create a delivery for every active hook subscribed to the event and send them
+const enqueueEvent = async (event) => {
+  const client = event.data?.client || null;
+
+  const webhooks = await Webhook.find({
+    isActive: true,
+    client: client ? { $in: [client, null] } : null,
+    events: { $in: [event.type, '*'] }
+  });
+  if (webhooks.length === 0) return [];
+
+  const payload = {
+    id: event.id,
+    type: event.type,
+    createdAt: event.occurredAt,
+    data: event.data
+  };
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    client: webhook.client,
+    eventId: event.id,
+    eventType: event.type,
+    payload
+  })));
+
+  deliveries.forEach(delivery => dispatchDelivery(delivery._id));
+  return deliveries;
+};
+
+// Send a ping so the receiver can verify its endpoint and signature check
+const sendTestEvent = async (webhook) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type: 'webhook.test',
+    occurredAt: new Date(),
+    data: { webhook: webhook._id, message: 'Test delivery' }
+  };
+
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    client: webhook.client,
+    eventId: event.id,
+    eventType: event.type,
+    payload: { id: event.id, type: event.type, createdAt: event.occurredAt, data: event.data }
+  });
+
+  await dispatchDelivery(delivery._id);
+  return WebhookDelivery.findById(delivery._id);
+};
+
+// Queue a fresh copy of an earlier delivery
+const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    client: delivery.client,
+    replayOf: delivery._id,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    payload: delivery.payload
+  });
+
+  await dispatchDelivery(replay._id);
+  return WebhookDelivery.findById(replay._id);
+};
+
+// Retry every delivery whose backoff has elapsed
+const processDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(WEBHOOK_CONFIG.batchSize)
+    .select('_id');
+
+  for (const delivery of due) {
+    await dispatchDelivery(delivery._id);
+  }
+};
+
+// Subscribe to domain events and register the retry job
+const startWebhookDispatcher = () => {
+  eventBus.on('event', (event) => {
+    if (!WEBHOOK_EVENT_TYPES.includes(event.type)) return;
+    enqueueEvent(event).catch(error => console.error(`Webhook enqueue error for ${event.type}:`, error));
+  });
+
+  registerJob('webhook-retries', WEBHOOK_CONFIG.retryIntervalMs, processDueDeliveries);
+};
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_CONFIG,
+  signPayload,
+  getRetryDelayMs,
+  resolveWebhookTarget,
+  enqueueEvent,
+  sendTestEvent,
+  replayDelivery,
+  processDueDeliveries,
+  startWebhookDispatcher
+};
@@ -0,0 +1,255 @@
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const ErrorResponse = require('./errorResponse');
+
+// The shipment status workflow: states, the transitions between them, who may trigger each one and
+// what side data it needs. Admins edit it under /api/admin/settings/workflow; the Shipment model and
+// every route that changes a status check transitions against the copy cached here.
+
+const WORKFLOW_KEY = 'shipment';
+const WORKFLOW_ROLES = ['client', 'driver', 'admin', 'system'];
+const WORKFLOW_REQUIREMENTS = ['reason', 'photo', 'location', 'signature'];
+
+// States the platform itself relies on; a definition may add states but not remove these
+const CORE_STATES = ['pending', 'assigned', 'picked', 'packed', 'processing', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned', 'cancelled'];
+
+const WORKFLOW_CONFIG = {
+  refreshIntervalMs: 60 * 1000 // pick up edits made on another instance
+};
+
+const STAFF = ['driver', 'admin', 'system'];
+
+const DEFAULT_WORKFLOW = {
+  states: [
+    { name: 'pending', label: 'Pending' },
+    { name: 'assigned', label: 'Assigned' },
+    { name: 'picked', label: 'Picked up' },
+    { name: 'packed', label: 'Packed' },
+    { name: 'processing', label: 'Processing' },
+    { name: 'in_transit', label: 'In transit' },
+    { name: 'out_for_delivery', label: 'Out for delivery' },
+    { name: 'delivered', label: 'Delivered', terminal: true },
+    { name: 'failed', label: 'Failed' },
+    { name: 'returned', label: 'Returned', terminal: true },
+    { name: 'cancelled', label: 'Cancelled', terminal: true }
+  ],
+  transitions: [
+    { from: 'pending', to: 'assigned', roles: ['admin', 'system'] },
+    { from: 'pending', to: 'cancelled', roles: ['client', 'admin', 'system'] },
+    { from: 'assigned', to: 'picked', roles: STAFF },
+    { from: 'assigned', to: 'cancelled', roles: ['client', 'admin', 'system'] },
+    { from: 'picked', to: 'packed', roles: STAFF },
+    { from: 'picked', to: 'processing', roles: STAFF },
+    { from: 'picked', to: 'failed', roles: STAFF, requires: ['reason'] },
+    { from: 'packed', to: 'processing', roles: STAFF },
+    { from: 'packed', to: 'in_transit', roles: STAFF },
+    { from: 'processing', to: 'in_transit', roles: STAFF },
+    { from: 'processing', to: 'failed', roles: STAFF, requires: ['reason'] },
+    { from: 'in_transit', to: 'out_for_delivery', roles: STAFF },
+    { from: 'in_transit', to: 'delivered', roles: STAFF },
+    { from: 'in_transit', to: 'failed', roles: STAFF, requires: ['reason'] },
+    { from: 'out_for_delivery', to: 'delivered', roles: STAFF },
+    { from: 'out_for_delivery', to: 'failed', roles: STAFF, requires: ['reason'] },
+    { from: 'out_for_delivery', to: 'returned', roles: STAFF, requires: ['reason'] },
+    { from: 'failed', to: 'processing', roles: STAFF },
+    { from: 'failed', to: 'cancelled', roles: ['admin', 'system'] },
+    // Followed automatically as the stops of a multi-stop shipment are worked
+    { from: 'assigned', to: 'in_transit', roles: ['system'] },
+    { from: 'assigned', to: 'out_for_delivery', roles: ['system'] },
+    { from: 'assigned', to: 'failed', roles: ['system'] },
+    { from: 'out_for_delivery', to: 'in_transit', roles: ['system'] }
+  ]
+};
+
+// Fill in defaults so every transition has roles and requires arrays
+const normalize = ({ states, transitions }) => ({
+  states: states.map(({ name, label, terminal }) => ({ name, label: label || name, terminal: !!terminal })),
+  transitions: transitions.map(({ from, to, roles, requires }) => ({
+    from,
+    to,
+    roles: roles ? [...roles] : [...WORKFLOW_ROLES],
+    requires: requires ? [...requires] : []
+  }))
+});
+
+let current = { ...normalize(DEFAULT_WORKFLOW), version: 0, updatedAt: null };
+
+// The workflow in force
+const getWorkflow = () => current;
+
+const getStateNames = () => current.states.map(state => state.name);
+
+const isWorkflowState = (name) => current.states.some(state => state.name === name);
+
+const getTransition = (from, to) => current.transitions.find(transition => transition.from === from && transition.to === to) || null;
+
+// Check a definition before it is saved; returns a list of problems
+const validateWorkflowDefinition = ({ states, transitions } = {}) => {
+  const errors = [];
+  if (!Array.isArray(states) || states.length === 0) return ['states must be a non-empty list'];
+  if (!Array.isArray(transitions)) return ['transitions must be a list'];
+
+  const names = states.map(state => state?.name);
+  names.forEach((name, index) => {
+    if (typeof name !== 'string' || !/^[a-z][a-z_]*$/.test(name)) {
+      errors.push(`states[${index}].name must use lowercase letters and underscores`);
+    } else if (names.indexOf(name) !== index) {
+      errors.push(`State ${name} is defined twice`);
+    }
+  });
+  CORE_STATES.filter(name => !names.includes(name)).forEach(name => {
+    errors.push(`State ${name} is required`);
+  });
+  ['delivered', 'returned', 'cancelled'].forEach(name => {
+    const state = states.find(candidate => candidate?.name === name);
+    if (state && !state.terminal) errors.push(`State ${name} must be terminal`);
+  });
+
+  const terminal = new Set(states.filter(state => state?.terminal).map(state => state.name));
+  const seen = new Set();
+  transitions.forEach((transition, index) => {
+    const { from, to, roles = WORKFLOW_ROLES, requires = [] } = transition || {};
+    const label = `transitions[${index}] (${from} -> ${to})`;
+
+    if (!names.includes(from) || !names.includes(to)) {
+      errors.push(`${label} refers to an unknown state`);
+    }
+    if (from === to) {
+      errors.push(`${label} must change the state`);
+    }
+    if (terminal.has(from)) {
+      errors.push(`${label} leaves terminal state ${from}`);
+    }
+    if (seen.has(`${from}>${to}`)) {
+      errors.push(`${label} is defined twice`);
+    }
+    seen.add(`${from}>${to}`);
+
+    if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !WORKFLOW_ROLES.includes(role))) {
+      errors.push(`${label} roles must be from: ${WORKFLOW_ROLES.join(', ')}`);
+    }
+    if (!Array.isArray(requires) || requires.some(requirement => !WORKFLOW_REQUIREMENTS.includes(requirement))) {
+      errors.push(`${label} requires must be from: ${WORKFLOW_REQUIREMENTS.join(', ')}`);
+    }
+  });
+
+  return errors;
+};
+
+// Whether a requirement is met for the transition being made
+const REQUIREMENT_CHECKS = {
+  reason: (shipment, { notes }) => typeof notes === 'string' && notes.trim().length > 0,
+  location: (shipment, { location }) => !!(location?.coordinates?.latitude != null && location?.coordinates?.longitude != null),
+  // A photo taken since the shipment entered its current state
+  photo: (shipment) => {
+    const enteredAt = shipment.timeline[shipment.timeline.length - 1]?.timestamp || shipment.createdAt;
+    return shipment.photos.some(photo => !enteredAt || photo.timestamp >= enteredAt);
+  },
+  signature: (shipment) => !!shipment.delivery?.recipient?.signature ||
+    shipment.stops.some(stop => stop.status === 'completed' && stop.proof?.signature)
+};
+
+// Check a status change against the workflow; returns { message, missingRequirements } or null when allowed
+const getTransitionError = (shipment, to, { role, notes, location } = {}) => {
+  const from = shipment.status;
+
+  if (!isWorkflowState(to)) {
+    return { message: `Unknown status ${to}` };
+  }
+
+  const transition = getTransition(from, to);
+  if (!transition) {
+    return { message: `Cannot transition from ${from} to ${to}` };
+  }
+  if (role && !transition.roles.includes(role)) {
+    return { message: `A ${role} cannot move a shipment from ${from} to ${to}` };
+  }
+
+  const missingRequirements = transition.requires.filter(requirement => !REQUIREMENT_CHECKS[requirement](shipment, { notes, location }));
+  if (missingRequirements.length > 0) {
+    return {
+      message: `Moving from ${from} to ${to} requires: ${missingRequirements.join(', ')}`,
+      missingRequirements
+    };
+  }
+
+  return null;
+};
+
+// Throw a 400 ErrorResponse when a status change is not allowed
+const assertTransition = (shipment, to, context) => {
+  const error = getTransitionError(shipment, to, context);
+  if (error) {
+    throw new ErrorResponse(error.message, 400);
+  }
+};
+
+const setCurrent = (definition) => {
+  current = {
+    ...normalize(definition),
+    version: definition.version,
+    updatedAt: definition.updatedAt
+  };
+  return current;
+};
+
+// Load the stored definition into the cache (the default stays in force when none is stored)
+const loadWorkflow = async () => {
+  const definition = await WorkflowDefinition.findOne({ key: WORKFLOW_KEY });
+  if (definition && definition.version !== current.version) {
+    setCurrent(definition);
+  }
+  return current;
+};
+
+// Validate and store a new definition; throws a 400 ErrorResponse listing the problems
+const saveWorkflow = async ({ states, transitions }, adminId) => {
+  const errors = validateWorkflowDefinition({ states, transitions });
+  if (errors.length > 0) {
+    throw new ErrorResponse(`Invalid workflow: ${errors.join('; ')}`, 400);
+  }
+
+  const normalized = normalize({ states, transitions });
+  const definition = await WorkflowDefinition.findOneAndUpdate(
+    { key: WORKFLOW_KEY },
+    {
+      $set: { states: normalized.states, transitions: normalized.transitions, updatedBy: adminId },
+      $inc: { version: 1 }
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  return setCurrent(definition);
+};
+
+// Go back to the built-in workflow, stored as a new version so every instance picks it up
+const resetWorkflow = (adminId) => saveWorkflow(DEFAULT_WORKFLOW, adminId);
+
+let syncTimer = null;
+
+// Load the stored workflow now and keep it in step with edits from other instances. This is not a
+// background job: API-only instances (DISABLE_JOBS=true) enforce the workflow too and must see edits.
+const startWorkflowSync = () => {
+  if (syncTimer) return;
+  const refresh = () => loadWorkflow().catch(error => console.error('Workflow load error:', error));
+  refresh();
+  syncTimer = setInterval(refresh, WORKFLOW_CONFIG.refreshIntervalMs);
+  syncTimer.unref();
+};
+
+module.exports = {
+  CORE_STATES,
+  WORKFLOW_ROLES,
+  WORKFLOW_REQUIREMENTS,
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  getStateNames,
+  isWorkflowState,
+  getTransition,
+  validateWorkflowDefinition,
+  getTransitionError,
+  assertTransition,
+  loadWorkflow,
+  saveWorkflow,
+  resetWorkflow,
+  startWorkflowSync
+};